@@ -1,20 +1,80 @@
 const express = require("express");
 const validator = require("./helpers/validator.js");
-const routes = require("express").Router();
 const taskcontroller = require("./controller/taskcontroller");
-const app = express();
-const port = 3000;
+const tagcontroller = require("./controller/tagcontroller");
+const webhookcontroller = require("./controller/webhookcontroller");
+const listcontroller = require("./controller/listcontroller");
+const graphqlcontroller = require("./controller/graphqlcontroller");
+const workflowcontroller = require("./controller/workflowcontroller");
+const timecontroller = require("./controller/timecontroller");
+const templatecontroller = require("./controller/templatecontroller");
+const openapicontroller = require("./controller/openapicontroller");
+const { validateAgainstOpenApi } = require("./helpers/openapivalidator");
+const { loadTaskStore } = require("./service/taskstore");
+const { TaskEventBus } = require("./service/taskevents");
+const { IdempotencyStore } = require("./service/idempotency");
+const { WebhookDispatcher } = require("./service/webhooks");
 
-app.use(express.urlencoded({ extended: true }));
-app.use(routes);
+/**
+ * Creates the task manager app, without listening: server.js serves it, and
+ * it can be mounted in another Express app. The routes find the store, the
+ * logger, the event feed (service/taskevents.js), the idempotency keys and
+ * the webhook dispatcher of the app in `req.store`, `req.logger`,
+ * `req.taskEvents`, `req.idempotencyStore` and `req.webhookDispatcher`.
+ * Apps of the same process only share what their options give them.
+ *
+ * Emitting "shutdown" on the app ends its event streams and cancels its
+ * pending webhook deliveries, so that the server holding it can close.
+ * @param {Object} [options] - `store`, the task store, by default the one
+ * loadTaskStore opens, `logger`, receiving `info` and `error` messages, by
+ * default the console, and `taskEvents` and `idempotencyStore`, new ones by
+ * default.
+ * @returns {Function} - The Express app.
+ */
+function createApp({
+  store = loadTaskStore(),
+  logger = console,
+  taskEvents = new TaskEventBus(),
+  idempotencyStore = new IdempotencyStore(),
+} = {}) {
+  const app = express();
+  const routes = express.Router();
+  const webhookDispatcher = new WebhookDispatcher(store.webhooks);
+  const dispatch = (event) => webhookDispatcher.dispatch(event);
+  taskEvents.on("event", dispatch);
+  // Changes are announced once they are saved.
+  const publish = () => taskEvents.publishStaged();
+  store.on("save", publish);
+  // Every open event stream waits for the shutdown.
+  app.setMaxListeners(0);
+  app.once("shutdown", () => {
+    taskEvents.off("event", dispatch);
+    store.off("save", publish);
+    webhookDispatcher.close();
+  });
 
-routes.use("/task-management", taskcontroller);
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    req.store = store;
+    req.logger = logger;
+    req.taskEvents = taskEvents;
+    req.idempotencyStore = idempotencyStore;
+    req.webhookDispatcher = webhookDispatcher;
+    next();
+  });
+  app.use(routes);
 
-app.listen(port, (err) => {
-  if (err) {
-    return console.log("Something bad happened", err);
-  }
-  console.log(`Server is listening on ${port}`);
-});
+  routes.use("/task-management", openapicontroller);
+  routes.use("/task-management", validateAgainstOpenApi);
+  routes.use("/task-management", taskcontroller);
+  routes.use("/task-management", tagcontroller);
+  routes.use("/task-management", webhookcontroller);
+  routes.use("/task-management", listcontroller);
+  routes.use("/task-management", workflowcontroller);
+  routes.use("/task-management", timecontroller);
+  routes.use("/task-management", templatecontroller);
+  routes.use("/task-management", graphqlcontroller);
+  return app;
+}
 
-module.exports = app;
+module.exports = { createApp };
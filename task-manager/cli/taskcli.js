@@ -0,0 +1,283 @@
+const { parseArgs } = require("util");
+
+const DEFAULT_BASE_URL = "http://localhost:3000/task-management";
+const PAGE_LIMIT = 100;
+
+const USAGE = `Usage: tasks <command> [options]
+
+Commands:
+  list [--completed | --pending]   List tasks
+  add <title> --desc <text>        Create a task
+  done <id>                        Mark a task as completed
+  rm <id> [--cascade]              Move a task, and with --cascade its subtasks, to the trash
+  show <id>                        Show a task
+
+Options:
+  --json         Print the JSON returned by the API instead of a table
+  --url <url>    Base URL of the API (default: $TASKS_URL or ${DEFAULT_BASE_URL})
+  -h, --help     Show this help`;
+
+const OPTIONS = {
+  completed: { type: "boolean" },
+  pending: { type: "boolean" },
+  desc: { type: "string" },
+  cascade: { type: "boolean" },
+  json: { type: "boolean" },
+  url: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Arguments each command takes, the options it requires, and the function
+ * running it.
+ */
+const COMMANDS = {
+  list: { args: [], run: listTasks },
+  add: { args: ["title"], required: ["desc"], run: addTask },
+  done: { args: ["id"], run: completeTask },
+  rm: { args: ["id"], run: removeTask },
+  show: { args: ["id"], run: showTask },
+};
+
+/**
+ * Raised for a request the API answered with an error, or could not answer.
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {Array} details - Further lines, such as the invalid fields.
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+/**
+ * Runs the tasks command line.
+ * @param {Array} argv - The arguments, without the node and script paths.
+ * @param {Object} io - `stdout`, `stderr`, `env` and `fetch`, defaulting to
+ * those of the process.
+ * @returns {Promise<number>} - The exit code: 0 on success, 1 when the API
+ * answered with an error, 2 for invalid arguments.
+ */
+async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    return usageError(stderr, err.message);
+  }
+  const { values, positionals } = parsed;
+  const [name, ...args] = positionals;
+  if (values.help || name === undefined) {
+    stdout.write(`${USAGE}\n`);
+    return values.help ? 0 : 2;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    return usageError(stderr, `Unknown command "${name}".`);
+  }
+  if (args.length !== command.args.length) {
+    return usageError(
+      stderr,
+      `"${name}" takes ${command.args.length || "no"} argument(s): ${
+        command.args.join(", ") || "none"
+      }.`
+    );
+  }
+  const missing = (command.required || []).find(
+    (option) => values[option] === undefined
+  );
+  if (missing) {
+    return usageError(stderr, `"${name}" requires --${missing}.`);
+  }
+  if (command.args[0] === "id" && !/^\d+$/.test(args[0])) {
+    return usageError(stderr, `"${args[0]}" is not a task id.`);
+  }
+  if (values.completed && values.pending) {
+    return usageError(stderr, "--completed and --pending exclude each other.");
+  }
+
+  const client = createClient(
+    values.url || (io.env || process.env).TASKS_URL || DEFAULT_BASE_URL,
+    io.fetch || fetch
+  );
+  try {
+    const output = await command.run(client, args, values);
+    stdout.write(
+      `${values.json ? JSON.stringify(output.json, null, 2) : output.text}\n`
+    );
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CliError)) {
+      throw err;
+    }
+    stderr.write(`${[err.message, ...err.details].join("\n  ")}\n`);
+    return 1;
+  }
+}
+
+async function listTasks(client, args, options) {
+  const query = new URLSearchParams({ limit: PAGE_LIMIT });
+  if (options.completed || options.pending) {
+    query.set("completed", String(Boolean(options.completed)));
+  }
+  // Pages are fetched until every matching task has been read.
+  const tasks = [];
+  let total;
+  do {
+    query.set("offset", tasks.length);
+    const page = await client.request("GET", `/v1/tasks?${query}`);
+    tasks.push(...page.tasks);
+    total = page.total;
+  } while (tasks.length < total && tasks.length > 0);
+  return { json: tasks, text: formatTable(tasks) };
+}
+
+async function addTask(client, [title], options) {
+  const task = await client.request("POST", "/v1/tasks", {
+    title,
+    description: options.desc,
+    completed: false,
+  });
+  return { json: task, text: formatTask(task) };
+}
+
+async function completeTask(client, [id]) {
+  const task = await client.request(
+    "PATCH",
+    `/v1/tasks/${id}`,
+    { completed: true },
+    "application/merge-patch+json"
+  );
+  return { json: task, text: formatTask(task) };
+}
+
+async function removeTask(client, [id], options) {
+  const cascade = options.cascade ? "?cascade=true" : "";
+  const tasks = await client.request("DELETE", `/v1/tasks/${id}${cascade}`);
+  return {
+    json: tasks,
+    text: `Moved to the trash: ${tasks.map((task) => task.id).join(", ")}`,
+  };
+}
+
+async function showTask(client, [id]) {
+  const task = await client.request("GET", `/v1/tasks/${id}`);
+  return { json: task, text: formatTask(task) };
+}
+
+/**
+ * Returns a client sending requests to the task API.
+ * @param {string} baseUrl - The URL the route paths are appended to.
+ * @param {Function} fetchImpl - The fetch function.
+ */
+function createClient(baseUrl, fetchImpl) {
+  const base = baseUrl.replace(/\/+$/, "");
+  return {
+    /**
+     * @returns {Promise<*>} - The parsed JSON body of a successful response.
+     * @throws {CliError} - When the API cannot be reached or answers with
+     * an error status.
+     */
+    async request(method, path, body, contentType = "application/json") {
+      const url = `${base}${path}`;
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          method,
+          headers: body === undefined ? {} : { "Content-Type": contentType },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+      } catch (err) {
+        // fetch reports "fetch failed"; the cause says why, e.g. ECONNREFUSED.
+        const reason = (err.cause || err).message;
+        throw new CliError(`Could not reach ${url}: ${reason}`);
+      }
+      const text = await response.text();
+      const isJson = (response.headers.get("Content-Type") || "").includes(
+        "json"
+      );
+      const parsed = isJson && text ? JSON.parse(text) : text;
+      if (!response.ok) {
+        throw toCliError(response.status, parsed);
+      }
+      return parsed;
+    },
+  };
+}
+
+/**
+ * Builds the error of an API error response: the plain message, or the
+ * message and each invalid field of a validation failure.
+ */
+function toCliError(status, body) {
+  if (typeof body === "string") {
+    return new CliError(`Error ${status}: ${body}`);
+  }
+  return new CliError(
+    `Error ${status}: ${body.message}`,
+    (body.errors || []).map(({ field, message }) =>
+      field ? `${field}: ${message}` : message
+    )
+  );
+}
+
+/**
+ * Formats tasks as a table with one line per task.
+ */
+function formatTable(tasks) {
+  if (tasks.length === 0) {
+    return "No tasks found";
+  }
+  const rows = [
+    ["ID", "DONE", "TITLE", "DUE", "TAGS"],
+    ...tasks.map((task) => [
+      String(task.id),
+      task.completed ? "x" : "",
+      task.title,
+      task.dueDate || "",
+      (task.tags || []).join(","),
+    ]),
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * Formats a task with one line per property.
+ */
+function formatTask(task) {
+  const width = Math.max(...Object.keys(task).map((key) => key.length));
+  return Object.entries(task)
+    .map(
+      ([key, value]) =>
+        `${`${key}:`.padEnd(width + 2)}${
+          Array.isArray(value) ? value.join(", ") : value
+        }`
+    )
+    .join("\n");
+}
+
+function usageError(stderr, message) {
+  stderr.write(`${message}\n\n${USAGE}\n`);
+  return 2;
+}
+
+module.exports = { DEFAULT_BASE_URL, run };
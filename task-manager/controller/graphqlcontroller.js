@@ -0,0 +1,239 @@
+const express = require("express");
+const graphqlController = require("express").Router();
+const { GraphQLError, parse, validate, execute } = require("graphql");
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const {
+  TaskError,
+  findTask,
+  createTask,
+  updateTask,
+  deleteTask,
+} = require("../service/taskservice");
+const { recordChanges } = require("../service/taskhistory");
+const { findList, getDefaultList } = require("../service/tasklists");
+const { parseTaskQuery, applyTaskQuery } = require("../helpers/taskquery");
+const { getSubtasks } = require("../helpers/tasktree");
+const { presentTask } = require("../helpers/taskpresenter");
+const { applyMergePatch } = require("../helpers/patch");
+const { TASK_GRAPHQL_SCHEMA } = require("../helpers/graphqlschema");
+const { useStore } = require("../helpers/routing");
+
+graphqlController.use(express.json());
+graphqlController.use(useStore);
+
+/**
+ * Resolvers of the queries and mutations of TASK_GRAPHQL_SCHEMA. They go
+ * through the same service functions as the REST routes, so writes are
+ * validated, versioned, recorded in the history and announced as events
+ * the same way. Each mutation is saved on its own: when a request holds
+ * several, those before a failing one stay applied. The context holds the
+ * task store and the event feed of the request.
+ */
+const rootValue = {
+  task({ id, listId }, { store }) {
+    const list = resolveList(store, listId);
+    const task = findTask(list.tasks, id);
+    return task ? presentGraphqlTask(task, list.tasks) : null;
+  },
+
+  tasks({ listId, ...filters }, { store }) {
+    const list = resolveList(store, listId);
+    const { error, options } = parseTaskQuery(toQuery(filters));
+    if (error) {
+      throw new TaskError(HTTP_STATUS_CODES.BAD_REQUEST, error);
+    }
+    const result = applyTaskQuery(list.tasks, options);
+    return {
+      tasks: result.page.map((task) => presentGraphqlTask(task, list.tasks)),
+      total: result.total,
+      limit: options.limit,
+      offset: options.offset,
+    };
+  },
+
+  createTask({ input, listId }, { store, taskEvents }) {
+    const list = resolveList(store, listId);
+    const task = recordChanges(taskEvents, list, () =>
+      createTask(list, { ...input })
+    );
+    store.save();
+    return presentGraphqlTask(task, list.tasks);
+  },
+
+  updateTask({ id, input, cascade, listId }, context) {
+    const list = resolveList(context.store, listId);
+    return patchTask(context, list, id, { ...input }, cascade);
+  },
+
+  deleteTask({ id, cascade, listId }, { store, taskEvents }) {
+    const list = resolveList(store, listId);
+    const deletedTasks = recordChanges(taskEvents, list, () =>
+      deleteTask(list, id, { cascade: cascade === true })
+    );
+    store.save();
+    return deletedTasks.map((task) => presentGraphqlTask(task, list.tasks));
+  },
+
+  toggleComplete({ id, cascade, listId }, context) {
+    const list = resolveList(context.store, listId);
+    const task = findTask(list.tasks, id);
+    if (!task) {
+      throw new TaskError(
+        HTTP_STATUS_CODES.NOT_FOUND,
+        RESPONSE_MESSAGES.TASK_NOT_FOUND(id)
+      );
+    }
+    return patchTask(
+      context,
+      list,
+      id,
+      { completed: !task.completed },
+      cascade
+    );
+  },
+};
+
+graphqlController.post("/graphql", async (req, res) => {
+  try {
+    const { query, variables, operationName } = req.body || {};
+    if (typeof query !== "string") {
+      return res.status(HTTP_STATUS_CODES.BAD_REQUEST).send({
+        errors: [{ message: RESPONSE_MESSAGES.GRAPHQL_QUERY_REQUIRED }],
+      });
+    }
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ errors: [formatError(err, req.logger)] });
+    }
+    const errors = validate(TASK_GRAPHQL_SCHEMA, document);
+    if (errors.length > 0) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({
+          errors: errors.map((error) => formatError(error, req.logger)),
+        });
+    }
+    const result = await execute({
+      schema: TASK_GRAPHQL_SCHEMA,
+      document,
+      rootValue,
+      contextValue: { store: req.store, taskEvents: req.taskEvents },
+      variableValues: variables,
+      operationName,
+    });
+    // Without data, the operation did not run, e.g. because a variable is
+    // invalid; with data, errors only concern some of the fields.
+    return res
+      .status(
+        result.data === undefined
+          ? HTTP_STATUS_CODES.BAD_REQUEST
+          : HTTP_STATUS_CODES.SUCCESS
+      )
+      .send({
+        ...result,
+        ...(result.errors && {
+          errors: result.errors.map((error) => formatError(error, req.logger)),
+        }),
+      });
+  } catch (err) {
+    req.logger.error("Error logged " + err);
+    return res
+      .status(HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR)
+      .send(RESPONSE_MESSAGES.INTERNAL_SERVER_ERROR);
+  }
+});
+
+/**
+ * Applies a merge patch to a task, like PATCH /v1/tasks/:id.
+ * @param {Object} context - `{ store, taskEvents }` of the request.
+ */
+function patchTask({ store, taskEvents }, list, id, patch, cascade) {
+  const existingTask = findTask(list.tasks, id);
+  if (!existingTask) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.TASK_NOT_FOUND(id)
+    );
+  }
+  const task = recordChanges(taskEvents, list, () =>
+    updateTask(list, id, applyMergePatch(existingTask, patch), {
+      cascade: cascade === true,
+      method: "PATCH",
+      message: RESPONSE_MESSAGES.VALIDATION_FAILED_PATCH,
+    })
+  );
+  store.save();
+  return presentGraphqlTask(task, list.tasks);
+}
+
+/**
+ * Returns the task list an operation works on: the default one when no
+ * `listId` is given.
+ */
+function resolveList(store, listId) {
+  if (listId === undefined || listId === null) {
+    return getDefaultList(store);
+  }
+  const list = findList(store, listId);
+  if (!list) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.LIST_NOT_FOUND(listId)
+    );
+  }
+  return list;
+}
+
+/**
+ * Returns a presented task whose `subtasks` are only looked up when the
+ * query selects them.
+ */
+function presentGraphqlTask(task, tasks) {
+  return {
+    ...presentTask(task, tasks),
+    subtasks: () =>
+      getSubtasks(tasks, task.id).map((child) =>
+        presentGraphqlTask(child, tasks)
+      ),
+  };
+}
+
+/**
+ * Converts the arguments of the `tasks` query to the query string
+ * parameters of GET /v1/tasks, so that parseTaskQuery checks them.
+ */
+function toQuery(filters) {
+  const query = {};
+  for (const [name, value] of Object.entries(filters)) {
+    if (value !== null && value !== undefined) {
+      query[name] = Array.isArray(value) ? value : String(value);
+    }
+  }
+  return query;
+}
+
+/**
+ * Formats a GraphQL error for the response. Errors of the task operations
+ * carry their HTTP status and validation errors in `extensions`; unexpected
+ * errors are logged and hidden behind a generic message.
+ */
+function formatError(error, logger) {
+  const formatted = error.toJSON();
+  const { originalError } = error;
+  if (originalError instanceof TaskError) {
+    formatted.extensions = {
+      status: originalError.status,
+      ...(originalError.errors && { errors: originalError.errors }),
+    };
+  } else if (originalError && !(originalError instanceof GraphQLError)) {
+    logger.error("Error logged " + originalError);
+    formatted.message = RESPONSE_MESSAGES.INTERNAL_SERVER_ERROR;
+  }
+  return formatted;
+}
+
+module.exports = graphqlController;
@@ -0,0 +1,85 @@
+const express = require("express");
+const listController = require("express").Router();
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { recordChanges } = require("../service/taskhistory");
+const {
+  findList,
+  createList,
+  updateList,
+  deleteList,
+} = require("../service/tasklists");
+const { removeTimeEntries } = require("../service/timetracking");
+const { parseBooleanParameter } = require("../helpers/taskquery");
+const { useStore, sendError } = require("../helpers/routing");
+
+listController.use(express.json());
+listController.use(useStore);
+
+listController.get("/v1/lists", (req, res) => {
+  return res
+    .status(HTTP_STATUS_CODES.SUCCESS)
+    .send(req.store.lists.map(presentList));
+});
+
+listController.get("/v1/lists/:listId", (req, res) => {
+  const list = findList(req.store, req.params.listId);
+  if (!list) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.LIST_NOT_FOUND(req.params.listId));
+  }
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(presentList(list));
+});
+
+listController.post("/v1/lists", (req, res) => {
+  try {
+    const list = createList(req.store, req.body);
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.CREATED).send(presentList(list));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+listController.put("/v1/lists/:listId", (req, res) => {
+  try {
+    const list = updateList(req.store, req.params.listId, req.body);
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(presentList(list));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+listController.delete("/v1/lists/:listId", (req, res) => {
+  try {
+    const cascade = parseBooleanParameter(req.query, "cascade");
+    if (cascade === null) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("cascade"));
+    }
+    const list = deleteList(req.store, req.params.listId, { cascade });
+    const deleted = presentList(list);
+    // Subscribers learn that the tasks of the list are gone.
+    recordChanges(req.taskEvents, list, () => {
+      list.tasks.length = 0;
+      list.trash.length = 0;
+    });
+    removeTimeEntries(req.store, list.id);
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(deleted);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+/**
+ * Returns a list without its tasks, with the number of tasks it holds
+ * outside the trash.
+ */
+function presentList(list) {
+  return { id: list.id, name: list.name, taskCount: list.tasks.length };
+}
+
+module.exports = listController;
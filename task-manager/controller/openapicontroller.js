@@ -0,0 +1,39 @@
+const openapiController = require("express").Router();
+const { HTTP_STATUS_CODES } = require("../helpers/constants");
+const { OPENAPI_DOCUMENT } = require("../helpers/openapi");
+
+// The Redoc bundle is pinned to one version, and its Subresource Integrity
+// hash keeps the browser from running anything else served under its URL.
+const REDOC_SCRIPT = {
+  src: "https://cdn.jsdelivr.net/npm/redoc@2.5.4/bundles/redoc.standalone.js",
+  integrity:
+    "sha384-w447zOpYfw/1Tv/5AK9NfHTlQIqE3RVR6KY62jCyy9zNDgO64cMwGGP1Fj0zJVf5",
+};
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${OPENAPI_DOCUMENT.info.title}</title>
+  </head>
+  <body>
+    <redoc spec-url="openapi.json"></redoc>
+    <script
+      src="${REDOC_SCRIPT.src}"
+      integrity="${REDOC_SCRIPT.integrity}"
+      crossorigin="anonymous"
+    ></script>
+  </body>
+</html>
+`;
+
+openapiController.get("/openapi.json", (req, res) => {
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(OPENAPI_DOCUMENT);
+});
+
+// Renders the document in the browser.
+openapiController.get("/docs", (req, res) => {
+  return res.status(HTTP_STATUS_CODES.SUCCESS).type("html").send(DOCS_PAGE);
+});
+
+module.exports = openapiController;
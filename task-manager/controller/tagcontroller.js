@@ -0,0 +1,123 @@
+const express = require("express");
+const tagController = require("express").Router();
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { validate } = require("../helpers/validator");
+const { TAG_SCHEMA } = require("../helpers/schemas");
+const { countTags, replaceTag } = require("../helpers/tags");
+const { bumpVersion } = require("../helpers/versioning");
+const { recordChanges } = require("../service/taskhistory");
+const { useStore, sendError } = require("../helpers/routing");
+
+tagController.use(express.json());
+tagController.use(useStore);
+
+// Tags are shared by the task lists: they are counted, renamed and merged
+// across all of them.
+tagController.get("/v1/tags", (req, res) => {
+  return res
+    .status(HTTP_STATUS_CODES.SUCCESS)
+    .send(countTags(getAllTasks(req.store)));
+});
+
+tagController.post("/v1/tags/:tag/rename", (req, res) => {
+  try {
+    const { tag } = req.params;
+    const name = req.body && req.body.name;
+    const errors = validate(name, TAG_SCHEMA, {}, "name");
+    if (errors.length > 0) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ message: RESPONSE_MESSAGES.VALIDATION_FAILED_TAG, errors });
+    }
+    if (!isTagUsed(req.store, tag)) {
+      return res
+        .status(HTTP_STATUS_CODES.NOT_FOUND)
+        .send(RESPONSE_MESSAGES.TAG_NOT_FOUND(tag));
+    }
+    if (name === tag) {
+      // Nothing changes, so no task gets a new version.
+      return sendTagUsage(req, res, tag);
+    }
+    if (isTagUsed(req.store, name)) {
+      return res
+        .status(HTTP_STATUS_CODES.CONFLICT)
+        .send(RESPONSE_MESSAGES.TAG_ALREADY_EXISTS(name));
+    }
+    return sendReplacedTag(req, res, tag, name);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+tagController.post("/v1/tags/:tag/merge", (req, res) => {
+  try {
+    const { tag } = req.params;
+    const into = req.body && req.body.into;
+    const errors = validate(into, TAG_SCHEMA, {}, "into");
+    if (errors.length > 0) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ message: RESPONSE_MESSAGES.VALIDATION_FAILED_TAG, errors });
+    }
+    if (into === tag) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.TAG_MERGE_INTO_ITSELF);
+    }
+    if (!isTagUsed(req.store, tag)) {
+      return res
+        .status(HTTP_STATUS_CODES.NOT_FOUND)
+        .send(RESPONSE_MESSAGES.TAG_NOT_FOUND(tag));
+    }
+    return sendReplacedTag(req, res, tag, into);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+/**
+ * Returns whether a tag is used by any task, including tasks in the trash.
+ */
+function isTagUsed(store, tag) {
+  return store.lists.some((list) =>
+    [...list.tasks, ...list.trash].some((task) =>
+      (task.tags || []).includes(tag)
+    )
+  );
+}
+
+/**
+ * Replaces a tag on every task of every list, trashed ones included so they
+ * come back consistent when restored, and answers with the usage of the new
+ * tag. Trashed tasks keep their version, so the change is neither recorded
+ * nor announced for them; restoring them gives them a new one.
+ */
+function sendReplacedTag(req, res, from, to) {
+  for (const list of req.store.lists) {
+    recordChanges(req.taskEvents, list, () => {
+      replaceTag(list.tasks, from, to).forEach(bumpVersion);
+      replaceTag(list.trash, from, to);
+    });
+  }
+  req.store.save();
+  return sendTagUsage(req, res, to);
+}
+
+/**
+ * Answers with the number of tasks, outside the trash, using a tag.
+ */
+function sendTagUsage(req, res, tag) {
+  const usage = countTags(getAllTasks(req.store)).find(
+    (entry) => entry.tag === tag
+  );
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(usage || { tag, count: 0 });
+}
+
+/**
+ * @returns {Array} - The tasks of every list, outside the trash.
+ */
+function getAllTasks(store) {
+  return store.lists.flatMap((list) => list.tasks);
+}
+
+module.exports = tagController;
@@ -1,108 +1,724 @@
 const express = require("express");
 const taskController = require("express").Router();
-const { validateObjectTypeAndProperties } = require("../helpers/validator");
+const taskRoutes = require("express").Router({ mergeParams: true });
 const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const {
+  TaskError,
+  findTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  restoreTask,
+  purgeTrash,
+  moveTask,
+  applyBulkOperations,
+  getNextId,
+  MAX_BULK_OPERATIONS,
+} = require("../service/taskservice");
+const {
+  recordChanges,
+  getTaskHistory,
+  revertTask,
+} = require("../service/taskhistory");
+const {
+  MAX_KEY_LENGTH,
+  isValidKey,
+  fingerprintRequest,
+} = require("../service/idempotency");
+const { resolveMoveTarget } = require("../service/tasklists");
+const {
+  moveTimeEntries,
+  removeTimeEntries,
+} = require("../service/timetracking");
+const {
+  parseTaskQuery,
+  parseBooleanParameter,
+  applyTaskQuery,
+  buildTaskPage,
+} = require("../helpers/taskquery");
+const { getSubtasks } = require("../helpers/tasktree");
+const { getDependencyGraph } = require("../helpers/dependencies");
+const { presentTask, buildTaskTree } = require("../helpers/taskpresenter");
+const {
+  MERGE_PATCH_CONTENT_TYPE,
+  JSON_PATCH_CONTENT_TYPE,
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch,
+} = require("../helpers/patch");
+const {
+  DEFAULT_UPCOMING_DAYS,
+  MAX_UPCOMING_DAYS,
+  getOverdueTasks,
+  getUpcomingTasks,
+} = require("../helpers/recurrence");
+const { formatETag, matchesIfMatch } = require("../helpers/versioning");
+const { readQuickAdd } = require("../helpers/quickadd");
+const { useListRoutes, useStore, sendError } = require("../helpers/routing");
+const {
+  EXPORT_FORMATS,
+  toExportedTask,
+  formatTasksCsv,
+  readJsonImport,
+  readCsvImport,
+  linkImportedRows,
+} = require("../helpers/tasktransfer");
 
-taskController.use(express.json());
+taskController.use(
+  express.json({
+    type: [
+      "application/json",
+      MERGE_PATCH_CONTENT_TYPE,
+      JSON_PATCH_CONTENT_TYPE,
+    ],
+  })
+);
+taskController.use(express.text({ type: "text/csv", limit: "1mb" }));
+taskController.use(useStore);
 
-const tasks = [];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DEFAULT_HEARTBEAT_SECONDS = 15;
 
-taskController.get("/v1/tasks", (req, res) => {
-  if (tasks.length === 0) {
+// The task routes work on one task list, `req.list` (see useListRoutes).
+useListRoutes(taskController, taskRoutes);
+
+// Express tags every response body with an ETag and answers a GET whose
+// If-None-Match matches it with 304 Not Modified, so unchanged pages of
+// tasks are not sent again. Single tasks use their version as the ETag.
+taskRoutes.get("/", (req, res) => {
+  const { tasks } = req.list;
+  const { error, options } = parseTaskQuery(req.query);
+  if (error) {
+    return res.status(HTTP_STATUS_CODES.BAD_REQUEST).send(error);
+  }
+  const result = applyTaskQuery(tasks, options);
+  result.page = result.page.map((task) =>
+    options.view === "tree"
+      ? buildTaskTree(task, tasks)
+      : presentTask(task, tasks)
+  );
+  return res
+    .status(HTTP_STATUS_CODES.SUCCESS)
+    .send(buildTaskPage(req, result, options));
+});
+
+taskRoutes.get("/trash", (req, res) => {
+  const trash = [...req.list.trash].sort(
+    (a, b) => b.deletedAt.localeCompare(a.deletedAt) || a.id - b.id
+  );
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(trash);
+});
+
+taskRoutes.delete("/trash", (req, res) => {
+  try {
+    const retentionMs = getTrashRetentionMs();
+    const purged = recordChanges(req.taskEvents, req.list, () =>
+      purgeTrash(req.list, retentionMs)
+    );
+    removeTimeEntries(
+      req.store,
+      req.list.id,
+      purged.map((task) => task.id)
+    );
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(purged);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.get("/overdue", (req, res) => {
+  const { tasks } = req.list;
+  const overdue = getOverdueTasks(tasks, Date.now()).map((task) =>
+    presentTask(task, tasks)
+  );
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(overdue);
+});
+
+taskRoutes.get("/upcoming", (req, res) => {
+  const { tasks } = req.list;
+  let days = DEFAULT_UPCOMING_DAYS;
+  if (req.query.days !== undefined) {
+    days = Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_UPCOMING_DAYS) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("days"));
+    }
+  }
+  const upcoming = getUpcomingTasks(tasks, Date.now(), days).map((task) =>
+    presentTask(task, tasks)
+  );
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(upcoming);
+});
+
+taskRoutes.get("/stream", (req, res) => {
+  res.status(HTTP_STATUS_CODES.SUCCESS).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId !== undefined) {
+    const missed = req.taskEvents.getEventsAfter(lastEventId);
+    if (missed === null) {
+      // The missed events are gone: tell the client to reload the tasks.
+      res.write("event: reset\ndata: {}\n\n");
+    } else {
+      missed
+        .filter((event) => event.listId === req.list.id)
+        .forEach((event) => writeEvent(res, event));
+    }
+  }
+  const listener = (event) => {
+    if (event.listId === req.list.id) {
+      writeEvent(res, event);
+    }
+  };
+  req.taskEvents.on("event", listener);
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    getHeartbeatMs()
+  );
+  // Streams never finish on their own; they end when the app shuts down, so
+  // that the server can close and clients reconnect elsewhere.
+  const end = () => res.end();
+  req.app.on("shutdown", end);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    req.taskEvents.off("event", listener);
+    req.app.off("shutdown", end);
+  });
+});
+
+taskRoutes.get("/export", (req, res) => {
+  const { tasks } = req.list;
+  const format = req.query.format === undefined ? "json" : req.query.format;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res
+      .status(HTTP_STATUS_CODES.BAD_REQUEST)
+      .send(RESPONSE_MESSAGES.INVALID_EXPORT_FORMAT);
+  }
+  res.status(HTTP_STATUS_CODES.SUCCESS).attachment(`tasks.${format}`);
+  return format === "csv"
+    ? res.send(formatTasksCsv(tasks))
+    : res.send({ tasks: tasks.map(toExportedTask) });
+});
+
+taskRoutes.post("/import", (req, res) => {
+  const { tasks } = req.list;
+  try {
+    const dryRun = parseBooleanParameter(req.query, "dryRun");
+    if (dryRun === null) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("dryRun"));
+    }
+    let parsed;
+    if (req.is("text/csv")) {
+      parsed = readCsvImport(req.body, req.query.map);
+    } else if (req.is("application/json")) {
+      parsed = readJsonImport(req.body);
+    } else {
+      return res
+        .status(HTTP_STATUS_CODES.UNSUPPORTED_MEDIA_TYPE)
+        .send(RESPONSE_MESSAGES.UNSUPPORTED_IMPORT_CONTENT_TYPE);
+    }
+    if (parsed.error) {
+      return res.status(HTTP_STATUS_CODES.BAD_REQUEST).send(parsed.error);
+    }
+    const { imported, failures } = importTasks(
+      req,
+      parsed.rows,
+      dryRun === true
+    );
+    const body = {
+      dryRun: dryRun === true,
+      total: parsed.rows.length,
+      imported: imported.length,
+      failures,
+      tasks: imported.map((task) => presentTask(task, tasks)),
+    };
+    if (failures.length > 0 && !dryRun) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ message: RESPONSE_MESSAGES.IMPORT_FAILED, ...body });
+    }
+    return res
+      .status(dryRun ? HTTP_STATUS_CODES.SUCCESS : HTTP_STATUS_CODES.CREATED)
+      .send(body);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.get("/:id", (req, res) => {
+  const { tasks } = req.list;
+  const idToFetch = req.params.id;
+  const task = findTask(tasks, idToFetch);
+  if (!task) {
     return res
       .status(HTTP_STATUS_CODES.NOT_FOUND)
-      .send(RESPONSE_MESSAGES.NO_TASKS_FOUND);
+      .send(RESPONSE_MESSAGES.TASK_NOT_FOUND(idToFetch));
   } else {
-    return res.status(HTTP_STATUS_CODES.SUCCESS).send(tasks);
+    return res
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .set("ETag", formatETag(task))
+      .send(presentTask(task, tasks));
   }
 });
 
-taskController.get("/v1/tasks/:id", (req, res) => {
+taskRoutes.get("/:id/history", (req, res) => {
+  const { tasks } = req.list;
   const idToFetch = req.params.id;
-  const task = tasks.find((task) => task.id === parseInt(idToFetch));
+  const history = getTaskHistory(req.list, idToFetch);
+  if (
+    history.length === 0 &&
+    !findTask(tasks, idToFetch) &&
+    !findTask(req.list.trash, idToFetch)
+  ) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.TASK_NOT_FOUND(idToFetch));
+  }
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(history);
+});
+
+taskRoutes.get("/:id/subtasks", (req, res) => {
+  const { tasks } = req.list;
+  const idToFetch = req.params.id;
+  const task = findTask(tasks, idToFetch);
+  if (!task) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.TASK_NOT_FOUND(idToFetch));
+  }
+  const subtasks = getSubtasks(tasks, task.id).map((subtask) =>
+    presentTask(subtask, tasks)
+  );
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(subtasks);
+});
+
+taskRoutes.get("/:id/dependencies", (req, res) => {
+  const { tasks } = req.list;
+  const idToFetch = req.params.id;
+  const task = findTask(tasks, idToFetch);
   if (!task) {
     return res
       .status(HTTP_STATUS_CODES.NOT_FOUND)
       .send(RESPONSE_MESSAGES.TASK_NOT_FOUND(idToFetch));
-  } else {
-    return res.status(HTTP_STATUS_CODES.SUCCESS).send(task);
   }
+  const { order, edges, next } = getDependencyGraph(task, tasks);
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send({
+    id: task.id,
+    tasks: order.map((task) => presentTask(task, tasks)),
+    edges,
+    next: next.map((task) => task.id),
+  });
 });
 
-taskController.post("/v1/tasks", (req, res) => {
+taskRoutes.post("/", replayIdempotentRequest, (req, res) => {
+  const { tasks } = req.list;
   try {
-    const task = req.body;
-    if (validateObjectTypeAndProperties(task, req.method)) {
-      task.id =
-        tasks.length === 0 ? 1 : getLargestId(tasks.map((task) => task.id));
-      tasks.push(task);
-      return res.status(HTTP_STATUS_CODES.CREATED).send(task);
-    } else {
+    const task = recordChanges(req.taskEvents, req.list, () =>
+      createTask(req.list, req.body)
+    );
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.CREATED)
+      .set("ETag", formatETag(task))
+      .send(presentTask(task, tasks));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+// Creates a task from one line of text. The response echoes how each word
+// was read, also when the task it leads to fails validation.
+taskRoutes.post("/quick", replayIdempotentRequest, (req, res) => {
+  const { tasks } = req.list;
+  const { errors, task: parsed, tokens } = readQuickAdd(req.body);
+  if (errors) {
+    return res.status(HTTP_STATUS_CODES.BAD_REQUEST).send({
+      message: RESPONSE_MESSAGES.VALIDATION_FAILED_QUICK_ADD,
+      errors,
+    });
+  }
+  try {
+    const task = recordChanges(req.taskEvents, req.list, () =>
+      createTask(req.list, parsed)
+    );
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.CREATED)
+      .set("ETag", formatETag(task))
+      .send({ task: presentTask(task, tasks), tokens });
+  } catch (err) {
+    if (err instanceof TaskError) {
+      return res
+        .status(err.status)
+        .send({ message: err.message, errors: err.errors || [], tokens });
+    }
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.post("/bulk", (req, res) => {
+  const { tasks } = req.list;
+  try {
+    const operations = req.body;
+    if (
+      !Array.isArray(operations) ||
+      operations.length === 0 ||
+      operations.length > MAX_BULK_OPERATIONS
+    ) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.BULK_BODY_INVALID(MAX_BULK_OPERATIONS));
+    }
+    const { applied, results } = recordChanges(req.taskEvents, req.list, () =>
+      applyBulkOperations(req.list, operations)
+    );
+    if (!applied) {
       return res
         .status(HTTP_STATUS_CODES.BAD_REQUEST)
-        .send(RESPONSE_MESSAGES.VALIDATION_FAILED_CREATE);
+        .send({ message: RESPONSE_MESSAGES.BULK_FAILED, applied, results });
     }
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send({
+      applied,
+      results: results.map((result) => ({
+        ...result,
+        ...(result.task && { task: presentTask(result.task, tasks) }),
+      })),
+    });
   } catch (err) {
-    console.log("Error logged " + err);
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.post("/:id/restore", (req, res) => {
+  const { tasks } = req.list;
+  try {
+    const restoredTasks = recordChanges(req.taskEvents, req.list, () =>
+      restoreTask(req.list, req.params.id)
+    );
+    req.store.save();
     return res
-      .status(HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR)
-      .send(RESPONSE_MESSAGES.INTERNAL_SERVER_ERROR);
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .send(restoredTasks.map((task) => presentTask(task, tasks)));
+  } catch (err) {
+    return sendError(req, res, err);
   }
 });
 
-taskController.put("/v1/tasks/:id", (req, res) => {
+taskRoutes.post("/:id/revert/:version", (req, res) => {
+  const { tasks } = req.list;
   try {
-    const taskId = req.params.id;
-    const task = req.body;
-    const taskToUpdateIndex = tasks.findIndex(
-      (task) => task.id === parseInt(taskId)
+    if (isPreconditionFailed(req)) {
+      return res
+        .status(HTTP_STATUS_CODES.PRECONDITION_FAILED)
+        .send(RESPONSE_MESSAGES.TASK_VERSION_MISMATCH(req.params.id));
+    }
+    const task = recordChanges(req.taskEvents, req.list, () =>
+      revertTask(req.list, req.params.id, req.params.version)
     );
-    if (taskToUpdateIndex === -1) {
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .set("ETag", formatETag(task))
+      .send(presentTask(task, tasks));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.post("/:id/move", (req, res) => {
+  try {
+    if (isPreconditionFailed(req)) {
       return res
-        .status(HTTP_STATUS_CODES.NOT_FOUND)
-        .send(RESPONSE_MESSAGES.RESOURCE_NOT_FOUND);
-    } else if (validateObjectTypeAndProperties(task, req.method)) {
-      task.id = parseInt(taskId);
-      tasks[taskToUpdateIndex] = task;
-      return res.status(HTTP_STATUS_CODES.SUCCESS).send(task);
-    } else {
+        .status(HTTP_STATUS_CODES.PRECONDITION_FAILED)
+        .send(RESPONSE_MESSAGES.TASK_VERSION_MISMATCH(req.params.id));
+    }
+    const target = resolveMoveTarget(req.store, req.body);
+    // Both lists record the move: a deletion in one, a creation in the other.
+    const { tasks: movedTasks, newIds } = recordChanges(
+      req.taskEvents,
+      req.list,
+      () =>
+        recordChanges(req.taskEvents, target, () =>
+          moveTask(req.list, target, req.params.id)
+        )
+    );
+    moveTimeEntries(req.store, req.list, target, newIds);
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .send(movedTasks.map((task) => presentTask(task, target.tasks)));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.put("/:id", (req, res) => {
+  const { tasks } = req.list;
+  try {
+    const cascade = parseBooleanParameter(req.query, "cascade");
+    if (cascade === null) {
       return res
         .status(HTTP_STATUS_CODES.BAD_REQUEST)
-        .send(RESPONSE_MESSAGES.VALIDATION_FAILED_UPDATE);
+        .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("cascade"));
     }
-  } catch (err) {
-    console.log("Error logged " + err);
+    if (isPreconditionFailed(req)) {
+      return res
+        .status(HTTP_STATUS_CODES.PRECONDITION_FAILED)
+        .send(RESPONSE_MESSAGES.TASK_VERSION_MISMATCH(req.params.id));
+    }
+    const task = recordChanges(req.taskEvents, req.list, () =>
+      updateTask(req.list, req.params.id, req.body, { cascade })
+    );
+    req.store.save();
     return res
-      .status(HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR)
-      .send(RESPONSE_MESSAGES.INTERNAL_SERVER_ERROR);
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .set("ETag", formatETag(task))
+      .send(presentTask(task, tasks));
+  } catch (err) {
+    return sendError(req, res, err);
   }
 });
 
-taskController.delete("/v1/tasks/:id", (req, res) => {
+taskRoutes.patch("/:id", (req, res) => {
+  const { tasks } = req.list;
   try {
     const taskId = req.params.id;
-    const taskIndexToDelete = tasks.findIndex(
-      (task) => task.id === parseInt(taskId)
-    );
-    if (taskIndexToDelete === -1) {
+    const cascade = parseBooleanParameter(req.query, "cascade");
+    if (cascade === null) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("cascade"));
+    }
+    const existingTask = findTask(tasks, taskId);
+    if (!existingTask) {
       return res
         .status(HTTP_STATUS_CODES.NOT_FOUND)
         .send(RESPONSE_MESSAGES.RESOURCE_NOT_FOUND);
+    }
+    if (isPreconditionFailed(req)) {
+      return res
+        .status(HTTP_STATUS_CODES.PRECONDITION_FAILED)
+        .send(RESPONSE_MESSAGES.TASK_VERSION_MISMATCH(taskId));
+    }
+    let patchedTask;
+    if (req.is(MERGE_PATCH_CONTENT_TYPE)) {
+      patchedTask = applyMergePatch(existingTask, req.body);
+    } else if (req.is(JSON_PATCH_CONTENT_TYPE)) {
+      patchedTask = applyJsonPatch(existingTask, req.body);
     } else {
-      const deletedTask = tasks.splice(taskIndexToDelete, 1);
-      return res.status(HTTP_STATUS_CODES.SUCCESS).send(deletedTask);
+      return res
+        .status(HTTP_STATUS_CODES.UNSUPPORTED_MEDIA_TYPE)
+        .send(RESPONSE_MESSAGES.UNSUPPORTED_PATCH_CONTENT_TYPE);
     }
-  } catch (err) {
-    console.log("Error logged " + err);
+    if (
+      patchedTask !== null &&
+      typeof patchedTask === "object" &&
+      patchedTask.id !== existingTask.id
+    ) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.TASK_ID_IMMUTABLE);
+    }
+    const task = recordChanges(req.taskEvents, req.list, () =>
+      updateTask(req.list, taskId, patchedTask, {
+        cascade,
+        method: req.method,
+        message: RESPONSE_MESSAGES.VALIDATION_FAILED_PATCH,
+      })
+    );
+    req.store.save();
     return res
-      .status(HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR)
-      .send(RESPONSE_MESSAGES.INTERNAL_SERVER_ERROR);
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .set("ETag", formatETag(task))
+      .send(presentTask(task, tasks));
+  } catch (err) {
+    if (err instanceof PatchError) {
+      return res
+        .status(
+          err.code === "TEST_FAILED"
+            ? HTTP_STATUS_CODES.CONFLICT
+            : HTTP_STATUS_CODES.BAD_REQUEST
+        )
+        .send(err.message);
+    }
+    return sendError(req, res, err);
+  }
+});
+
+taskRoutes.delete("/:id", (req, res) => {
+  try {
+    const cascade = parseBooleanParameter(req.query, "cascade");
+    if (cascade === null) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("cascade"));
+    }
+    if (isPreconditionFailed(req)) {
+      return res
+        .status(HTTP_STATUS_CODES.PRECONDITION_FAILED)
+        .send(RESPONSE_MESSAGES.TASK_VERSION_MISMATCH(req.params.id));
+    }
+    const deletedTasks = recordChanges(req.taskEvents, req.list, () =>
+      deleteTask(req.list, req.params.id, { cascade })
+    );
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(deletedTasks);
+  } catch (err) {
+    return sendError(req, res, err);
   }
 });
 
-function getLargestId(taskIds) {
-  taskIds.sort((a, b) => b - a);
-  return taskIds[0] + 1;
+/**
+ * Creates the tasks of an import all-or-nothing, as bulk create operations,
+ * linked to each other (see linkImportedRows). A dry run works on a copy of
+ * the list and never saves it.
+ * @param {Object} req - The request: its task store, saved after a
+ * successful import, its list, imported into, and its event feed.
+ * @param {Array} rows - `{ row, task }` or `{ row, message }` entries.
+ * @param {boolean} dryRun - Whether to only check the rows.
+ * @returns {{imported: Array, failures: Array}} - The created tasks, and one
+ * `{ row, message, errors }` entry per row that cannot be imported.
+ */
+function importTasks(req, rows, dryRun) {
+  const { store, list } = req;
+  const linked = linkImportedRows(rows, getNextId(list));
+  const failures = linked
+    .filter((row) => row.message)
+    .map(({ row, message }) => ({ row, message }));
+  const valid = linked.filter((row) => row.task);
+  const operations = valid.map(({ task }) => ({ op: "create", task }));
+  // Rows that could not be read already fail the import, but the others are
+  // still validated so that every problem is reported at once.
+  const commit = !dryRun && failures.length === 0;
+  const { applied, results } = commit
+    ? recordChanges(req.taskEvents, list, () =>
+        applyBulkOperations(list, operations)
+      )
+    : applyBulkOperations(
+        {
+          tasks: [...list.tasks],
+          trash: [...list.trash],
+          nextId: list.nextId,
+          workflow: list.workflow,
+        },
+        operations
+      );
+  results.forEach((result, index) => {
+    if (
+      result.status >= 400 &&
+      result.status !== HTTP_STATUS_CODES.FAILED_DEPENDENCY
+    ) {
+      failures.push({
+        row: valid[index].row,
+        message: result.message,
+        errors: result.errors,
+      });
+    }
+  });
+  failures.sort((a, b) => a.row - b.row);
+  if (!commit || !applied) {
+    return { imported: [], failures };
+  }
+  store.save();
+  return { imported: results.map((result) => result.task), failures };
+}
+
+/**
+ * Returns whether the If-Match header of a write names a version other than
+ * the current one. Missing tasks pass, so that the write answers with 404.
+ */
+function isPreconditionFailed(req) {
+  const task = findTask(req.list.tasks, req.params.id);
+  return task !== undefined && !matchesIfMatch(req.get("If-Match"), task);
+}
+
+/**
+ * Honors the Idempotency-Key header of a request. The first response sent
+ * for a key is stored, unless it is a server error, and sent again, marked
+ * with Idempotent-Replayed, when the request is repeated with the same key.
+ * Repeating the key with another body or on another list answers 422.
+ */
+function replayIdempotentRequest(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+  if (!isValidKey(key)) {
+    return res
+      .status(HTTP_STATUS_CODES.BAD_REQUEST)
+      .send(RESPONSE_MESSAGES.IDEMPOTENCY_KEY_INVALID(MAX_KEY_LENGTH));
+  }
+  const fingerprint = fingerprintRequest(req.list.id, req.body);
+  const stored = req.idempotencyStore.get(key);
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      return res
+        .status(HTTP_STATUS_CODES.UNPROCESSABLE_ENTITY)
+        .send(RESPONSE_MESSAGES.IDEMPOTENCY_KEY_REUSED);
+    }
+    return res
+      .status(stored.status)
+      .set({ ...stored.headers, "Idempotent-Replayed": "true" })
+      .send(stored.body);
+  }
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    res.send = send;
+    if (res.statusCode < HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR) {
+      const etag = res.get("ETag");
+      req.idempotencyStore.set(key, fingerprint, {
+        status: res.statusCode,
+        headers: etag ? { ETag: etag } : {},
+        body,
+      });
+    }
+    return send(body);
+  };
+  next();
+}
+
+/**
+ * Writes a task event in the Server-Sent Events format.
+ */
+function writeEvent(res, event) {
+  const { id, type, timestamp, listId, task } = event;
+  const data = JSON.stringify({ type, timestamp, listId, task });
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${data}\n\n`);
+}
+
+/**
+ * Reads the interval between heartbeat comments on the event stream from
+ * EVENT_HEARTBEAT_SECONDS.
+ * @returns {number} - The interval in milliseconds.
+ */
+function getHeartbeatMs() {
+  const value = process.env.EVENT_HEARTBEAT_SECONDS;
+  const seconds =
+    value === undefined ? DEFAULT_HEARTBEAT_SECONDS : Number(value);
+  return (seconds > 0 ? seconds : DEFAULT_HEARTBEAT_SECONDS) * 1000;
+}
+
+/**
+ * Reads the trash retention period from TRASH_RETENTION_DAYS.
+ * @returns {number} - The retention period in milliseconds.
+ */
+function getTrashRetentionMs() {
+  const value = process.env.TRASH_RETENTION_DAYS;
+  const days =
+    value === undefined ? DEFAULT_TRASH_RETENTION_DAYS : Number(value);
+  if (value === "" || !Number.isFinite(days) || days < 0) {
+    throw new Error(RESPONSE_MESSAGES.INVALID_TRASH_RETENTION);
+  }
+  return days * 24 * 60 * 60 * 1000;
 }
 
 module.exports = taskController;
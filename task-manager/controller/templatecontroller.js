@@ -0,0 +1,96 @@
+const express = require("express");
+const templateController = require("express").Router();
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { recordChanges } = require("../service/taskhistory");
+const {
+  findTemplate,
+  requireTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  resolveInstantiationTarget,
+  instantiateTemplate,
+  findPlaceholders,
+} = require("../service/tasktemplates");
+const { presentTask } = require("../helpers/taskpresenter");
+const { useStore, sendError } = require("../helpers/routing");
+
+templateController.use(express.json());
+templateController.use(useStore);
+
+templateController.get("/v1/templates", (req, res) => {
+  return res
+    .status(HTTP_STATUS_CODES.SUCCESS)
+    .send(req.store.templates.map(presentTemplate));
+});
+
+templateController.get("/v1/templates/:id", (req, res) => {
+  const template = findTemplate(req.store, req.params.id);
+  if (!template) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.TEMPLATE_NOT_FOUND(req.params.id));
+  }
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(presentTemplate(template));
+});
+
+templateController.post("/v1/templates", (req, res) => {
+  try {
+    const template = createTemplate(req.store, req.body);
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.CREATED)
+      .send(presentTemplate(template));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+templateController.put("/v1/templates/:id", (req, res) => {
+  try {
+    const template = updateTemplate(req.store, req.params.id, req.body);
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .send(presentTemplate(template));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+templateController.delete("/v1/templates/:id", (req, res) => {
+  try {
+    const template = deleteTemplate(req.store, req.params.id);
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.SUCCESS)
+      .send(presentTemplate(template));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+templateController.post("/v1/templates/:id/instantiate", (req, res) => {
+  try {
+    const template = requireTemplate(req.store, req.params.id);
+    const list = resolveInstantiationTarget(req.store, template, req.body);
+    const created = recordChanges(req.taskEvents, list, () =>
+      instantiateTemplate(list, template, req.body)
+    );
+    req.store.save();
+    return res
+      .status(HTTP_STATUS_CODES.CREATED)
+      .send(created.map((task) => presentTask(task, list.tasks)));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+/**
+ * Returns a template with the names of the placeholders it needs values for.
+ */
+function presentTemplate(template) {
+  return { ...template, placeholders: findPlaceholders(template) };
+}
+
+module.exports = templateController;
@@ -0,0 +1,115 @@
+const express = require("express");
+const timeController = require("express").Router();
+const timeRoutes = require("express").Router({ mergeParams: true });
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { findTask } = require("../service/taskservice");
+const { findList } = require("../service/tasklists");
+const {
+  isValidUser,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  getTimeEntries,
+  deleteTimeEntry,
+} = require("../service/timetracking");
+const {
+  parseTimeReportQuery,
+  buildTimeReport,
+} = require("../helpers/timereport");
+const { useListRoutes, useStore, sendError } = require("../helpers/routing");
+
+timeController.use(express.json());
+timeController.use(useStore);
+
+// Like the task routes, the time routes of a task work on one task list,
+// `req.list` (see useListRoutes).
+useListRoutes(timeController, timeRoutes);
+
+timeRoutes.post("/:id/timer/start", requireUser, (req, res) => {
+  try {
+    const entry = startTimer(req.store, req.list, req.params.id, req.user);
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.CREATED).send(entry);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+timeRoutes.post("/:id/timer/stop", requireUser, (req, res) => {
+  try {
+    const entry = stopTimer(req.store, req.list, req.params.id, req.user);
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(entry);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+timeRoutes.get("/:id/time-entries", (req, res) => {
+  try {
+    const entries = getTimeEntries(req.store, req.list, req.params.id);
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(entries);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+timeRoutes.post("/:id/time-entries", requireUser, (req, res) => {
+  try {
+    const entry = addTimeEntry(
+      req.store,
+      req.list,
+      req.params.id,
+      req.user,
+      req.body
+    );
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.CREATED).send(entry);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+timeRoutes.delete("/:id/time-entries/:entryId", (req, res) => {
+  try {
+    const entry = deleteTimeEntry(
+      req.store,
+      req.list,
+      req.params.id,
+      req.params.entryId
+    );
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(entry);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+timeController.get("/v1/reports/time", (req, res) => {
+  const { error, options } = parseTimeReportQuery(req.query);
+  if (error) {
+    return res.status(HTTP_STATUS_CODES.BAD_REQUEST).send(error);
+  }
+  const report = buildTimeReport(req.store.timeEntries, options, (entry) => {
+    const list = findList(req.store, entry.listId);
+    return list && findTask([...list.tasks, ...list.trash], entry.taskId);
+  });
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(report);
+});
+
+/**
+ * Reads the user tracking time from the X-User header into `req.user`, and
+ * answers 400 when it is missing.
+ */
+function requireUser(req, res, next) {
+  const user = req.get("X-User");
+  if (!isValidUser(user)) {
+    return res
+      .status(HTTP_STATUS_CODES.BAD_REQUEST)
+      .send(RESPONSE_MESSAGES.USER_REQUIRED);
+  }
+  req.user = user;
+  next();
+}
+
+module.exports = timeController;
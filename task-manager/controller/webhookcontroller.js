@@ -0,0 +1,149 @@
+const express = require("express");
+const crypto = require("crypto");
+const webhookController = require("express").Router();
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { validate } = require("../helpers/validator");
+const { WEBHOOK_SCHEMA } = require("../helpers/schemas");
+const { parsePageParameters } = require("../helpers/taskquery");
+const { useStore, sendError } = require("../helpers/routing");
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+webhookController.use(express.json());
+webhookController.use(useStore);
+
+webhookController.get("/v1/webhooks", (req, res) => {
+  return res
+    .status(HTTP_STATUS_CODES.SUCCESS)
+    .send(req.store.webhooks.map(presentWebhook));
+});
+
+webhookController.get("/v1/webhooks/:id", (req, res) => {
+  const webhook = findWebhook(req.store, req.params.id);
+  if (!webhook) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.WEBHOOK_NOT_FOUND(req.params.id));
+  }
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(presentWebhook(webhook));
+});
+
+webhookController.get("/v1/webhooks/:id/deliveries", (req, res) => {
+  const webhook = findWebhook(req.store, req.params.id);
+  if (!webhook) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.WEBHOOK_NOT_FOUND(req.params.id));
+  }
+  const { status, event } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res
+      .status(HTTP_STATUS_CODES.BAD_REQUEST)
+      .send(RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("status"));
+  }
+  const page = parsePageParameters(req.query);
+  if (page.error) {
+    return res.status(HTTP_STATUS_CODES.BAD_REQUEST).send(page.error);
+  }
+  const deliveries = req.webhookDispatcher
+    .getDeliveries(webhook.id)
+    .filter(
+      (delivery) =>
+        (status === undefined || delivery.status === status) &&
+        (event === undefined || delivery.event === event)
+    );
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send({
+    deliveries: deliveries.slice(page.offset, page.offset + page.limit),
+    total: deliveries.length,
+    limit: page.limit,
+    offset: page.offset,
+  });
+});
+
+webhookController.post("/v1/webhooks", (req, res) => {
+  try {
+    const errors = validate(req.body, WEBHOOK_SCHEMA, { rejectReadOnly: true });
+    if (errors.length > 0) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ message: RESPONSE_MESSAGES.VALIDATION_FAILED_WEBHOOK, errors });
+    }
+    const { webhooks } = req.store;
+    const webhook = {
+      id: req.store.allocateId("webhooks"),
+      url: req.body.url,
+      events: req.body.events,
+      secret: req.body.secret || crypto.randomBytes(32).toString("hex"),
+      active: req.body.active !== false,
+      createdAt: new Date().toISOString(),
+    };
+    webhooks.push(webhook);
+    req.store.save();
+    // The secret is only returned once, when the webhook is created.
+    return res
+      .status(HTTP_STATUS_CODES.CREATED)
+      .send({ ...presentWebhook(webhook), secret: webhook.secret });
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+webhookController.put("/v1/webhooks/:id", (req, res) => {
+  try {
+    const webhook = findWebhook(req.store, req.params.id);
+    if (!webhook) {
+      return res
+        .status(HTTP_STATUS_CODES.NOT_FOUND)
+        .send(RESPONSE_MESSAGES.WEBHOOK_NOT_FOUND(req.params.id));
+    }
+    const errors = validate(req.body, WEBHOOK_SCHEMA);
+    if (errors.length > 0) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ message: RESPONSE_MESSAGES.VALIDATION_FAILED_WEBHOOK, errors });
+    }
+    webhook.url = req.body.url;
+    webhook.events = req.body.events;
+    webhook.active = req.body.active !== false;
+    if (req.body.secret !== undefined) {
+      webhook.secret = req.body.secret;
+    }
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(presentWebhook(webhook));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+webhookController.delete("/v1/webhooks/:id", (req, res) => {
+  try {
+    const webhook = findWebhook(req.store, req.params.id);
+    if (!webhook) {
+      return res
+        .status(HTTP_STATUS_CODES.NOT_FOUND)
+        .send(RESPONSE_MESSAGES.WEBHOOK_NOT_FOUND(req.params.id));
+    }
+    const { webhooks } = req.store;
+    webhooks.splice(webhooks.indexOf(webhook), 1);
+    req.store.save();
+    // Only once the removal is saved: a failed save keeps the webhook.
+    req.webhookDispatcher.clearDeliveries(webhook.id);
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(presentWebhook(webhook));
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+function findWebhook(store, id) {
+  return store.webhooks.find((webhook) => webhook.id === parseInt(id));
+}
+
+/**
+ * Returns a webhook without its secret.
+ */
+function presentWebhook(webhook) {
+  const { secret, ...presented } = webhook;
+  return presented;
+}
+
+module.exports = webhookController;
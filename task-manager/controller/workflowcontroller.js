@@ -0,0 +1,57 @@
+const express = require("express");
+const workflowController = require("express").Router();
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { recordChanges } = require("../service/taskhistory");
+const { findList, getDefaultList } = require("../service/tasklists");
+const { replaceWorkflow, syncCompletion } = require("../service/taskworkflow");
+const { buildBoard } = require("../helpers/workflow");
+const { presentTask } = require("../helpers/taskpresenter");
+const { useStore, sendError } = require("../helpers/routing");
+
+workflowController.use(express.json());
+workflowController.use(useStore);
+
+workflowController.get("/v1/workflow", (req, res) => {
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send(req.store.getWorkflow());
+});
+
+workflowController.put("/v1/workflow", (req, res) => {
+  try {
+    const workflow = replaceWorkflow(req.store, req.body);
+    // Tasks in a status that became completed, or stopped being, change.
+    for (const list of req.store.lists) {
+      recordChanges(req.taskEvents, list, () => syncCompletion(list, workflow));
+    }
+    req.store.save();
+    return res.status(HTTP_STATUS_CODES.SUCCESS).send(workflow);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+});
+
+workflowController.get("/v1/board", (req, res) => {
+  return sendBoard(res, getDefaultList(req.store));
+});
+
+workflowController.get("/v1/lists/:listId/board", (req, res) => {
+  const list = findList(req.store, req.params.listId);
+  if (!list) {
+    return res
+      .status(HTTP_STATUS_CODES.NOT_FOUND)
+      .send(RESPONSE_MESSAGES.LIST_NOT_FOUND(req.params.listId));
+  }
+  return sendBoard(res, list);
+});
+
+/**
+ * Answers with the tasks of a list grouped in one column per status.
+ */
+function sendBoard(res, list) {
+  const columns = buildBoard(list.workflow, list.tasks).map((column) => ({
+    ...column,
+    tasks: column.tasks.map((task) => presentTask(task, list.tasks)),
+  }));
+  return res.status(HTTP_STATUS_CODES.SUCCESS).send({ columns });
+}
+
+module.exports = workflowController;
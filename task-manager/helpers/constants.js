@@ -4,6 +4,11 @@ const HTTP_STATUS_CODES = {
   SUCCESS: 200,
   CREATED: 201,
   BAD_REQUEST: 400,
+  CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  UNPROCESSABLE_ENTITY: 422,
+  FAILED_DEPENDENCY: 424,
   INTERNAL_SERVER_ERROR: 500,
 };
 
@@ -16,7 +21,127 @@ const RESPONSE_MESSAGES = {
     "Validation failed: Missing or invalid properties in the JSON object to persist.",
   VALIDATION_FAILED_UPDATE:
     "Validation failed: Missing or invalid properties in the JSON object to update.",
+  VALIDATION_FAILED_PATCH:
+    "Validation failed: Missing or invalid properties in the patched JSON object.",
+  TRASHED_TASK_NOT_FOUND: (id) => `The task with id ${id} is not in the trash.`,
+  RESTORE_PARENT_FIRST: (id, parentId) =>
+    `The task with id ${id} belongs to task ${parentId}, which is not restored yet.`,
+  INVALID_TRASH_RETENTION:
+    "TRASH_RETENTION_DAYS must be a non-negative number of days.",
+  INVALID_PORT: "PORT must be a port number from 0 to 65535.",
+  INVALID_SHUTDOWN_TIMEOUT:
+    "SHUTDOWN_TIMEOUT_SECONDS must be a non-negative number of seconds.",
+  TASK_HAS_SUBTASKS: (id) =>
+    `The task with id ${id} has subtasks. Delete them first or pass cascade=true.`,
+  TASK_ID_IMMUTABLE: "The id of a task cannot be changed.",
+  TASK_VERSION_NOT_FOUND: (id, version) =>
+    `Version ${version} of the task with id ${id} is not in its history.`,
+  TASK_VERSION_MISMATCH: (id) =>
+    `The task with id ${id} has changed since it was read. Fetch it again and retry.`,
+  UNSUPPORTED_PATCH_CONTENT_TYPE:
+    "PATCH requests must use application/merge-patch+json or application/json-patch+json.",
+  BULK_BODY_INVALID: (max) =>
+    `A bulk request must be a non-empty array of at most ${max} operations.`,
+  INVALID_BULK_OPERATION: (index) =>
+    `Operation ${index} must be {op: "create", task}, {op: "update", id, task} or {op: "delete", id}.`,
+  BULK_OPERATION_NOT_APPLIED:
+    "Not applied because another operation in the request failed.",
+  BULK_FAILED: "No operation was applied because at least one of them failed.",
+  VALIDATION_FAILED_TAG: "Validation failed: Invalid tag name.",
+  TAG_NOT_FOUND: (tag) => `No task uses the tag "${tag}".`,
+  TAG_ALREADY_EXISTS: (tag) =>
+    `The tag "${tag}" is already in use. Merge the tags instead.`,
+  TAG_MERGE_INTO_ITSELF: "A tag cannot be merged into itself.",
+  INVALID_EXPORT_FORMAT: 'The export format must be "json" or "csv".',
+  UNSUPPORTED_IMPORT_CONTENT_TYPE:
+    "Imports must use application/json or text/csv.",
+  IMPORT_JSON_INVALID: 'A JSON import must be an object with a "tasks" array.',
+  IMPORT_CSV_EMPTY: "A CSV import must have a header row.",
+  IMPORT_TOO_MANY_ROWS: (max) => `An import can hold at most ${max} tasks.`,
+  IMPORT_UNKNOWN_COLUMN: (name) =>
+    `The CSV column "${name}" does not match a task property. Map it with map[${name}]=property or ignore it with map[${name}]=.`,
+  IMPORT_DUPLICATE_COLUMN: (field) =>
+    `More than one CSV column maps to "${field}".`,
+  IMPORT_ROW_NOT_A_TASK: (row) => `Task ${row} must be an object.`,
+  IMPORT_ROW_LENGTH: (row, count, expected) =>
+    `Row ${row} has ${count} cells but the header has ${expected}.`,
+  IMPORT_DUPLICATE_ID: (row, id) =>
+    `Row ${row} has the id ${id}, which an earlier row already has.`,
+  IMPORT_UNKNOWN_REFERENCE: (row, field, id) =>
+    `Row ${row} refers to task ${id} in "${field}", but no row of the import has that id.`,
+  IMPORT_FAILED:
+    "No task was imported because at least one of them is invalid.",
+  VALIDATION_FAILED_WEBHOOK:
+    "Validation failed: Missing or invalid properties in the webhook.",
+  WEBHOOK_NOT_FOUND: (id) => `The webhook with id ${id} not found!`,
+  OPENAPI_REQUEST_INVALID:
+    "Validation failed: The request does not match the OpenAPI document.",
+  OPENAPI_RESPONSE_INVALID: "The response does not match the OpenAPI document.",
+  OPENAPI_REQUEST_ACCEPTED:
+    "The request body does not match the OpenAPI document, but was accepted.",
+  VALIDATION_FAILED_LIST:
+    "Validation failed: Missing or invalid properties in the task list.",
+  VALIDATION_FAILED_MOVE:
+    'Validation failed: A move needs the "listId" of an existing task list.',
+  LIST_NOT_FOUND: (id) => `The task list with id ${id} not found!`,
+  LIST_NAME_TAKEN: (name) => `A task list named "${name}" already exists.`,
+  LIST_NOT_EMPTY: (id) =>
+    `The task list with id ${id} still holds tasks. Move or delete them first or pass cascade=true.`,
+  DEFAULT_LIST_NOT_DELETABLE: "The default task list cannot be deleted.",
+  TASK_ALREADY_IN_LIST: (id, listId) =>
+    `The task with id ${id} is already in the task list with id ${listId}.`,
+  IDEMPOTENCY_KEY_INVALID: (max) =>
+    `The Idempotency-Key header must be 1 to ${max} characters long.`,
+  IDEMPOTENCY_KEY_REUSED:
+    "This Idempotency-Key was already used for a different request.",
+  STATUS_TRANSITION_NOT_ALLOWED: (from, to, allowed) =>
+    `A task cannot move from status "${from}" to "${to}". From "${from}" it can move to: ${
+      allowed.join(", ") || "no other status"
+    }.`,
+  VALIDATION_FAILED_WORKFLOW:
+    "Validation failed: Missing or invalid properties in the workflow.",
+  WORKFLOW_STATUS_IN_USE: (names) =>
+    `Tasks are still in the removed statuses: ${names.join(
+      ", "
+    )}. Move them first.`,
+  USER_REQUIRED:
+    "Time tracking needs the user in the X-User header, 1 to 100 characters long.",
+  TIMER_ALREADY_RUNNING: (taskId, listId) =>
+    `A timer is already running on the task with id ${taskId} in the task list with id ${listId}. Stop it first.`,
+  TIMER_NOT_RUNNING: (taskId) =>
+    `No timer of yours is running on the task with id ${taskId}.`,
+  VALIDATION_FAILED_TIME_ENTRY:
+    "Validation failed: Missing or invalid properties in the time entry.",
+  TIME_ENTRY_NOT_FOUND: (id) => `The time entry with id ${id} not found!`,
+  VALIDATION_FAILED_QUICK_ADD:
+    "Validation failed: Missing or invalid properties in the quick add request.",
+  VALIDATION_FAILED_TEMPLATE:
+    "Validation failed: Missing or invalid properties in the task template.",
+  TEMPLATE_NOT_FOUND: (id) => `The task template with id ${id} not found!`,
+  TEMPLATE_NAME_TAKEN: (name) =>
+    `A task template named "${name}" already exists.`,
+  VALIDATION_FAILED_INSTANTIATE:
+    "Validation failed: The template cannot be instantiated with these values.",
+  GRAPHQL_QUERY_REQUIRED:
+    'A GraphQL request must be a JSON object with a "query" string.',
   INTERNAL_SERVER_ERROR: "Internal server error",
+  INVALID_QUERY_PARAMETER: (name) =>
+    `Invalid value for query parameter "${name}".`,
 };
 
-module.exports = { HTTP_STATUS_CODES, RESPONSE_MESSAGES };
+/**
+ * Types of the events published when tasks change.
+ */
+const TASK_EVENT_TYPES = ["task.created", "task.updated", "task.deleted"];
+
+/**
+ * Priorities of tasks, lowest first.
+ */
+const TASK_PRIORITIES = ["low", "medium", "high"];
+
+module.exports = {
+  HTTP_STATUS_CODES,
+  RESPONSE_MESSAGES,
+  TASK_EVENT_TYPES,
+  TASK_PRIORITIES,
+};
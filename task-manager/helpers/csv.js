@@ -0,0 +1,111 @@
+/**
+ * Reading and writing CSV (RFC 4180): comma-separated fields, fields
+ * containing commas, quotes or line breaks enclosed in double quotes, and
+ * quotes inside them doubled.
+ */
+
+/**
+ * Error raised when a CSV document is malformed.
+ * `line` is the 1-based line on which the problem starts.
+ */
+class CsvError extends Error {
+  constructor(message, line) {
+    super(`Invalid CSV on line ${line}: ${message}`);
+    this.name = "CsvError";
+    this.line = line;
+  }
+}
+
+/**
+ * Parses a CSV document. Both CRLF and LF line endings are accepted, and a
+ * leading byte order mark is ignored.
+ * @param {string} text - The document.
+ * @returns {Array} - One `{ line, fields }` record per row, `line` being the
+ * 1-based line the row starts on. Blank lines are skipped.
+ * @throws {CsvError} - If a quoted field is not closed or is followed by
+ * anything other than a separator.
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.startsWith("\uFEFF") ? 1 : 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== "") {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+        const next = text[i + 1];
+        if (next !== undefined && !",\r\n".includes(next)) {
+          throw new CsvError(
+            "unexpected character after a quoted field.",
+            line
+          );
+        }
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+      i++;
+      continue;
+    }
+    if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  if (quoted) {
+    throw new CsvError("a quoted field is not closed.", line);
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Formats rows as a CSV document with CRLF line endings.
+ * @param {Array} rows - Arrays of field values; null and undefined are
+ * written as empty fields.
+ * @returns {string}
+ */
+function formatCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(",") + "\r\n").join("");
+}
+
+function formatField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { CsvError, parseCsv, formatCsv };
@@ -0,0 +1,162 @@
+/**
+ * Helpers for dependencies between tasks.
+ *
+ * A task lists the ids of the tasks it waits for in an optional `blockedBy`
+ * array. validateDependencies rejects edges that would close a cycle, so the
+ * dependency graph is always a DAG and every walk below terminates.
+ */
+
+/**
+ * Returns the tasks a task is directly blocked by.
+ * @param {Object} task - The task.
+ * @param {Array} tasks - All tasks.
+ * @returns {Array} - The blocking tasks, in id order.
+ */
+function getBlockers(task, tasks) {
+  const ids = task.blockedBy || [];
+  return tasks
+    .filter((candidate) => ids.includes(candidate.id))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * A task is blocked while any of its direct blockers is incomplete.
+ * @param {Object} task - The task.
+ * @param {Array} tasks - All tasks.
+ * @returns {boolean}
+ */
+function isBlocked(task, tasks) {
+  return getBlockers(task, tasks).some((blocker) => !blocker.completed);
+}
+
+/**
+ * Checks the `blockedBy` list of a task: every blocker must exist, a task
+ * cannot block itself, the new edges must not create a cycle, and the task
+ * cannot be completed while one of its blockers is incomplete.
+ * @param {Object} task - The task being written. `id` is unset on create.
+ * @param {Array} tasks - All stored tasks.
+ * @returns {Array} - Validation errors in the `{ field, code, message }`
+ * format.
+ */
+function validateDependencies(task, tasks) {
+  const errors = [];
+  (task.blockedBy || []).forEach((blockerId, index) => {
+    const field = `blockedBy[${index}]`;
+    if (!tasks.some((candidate) => candidate.id === blockerId)) {
+      errors.push({
+        field,
+        code: "notFound",
+        message: `Blocking task ${blockerId} does not exist.`,
+      });
+    } else if (
+      task.id !== undefined &&
+      (blockerId === task.id || dependsOn(tasks, blockerId, task.id))
+    ) {
+      errors.push({
+        field,
+        code: "cycle",
+        message: `Task ${blockerId} already depends on this task.`,
+      });
+    }
+  });
+  if (errors.length === 0 && task.completed && isBlocked(task, tasks)) {
+    errors.push({
+      field: "completed",
+      code: "blocked",
+      message:
+        "A task cannot be completed while a blocking task is incomplete.",
+    });
+  }
+  return errors;
+}
+
+/**
+ * Returns whether task `fromId` transitively waits for task `toId`.
+ */
+function dependsOn(tasks, fromId, toId) {
+  const visited = new Set();
+  const stack = [fromId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === toId) {
+      return true;
+    }
+    if (visited.has(id)) {
+      continue;
+    }
+    visited.add(id);
+    const task = tasks.find((candidate) => candidate.id === id);
+    stack.push(...((task && task.blockedBy) || []));
+  }
+  return false;
+}
+
+/**
+ * Returns every task a task transitively depends on, with the task itself
+ * last, in topological order: each task comes after all of its blockers.
+ * @param {Object} task - The task.
+ * @param {Array} tasks - All tasks.
+ * @returns {Array} - The tasks of the dependency graph.
+ */
+function getDependencyOrder(task, tasks) {
+  const order = [];
+  const visited = new Set();
+  const visit = (current) => {
+    if (visited.has(current.id)) {
+      return;
+    }
+    visited.add(current.id);
+    getBlockers(current, tasks).forEach(visit);
+    order.push(current);
+  };
+  visit(task);
+  return order;
+}
+
+/**
+ * Describes the transitive dependency graph of a task.
+ * @param {Object} task - The task.
+ * @param {Array} tasks - All tasks.
+ * @returns {{order: Array, edges: Array, next: Array}} - `order` holds the
+ * tasks of the graph in topological order, `edges` the `{ from, to }` pairs
+ * where `to` is blocked by `from`, and `next` the incomplete tasks that are
+ * not blocked, i.e. what can be worked on now.
+ */
+function getDependencyGraph(task, tasks) {
+  const order = getDependencyOrder(task, tasks);
+  const edges = order.flatMap((current) =>
+    getBlockers(current, tasks).map((blocker) => ({
+      from: blocker.id,
+      to: current.id,
+    }))
+  );
+  const next = order.filter(
+    (current) => !current.completed && !isBlocked(current, tasks)
+  );
+  return { order, edges, next };
+}
+
+/**
+ * Removes references to deleted tasks from the `blockedBy` lists of the
+ * remaining tasks.
+ * @param {Array} tasks - The remaining tasks, modified in place.
+ * @param {Array} deletedIds - Ids of the deleted tasks.
+ * @returns {Array} - The tasks whose `blockedBy` list changed.
+ */
+function removeDependencies(tasks, deletedIds) {
+  const changed = tasks.filter((task) =>
+    (task.blockedBy || []).some((id) => deletedIds.includes(id))
+  );
+  for (const task of changed) {
+    task.blockedBy = task.blockedBy.filter((id) => !deletedIds.includes(id));
+  }
+  return changed;
+}
+
+module.exports = {
+  getBlockers,
+  isBlocked,
+  validateDependencies,
+  getDependencyGraph,
+  removeDependencies,
+};
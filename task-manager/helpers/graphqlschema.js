@@ -0,0 +1,92 @@
+const { buildSchema } = require("graphql");
+
+/**
+ * GraphQL schema of the /graphql endpoint, resolved by
+ * controller/graphqlcontroller.js.
+ *
+ * The types only describe the shape of tasks. Inputs are checked by the
+ * same validation as the REST routes, so every TaskInput field is optional
+ * here and a missing or invalid one is reported as a validation error.
+ * Every operation works on the default task list unless given a `listId`.
+ */
+const TASK_GRAPHQL_SCHEMA = buildSchema(`
+  type Task {
+    id: Int!
+    version: Int!
+    title: String!
+    description: String!
+    completed: Boolean!
+    "The workflow status, from which completed is derived."
+    status: String!
+    parentId: Int
+    blockedBy: [Int!]
+    dueDate: String
+    recurrence: String
+    tags: [String!]
+    "low, medium or high."
+    priority: String
+    "Estimated hours of work."
+    estimateHours: Float
+    "Percentage of completed leaf subtasks, for tasks with subtasks."
+    progress: Int
+    "Whether an incomplete task is still blocking this one."
+    blocked: Boolean!
+    "The direct subtasks."
+    subtasks: [Task!]!
+    "When the task was moved to the trash."
+    deletedAt: String
+  }
+
+  type TaskPage {
+    tasks: [Task!]!
+    total: Int!
+    limit: Int!
+    offset: Int!
+  }
+
+  enum TagMatch {
+    any
+    all
+  }
+
+  input TaskInput {
+    title: String
+    description: String
+    completed: Boolean
+    status: String
+    parentId: Int
+    blockedBy: [Int!]
+    dueDate: String
+    recurrence: String
+    tags: [String!]
+    priority: String
+    estimateHours: Float
+  }
+
+  type Query {
+    "A task, or null when the list has no task with this id."
+    task(id: Int!, listId: Int): Task
+    "A page of tasks, filtered and sorted like GET /v1/tasks."
+    tasks(
+      completed: Boolean
+      q: String
+      tag: [String!]
+      tagMatch: TagMatch
+      sort: String
+      limit: Int
+      offset: Int
+      listId: Int
+    ): TaskPage!
+  }
+
+  type Mutation {
+    createTask(input: TaskInput!, listId: Int): Task!
+    "Changes the given fields; null removes an optional field."
+    updateTask(id: Int!, input: TaskInput!, cascade: Boolean, listId: Int): Task!
+    "Moves a task to the trash and returns the trashed tasks."
+    deleteTask(id: Int!, cascade: Boolean, listId: Int): [Task!]!
+    toggleComplete(id: Int!, cascade: Boolean, listId: Int): Task!
+  }
+`);
+
+module.exports = { TASK_GRAPHQL_SCHEMA };
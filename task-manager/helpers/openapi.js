@@ -0,0 +1,1299 @@
+const { version } = require("../package.json");
+const {
+  TASK_SCHEMA,
+  LIST_SCHEMA,
+  TASK_MOVE_SCHEMA,
+  WORKFLOW_SCHEMA,
+  TIME_ENTRY_SCHEMA,
+  QUICK_ADD_SCHEMA,
+  TEMPLATE_SCHEMA,
+  TEMPLATE_INSTANTIATION_SCHEMA,
+} = require("./schemas");
+const {
+  SORTABLE_FIELDS,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+} = require("./taskquery");
+const { DEFAULT_UPCOMING_DAYS, MAX_UPCOMING_DAYS } = require("./recurrence");
+const {
+  MERGE_PATCH_CONTENT_TYPE,
+  JSON_PATCH_CONTENT_TYPE,
+} = require("./patch");
+const { EXPORT_FORMATS, MAX_IMPORT_ROWS } = require("./tasktransfer");
+const { MAX_BULK_OPERATIONS } = require("../service/taskservice");
+const { MAX_KEY_LENGTH } = require("../service/idempotency");
+const { MAX_USER_LENGTH } = require("../service/timetracking");
+const { GROUP_BY } = require("./timereport");
+
+/**
+ * OpenAPI 3.1 description of the task routes, served at /openapi.json.
+ *
+ * The task routes are described once, for the default list under /v1/tasks,
+ * and repeated under /v1/lists/{listId}/tasks for the other task lists.
+ *
+ * Schemas are built from those in helpers/schemas.js, so the validator and
+ * the document cannot disagree. Errors answered with a plain message are
+ * described as text/html, the content type Express gives to strings.
+ * Routes and schemas added to the task API belong here too: in development
+ * mode (helpers/openapivalidator.js) a request or response the document
+ * does not describe is rejected.
+ */
+
+const SORT_KEY = `-?(${SORTABLE_FIELDS.join("|")})`;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const parameterRef = (name) => ({
+  $ref: `#/components/parameters/${name}`,
+});
+
+const message = (description) => ({
+  description,
+  content: { "text/html": { schema: { type: "string" } } },
+});
+
+const taskResponse = (description) => ({
+  description,
+  headers: { ETag: { $ref: "#/components/headers/ETag" } },
+  content: json(ref("Task")),
+});
+
+const ifMatch = {
+  name: "If-Match",
+  in: "header",
+  description:
+    "ETags of the versions the change applies to; answers 412 when the task has another version.",
+  schema: { type: "string" },
+};
+
+const TASK_PROPERTIES = TASK_SCHEMA.properties;
+
+const components = {
+  schemas: {
+    TaskInput: {
+      ...TASK_SCHEMA,
+      description:
+        "A task as sent by a client. Read-only properties are ignored on update and rejected on create. `completed` can be left out when `status` is given.",
+      required: ["title", "description"],
+    },
+    Task: {
+      ...TASK_SCHEMA,
+      required: ["id", "version", ...TASK_SCHEMA.required, "status", "blocked"],
+    },
+    TaskTreeNode: {
+      ...TASK_SCHEMA,
+      description: "A task, with its subtasks nested when listed as a tree.",
+      properties: {
+        ...TASK_PROPERTIES,
+        subtasks: { type: "array", items: ref("TaskTreeNode") },
+      },
+      required: ["id", "version", ...TASK_SCHEMA.required, "status", "blocked"],
+    },
+    TrashedTask: {
+      ...TASK_SCHEMA,
+      properties: {
+        ...TASK_PROPERTIES,
+        deletedAt: { type: "string", format: "date-time", readOnly: true },
+      },
+      required: ["id", ...TASK_SCHEMA.required, "status", "deletedAt"],
+    },
+    TaskPage: {
+      type: "object",
+      properties: {
+        tasks: { type: "array", items: ref("TaskTreeNode") },
+        total: { type: "integer", minimum: 0 },
+        limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_LIMIT },
+        offset: { type: "integer", minimum: 0 },
+        links: {
+          type: "object",
+          properties: {
+            self: { type: "string" },
+            next: { type: ["string", "null"] },
+            prev: { type: ["string", "null"] },
+          },
+          required: ["self", "next", "prev"],
+          additionalProperties: false,
+        },
+      },
+      required: ["tasks", "total", "limit", "offset", "links"],
+      additionalProperties: false,
+    },
+    FieldError: {
+      type: "object",
+      properties: {
+        field: { type: "string" },
+        code: { type: "string" },
+        message: { type: "string" },
+      },
+      required: ["field", "code", "message"],
+      additionalProperties: false,
+    },
+    ValidationError: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        errors: { type: "array", items: ref("FieldError") },
+      },
+      required: ["message", "errors"],
+      additionalProperties: false,
+    },
+    DependencyGraph: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        tasks: { type: "array", items: ref("Task") },
+        edges: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              from: { type: "integer" },
+              to: { type: "integer" },
+            },
+            required: ["from", "to"],
+            additionalProperties: false,
+          },
+        },
+        next: { type: "array", items: { type: "integer" } },
+      },
+      required: ["id", "tasks", "edges", "next"],
+      additionalProperties: false,
+    },
+    HistoryEntry: {
+      type: "object",
+      properties: {
+        taskId: { type: "integer" },
+        version: { type: "integer" },
+        timestamp: { type: "string", format: "date-time" },
+        operation: {
+          type: "string",
+          enum: ["create", "update", "delete", "restore"],
+        },
+        before: { type: ["object", "null"] },
+        after: { type: ["object", "null"] },
+      },
+      required: ["taskId", "version", "timestamp", "operation"],
+      additionalProperties: false,
+    },
+    BulkOperation: {
+      type: "object",
+      properties: {
+        op: { type: "string", enum: ["create", "update", "delete"] },
+        id: { type: "integer" },
+        task: { type: "object" },
+        cascade: { type: "boolean" },
+      },
+      required: ["op"],
+    },
+    BulkResult: {
+      type: "object",
+      properties: {
+        index: { type: "integer" },
+        op: { type: "string" },
+        status: { type: "integer" },
+        task: ref("Task"),
+        tasks: { type: "array", items: ref("TrashedTask") },
+        message: { type: "string" },
+        errors: { type: "array", items: ref("FieldError") },
+      },
+      required: ["index", "status"],
+      additionalProperties: false,
+    },
+    BulkResponse: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        applied: { type: "boolean" },
+        results: { type: "array", items: ref("BulkResult") },
+      },
+      required: ["applied", "results"],
+      additionalProperties: false,
+    },
+    TaskExport: {
+      type: "object",
+      properties: {
+        tasks: { type: "array", items: { type: "object" } },
+      },
+      required: ["tasks"],
+    },
+    ImportResult: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        dryRun: { type: "boolean" },
+        total: { type: "integer" },
+        imported: { type: "integer" },
+        failures: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              row: { type: "integer" },
+              message: { type: "string" },
+              errors: { type: "array", items: ref("FieldError") },
+            },
+            required: ["row", "message"],
+            additionalProperties: false,
+          },
+        },
+        tasks: { type: "array", items: ref("Task") },
+      },
+      required: ["dryRun", "total", "imported", "failures", "tasks"],
+      additionalProperties: false,
+    },
+    TaskListInput: LIST_SCHEMA,
+    TaskList: {
+      ...LIST_SCHEMA,
+      required: ["id", "name", "taskCount"],
+    },
+    TaskMove: TASK_MOVE_SCHEMA,
+    Workflow: WORKFLOW_SCHEMA,
+    Board: {
+      type: "object",
+      properties: {
+        columns: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              status: { type: "string" },
+              completed: { type: "boolean" },
+              tasks: { type: "array", items: ref("Task") },
+            },
+            required: ["status", "completed", "tasks"],
+          },
+        },
+      },
+      required: ["columns"],
+    },
+    QuickAddInput: QUICK_ADD_SCHEMA,
+    QuickAddToken: {
+      type: "object",
+      properties: {
+        text: { type: "string" },
+        type: {
+          type: "string",
+          enum: ["title", "tag", "priority", "date", "time"],
+        },
+        value: { type: "string" },
+      },
+      required: ["text", "type", "value"],
+      additionalProperties: false,
+    },
+    QuickAddResult: {
+      type: "object",
+      properties: {
+        task: ref("Task"),
+        tokens: { type: "array", items: ref("QuickAddToken") },
+      },
+      required: ["task", "tokens"],
+      additionalProperties: false,
+    },
+    QuickAddError: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        errors: { type: "array", items: ref("FieldError") },
+        tokens: { type: "array", items: ref("QuickAddToken") },
+      },
+      required: ["message", "errors"],
+      additionalProperties: false,
+    },
+    TaskTemplateInput: TEMPLATE_SCHEMA,
+    TaskTemplate: {
+      ...TEMPLATE_SCHEMA,
+      required: ["id", "name", "tasks", "placeholders"],
+    },
+    TemplateInstantiation: TEMPLATE_INSTANTIATION_SCHEMA,
+    TimeEntryInput: TIME_ENTRY_SCHEMA,
+    TimeEntry: {
+      ...TIME_ENTRY_SCHEMA,
+      description: "Time spent on a task; `end` is null while the timer runs.",
+      properties: {
+        ...TIME_ENTRY_SCHEMA.properties,
+        end: { type: ["string", "null"], format: "date-time" },
+      },
+      required: ["id", "listId", "taskId", "user", "start", "end"],
+    },
+    TimeReport: {
+      type: "object",
+      properties: {
+        from: { type: "string" },
+        to: { type: "string" },
+        groupBy: { type: "string", enum: GROUP_BY },
+        totalSeconds: { type: "integer" },
+        totalHours: { type: "number" },
+        groups: {
+          type: "array",
+          items: {
+            type: "object",
+            description:
+              "A day (`day`) or a task (`listId`, `taskId`, `title`, `estimateHours`), with the time tracked on it.",
+            properties: {
+              day: { type: "string" },
+              listId: { type: "integer" },
+              taskId: { type: "integer" },
+              title: { type: ["string", "null"] },
+              estimateHours: { type: ["number", "null"] },
+              seconds: { type: "integer" },
+              hours: { type: "number" },
+            },
+            required: ["seconds", "hours"],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: [
+        "from",
+        "to",
+        "groupBy",
+        "totalSeconds",
+        "totalHours",
+        "groups",
+      ],
+      additionalProperties: false,
+    },
+    JsonPatchOperation: {
+      type: "object",
+      properties: {
+        op: {
+          type: "string",
+          enum: ["add", "remove", "replace", "move", "copy", "test"],
+        },
+        path: { type: "string" },
+        from: { type: "string" },
+        value: {},
+      },
+      required: ["op", "path"],
+    },
+  },
+  parameters: {
+    ListId: {
+      name: "listId",
+      in: "path",
+      required: true,
+      schema: { type: "integer", minimum: 1 },
+    },
+    TaskId: {
+      name: "id",
+      in: "path",
+      required: true,
+      schema: { type: "integer", minimum: 1 },
+    },
+    TemplateId: {
+      name: "id",
+      in: "path",
+      required: true,
+      schema: { type: "integer", minimum: 1 },
+    },
+    User: {
+      name: "X-User",
+      in: "header",
+      required: true,
+      description: "The user tracking the time.",
+      schema: { type: "string", minLength: 1, maxLength: MAX_USER_LENGTH },
+    },
+    Cascade: {
+      name: "cascade",
+      in: "query",
+      description: "Whether the change also applies to the subtasks.",
+      schema: { type: "boolean" },
+    },
+    Limit: {
+      name: "limit",
+      in: "query",
+      schema: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_PAGE_LIMIT,
+        default: DEFAULT_PAGE_LIMIT,
+      },
+    },
+    Offset: {
+      name: "offset",
+      in: "query",
+      schema: { type: "integer", minimum: 0, default: 0 },
+    },
+  },
+  headers: {
+    ETag: {
+      description: "The version of the task, for If-Match and If-None-Match.",
+      schema: { type: "string" },
+    },
+  },
+  responses: {
+    BadRequest: {
+      description:
+        "Invalid request. Validation failures list every invalid field.",
+      content: {
+        ...json(ref("ValidationError")),
+        "text/html": { schema: { type: "string" } },
+      },
+    },
+    NotFound: message("No task with this id."),
+    ListNotFound: message("No task list with this id."),
+    TemplateNotFound: message("No template with this id."),
+    Conflict: message("The change conflicts with other tasks."),
+    StatusTransition: message(
+      "The workflow does not allow the change of status."
+    ),
+    PreconditionFailed: message("If-Match names an outdated version."),
+    UnsupportedMediaType: message("The body has an unsupported content type."),
+  },
+};
+
+const taskPaths = {
+  "/v1/tasks": {
+    get: {
+      operationId: "listTasks",
+      summary: "List tasks, filtered, sorted and paginated.",
+      parameters: [
+        { name: "completed", in: "query", schema: { type: "boolean" } },
+        {
+          name: "q",
+          in: "query",
+          description: "Text searched in the title and description.",
+          schema: { type: "string" },
+        },
+        {
+          name: "sort",
+          in: "query",
+          description:
+            'Comma-separated fields, each prefixed with "-" for descending order.',
+          schema: {
+            type: "string",
+            pattern: `^${SORT_KEY}(,${SORT_KEY})*$`,
+          },
+        },
+        parameterRef("Limit"),
+        parameterRef("Offset"),
+        {
+          name: "tag",
+          in: "query",
+          schema: { type: "array", items: { type: "string", minLength: 1 } },
+        },
+        {
+          name: "tagMatch",
+          in: "query",
+          schema: { type: "string", enum: ["any", "all"], default: "any" },
+        },
+        {
+          name: "view",
+          in: "query",
+          description: '"tree" lists top-level tasks with nested subtasks.',
+          schema: { type: "string", enum: ["list", "tree"], default: "list" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "A page of tasks.",
+          content: json(ref("TaskPage")),
+        },
+        400: responseRef("BadRequest"),
+      },
+    },
+    post: {
+      operationId: "createTask",
+      summary: "Create a task.",
+      parameters: [
+        {
+          name: "Idempotency-Key",
+          in: "header",
+          description:
+            "Makes retries safe: repeating the request with the same key replays the first response.",
+          schema: { type: "string", minLength: 1, maxLength: MAX_KEY_LENGTH },
+        },
+      ],
+      requestBody: { required: true, content: json(ref("TaskInput")) },
+      responses: {
+        201: {
+          ...taskResponse("The created task."),
+          headers: {
+            ETag: { $ref: "#/components/headers/ETag" },
+            "Idempotent-Replayed": {
+              description: '"true" when the response is a replay.',
+              schema: { type: "string" },
+            },
+          },
+        },
+        400: responseRef("BadRequest"),
+        422: message("The Idempotency-Key was used for another request."),
+      },
+    },
+  },
+  "/v1/tasks/quick": {
+    post: {
+      operationId: "quickAddTask",
+      summary: "Create a task from one line of text.",
+      description:
+        'Reads tags ("#docs"), a priority ("!high"), a due day and time ("tomorrow 5pm") and the title from the line.',
+      parameters: [
+        {
+          name: "Idempotency-Key",
+          in: "header",
+          description:
+            "Makes retries safe: repeating the request with the same key replays the first response.",
+          schema: { type: "string", minLength: 1, maxLength: MAX_KEY_LENGTH },
+        },
+      ],
+      requestBody: { required: true, content: json(ref("QuickAddInput")) },
+      responses: {
+        201: {
+          description: "The created task, and how each word was read.",
+          headers: {
+            ETag: { $ref: "#/components/headers/ETag" },
+            "Idempotent-Replayed": {
+              description: '"true" when the response is a replay.',
+              schema: { type: "string" },
+            },
+          },
+          content: json(ref("QuickAddResult")),
+        },
+        400: {
+          description:
+            "The body or the task read from it is invalid; `tokens` tells how the line was read.",
+          content: {
+            ...json(ref("QuickAddError")),
+            "text/html": { schema: { type: "string" } },
+          },
+        },
+        422: message("The Idempotency-Key was used for another request."),
+      },
+    },
+  },
+  "/v1/tasks/trash": {
+    get: {
+      operationId: "listTrash",
+      summary: "List trashed tasks, most recently deleted first.",
+      responses: {
+        200: {
+          description: "The trashed tasks.",
+          content: json({ type: "array", items: ref("TrashedTask") }),
+        },
+      },
+    },
+    delete: {
+      operationId: "purgeTrash",
+      summary: "Permanently remove tasks trashed before the retention period.",
+      responses: {
+        200: {
+          description: "The purged tasks.",
+          content: json({ type: "array", items: ref("TrashedTask") }),
+        },
+      },
+    },
+  },
+  "/v1/tasks/overdue": {
+    get: {
+      operationId: "listOverdueTasks",
+      summary: "List incomplete tasks past their due date.",
+      responses: {
+        200: {
+          description: "The overdue tasks, soonest due first.",
+          content: json({ type: "array", items: ref("Task") }),
+        },
+      },
+    },
+  },
+  "/v1/tasks/upcoming": {
+    get: {
+      operationId: "listUpcomingTasks",
+      summary: "List incomplete tasks due within the next days.",
+      parameters: [
+        {
+          name: "days",
+          in: "query",
+          schema: {
+            type: "integer",
+            minimum: 1,
+            maximum: MAX_UPCOMING_DAYS,
+            default: DEFAULT_UPCOMING_DAYS,
+          },
+        },
+      ],
+      responses: {
+        200: {
+          description: "The upcoming tasks, soonest due first.",
+          content: json({ type: "array", items: ref("Task") }),
+        },
+        400: responseRef("BadRequest"),
+      },
+    },
+  },
+  "/v1/tasks/stream": {
+    get: {
+      operationId: "streamTaskEvents",
+      summary: "Stream task changes as Server-Sent Events.",
+      parameters: [
+        {
+          name: "Last-Event-ID",
+          in: "header",
+          description: "Replays the events after this one.",
+          schema: { type: "string" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "An event stream that stays open.",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+      },
+    },
+  },
+  "/v1/tasks/export": {
+    get: {
+      operationId: "exportTasks",
+      summary: "Download every task.",
+      parameters: [
+        {
+          name: "format",
+          in: "query",
+          schema: { type: "string", enum: EXPORT_FORMATS, default: "json" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "The tasks, as an attachment.",
+          content: {
+            ...json(ref("TaskExport")),
+            "text/csv": { schema: { type: "string" } },
+          },
+        },
+        400: responseRef("BadRequest"),
+      },
+    },
+  },
+  "/v1/tasks/import": {
+    post: {
+      operationId: "importTasks",
+      summary: `Create up to ${MAX_IMPORT_ROWS} tasks, all or nothing.`,
+      parameters: [
+        {
+          name: "dryRun",
+          in: "query",
+          description: "Only report what would be imported.",
+          schema: { type: "boolean" },
+        },
+        {
+          name: "map",
+          in: "query",
+          style: "deepObject",
+          description:
+            "Maps CSV headers to task properties; an empty value ignores the column.",
+          schema: { type: "object" },
+        },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          ...json(ref("TaskExport")),
+          "text/csv": { schema: { type: "string" } },
+        },
+      },
+      responses: {
+        200: {
+          description: "Dry run result.",
+          content: json(ref("ImportResult")),
+        },
+        201: {
+          description: "The tasks were imported.",
+          content: json(ref("ImportResult")),
+        },
+        400: {
+          description: "Nothing was imported.",
+          content: {
+            ...json(ref("ImportResult")),
+            "text/html": { schema: { type: "string" } },
+          },
+        },
+        415: responseRef("UnsupportedMediaType"),
+      },
+    },
+  },
+  "/v1/tasks/bulk": {
+    post: {
+      operationId: "applyBulkOperations",
+      summary: "Create, update and delete tasks, all or nothing.",
+      requestBody: {
+        required: true,
+        content: json({
+          type: "array",
+          items: ref("BulkOperation"),
+          minItems: 1,
+          maxItems: MAX_BULK_OPERATIONS,
+        }),
+      },
+      responses: {
+        200: {
+          description: "Every operation was applied.",
+          content: json(ref("BulkResponse")),
+        },
+        400: {
+          description: "No operation was applied.",
+          content: {
+            ...json(ref("BulkResponse")),
+            "text/html": { schema: { type: "string" } },
+          },
+        },
+      },
+    },
+  },
+  "/v1/tasks/{id}": {
+    parameters: [parameterRef("TaskId")],
+    get: {
+      operationId: "getTask",
+      summary: "Get a task.",
+      responses: {
+        200: taskResponse("The task."),
+        304: { description: "The task still has the If-None-Match version." },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+      },
+    },
+    put: {
+      operationId: "replaceTask",
+      summary: "Replace a task.",
+      parameters: [parameterRef("Cascade"), ifMatch],
+      requestBody: { required: true, content: json(ref("TaskInput")) },
+      responses: {
+        200: taskResponse("The updated task."),
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+        409: responseRef("StatusTransition"),
+        412: responseRef("PreconditionFailed"),
+      },
+    },
+    patch: {
+      operationId: "patchTask",
+      summary: "Change part of a task.",
+      parameters: [parameterRef("Cascade"), ifMatch],
+      requestBody: {
+        required: true,
+        content: {
+          [MERGE_PATCH_CONTENT_TYPE]: { schema: { type: "object" } },
+          [JSON_PATCH_CONTENT_TYPE]: {
+            schema: { type: "array", items: ref("JsonPatchOperation") },
+          },
+        },
+      },
+      responses: {
+        200: taskResponse("The updated task."),
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+        409: message(
+          "A JSON Patch test operation failed, or the workflow does not allow the change of status."
+        ),
+        412: responseRef("PreconditionFailed"),
+        415: responseRef("UnsupportedMediaType"),
+      },
+    },
+    delete: {
+      operationId: "deleteTask",
+      summary: "Move a task to the trash.",
+      parameters: [parameterRef("Cascade"), ifMatch],
+      responses: {
+        200: {
+          description: "The trashed tasks, the requested one first.",
+          content: json({ type: "array", items: ref("TrashedTask") }),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+        409: responseRef("Conflict"),
+        412: responseRef("PreconditionFailed"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/history": {
+    parameters: [parameterRef("TaskId")],
+    get: {
+      operationId: "getTaskHistory",
+      summary: "List the recorded changes of a task, oldest first.",
+      responses: {
+        200: {
+          description: "The history entries.",
+          content: json({ type: "array", items: ref("HistoryEntry") }),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/subtasks": {
+    parameters: [parameterRef("TaskId")],
+    get: {
+      operationId: "listSubtasks",
+      summary: "List the direct subtasks of a task.",
+      responses: {
+        200: {
+          description: "The subtasks.",
+          content: json({ type: "array", items: ref("Task") }),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/dependencies": {
+    parameters: [parameterRef("TaskId")],
+    get: {
+      operationId: "getTaskDependencies",
+      summary: "Get the tasks a task depends on, in completion order.",
+      responses: {
+        200: {
+          description: "The dependency graph.",
+          content: json(ref("DependencyGraph")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/move": {
+    parameters: [parameterRef("TaskId")],
+    post: {
+      operationId: "moveTask",
+      summary: "Move a task and its subtasks to another task list.",
+      parameters: [ifMatch],
+      requestBody: { required: true, content: json(ref("TaskMove")) },
+      responses: {
+        200: {
+          description:
+            "The moved tasks with their ids in the target list, the requested one first.",
+          content: json({ type: "array", items: ref("Task") }),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+        412: responseRef("PreconditionFailed"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/restore": {
+    parameters: [parameterRef("TaskId")],
+    post: {
+      operationId: "restoreTask",
+      summary: "Move a task and its subtasks back from the trash.",
+      responses: {
+        200: {
+          description: "The restored tasks, the requested one first.",
+          content: json({ type: "array", items: ref("Task") }),
+        },
+        400: responseRef("BadRequest"),
+        404: message("The task is not in the trash."),
+        409: responseRef("Conflict"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/revert/{version}": {
+    parameters: [
+      parameterRef("TaskId"),
+      {
+        name: "version",
+        in: "path",
+        required: true,
+        schema: { type: "integer", minimum: 1 },
+      },
+    ],
+    post: {
+      operationId: "revertTask",
+      summary: "Make an earlier version of a task current again.",
+      parameters: [ifMatch],
+      responses: {
+        200: taskResponse("The task, with a new version."),
+        400: responseRef("BadRequest"),
+        404: message("The task or the version does not exist."),
+        409: responseRef("StatusTransition"),
+        412: responseRef("PreconditionFailed"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/timer/start": {
+    parameters: [parameterRef("TaskId")],
+    post: {
+      operationId: "startTimer",
+      summary: "Start a timer on a task.",
+      parameters: [parameterRef("User")],
+      responses: {
+        201: {
+          description: "The running time entry.",
+          content: json(ref("TimeEntry")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+        409: message("The user already has a running timer."),
+      },
+    },
+  },
+  "/v1/tasks/{id}/timer/stop": {
+    parameters: [parameterRef("TaskId")],
+    post: {
+      operationId: "stopTimer",
+      summary: "Stop the timer the user runs on a task.",
+      parameters: [parameterRef("User")],
+      responses: {
+        200: {
+          description: "The finished time entry.",
+          content: json(ref("TimeEntry")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+        409: message("The user has no timer running on the task."),
+      },
+    },
+  },
+  "/v1/tasks/{id}/time-entries": {
+    parameters: [parameterRef("TaskId")],
+    get: {
+      operationId: "listTimeEntries",
+      summary: "List the time entries of a task, oldest first.",
+      responses: {
+        200: {
+          description: "The time entries, running timers included.",
+          content: json({ type: "array", items: ref("TimeEntry") }),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+      },
+    },
+    post: {
+      operationId: "addTimeEntry",
+      summary: "Record time spent on a task without a timer.",
+      parameters: [parameterRef("User")],
+      requestBody: { required: true, content: json(ref("TimeEntryInput")) },
+      responses: {
+        201: {
+          description: "The time entry.",
+          content: json(ref("TimeEntry")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("NotFound"),
+      },
+    },
+  },
+  "/v1/tasks/{id}/time-entries/{entryId}": {
+    parameters: [
+      parameterRef("TaskId"),
+      {
+        name: "entryId",
+        in: "path",
+        required: true,
+        schema: { type: "integer", minimum: 1 },
+      },
+    ],
+    delete: {
+      operationId: "deleteTimeEntry",
+      summary: "Remove a time entry of a task.",
+      responses: {
+        200: {
+          description: "The removed time entry.",
+          content: json(ref("TimeEntry")),
+        },
+        400: responseRef("BadRequest"),
+        404: message("The task has no time entry with this id."),
+      },
+    },
+  },
+};
+
+const listPaths = {
+  "/v1/lists": {
+    get: {
+      operationId: "listTaskLists",
+      summary: "List the task lists.",
+      responses: {
+        200: {
+          description: "The task lists, the default one first.",
+          content: json({ type: "array", items: ref("TaskList") }),
+        },
+      },
+    },
+    post: {
+      operationId: "createTaskList",
+      summary: "Create an empty task list.",
+      requestBody: { required: true, content: json(ref("TaskListInput")) },
+      responses: {
+        201: {
+          description: "The created list.",
+          content: json(ref("TaskList")),
+        },
+        400: responseRef("BadRequest"),
+        409: message("The name is taken."),
+      },
+    },
+  },
+  "/v1/lists/{listId}": {
+    parameters: [parameterRef("ListId")],
+    get: {
+      operationId: "getTaskList",
+      summary: "Get a task list.",
+      responses: {
+        200: { description: "The list.", content: json(ref("TaskList")) },
+        400: responseRef("BadRequest"),
+        404: responseRef("ListNotFound"),
+      },
+    },
+    put: {
+      operationId: "renameTaskList",
+      summary: "Rename a task list.",
+      requestBody: { required: true, content: json(ref("TaskListInput")) },
+      responses: {
+        200: {
+          description: "The renamed list.",
+          content: json(ref("TaskList")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("ListNotFound"),
+        409: message("The name is taken."),
+      },
+    },
+    delete: {
+      operationId: "deleteTaskList",
+      summary: "Delete a task list, and with cascade the tasks it holds.",
+      parameters: [
+        {
+          name: "cascade",
+          in: "query",
+          description: "Whether a list holding tasks is deleted with them.",
+          schema: { type: "boolean" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "The deleted list.",
+          content: json(ref("TaskList")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("ListNotFound"),
+        409: message("The list is the default list or holds tasks."),
+      },
+    },
+  },
+};
+
+const workflowPaths = {
+  "/v1/workflow": {
+    get: {
+      operationId: "getWorkflow",
+      summary: "Get the statuses of tasks and their transitions.",
+      responses: {
+        200: { description: "The workflow.", content: json(ref("Workflow")) },
+      },
+    },
+    put: {
+      operationId: "replaceWorkflow",
+      summary: "Replace the workflow.",
+      requestBody: { required: true, content: json(ref("Workflow")) },
+      responses: {
+        200: { description: "The workflow.", content: json(ref("Workflow")) },
+        400: responseRef("BadRequest"),
+        409: message("Tasks are in a status the workflow removes."),
+      },
+    },
+  },
+  "/v1/board": {
+    get: {
+      operationId: "getBoard",
+      summary: "Get the tasks grouped in one column per status.",
+      responses: {
+        200: { description: "The board.", content: json(ref("Board")) },
+      },
+    },
+  },
+  "/v1/lists/{listId}/board": {
+    parameters: [parameterRef("ListId")],
+    get: {
+      operationId: "getBoardOfList",
+      summary: "Get the tasks of a list grouped in one column per status.",
+      responses: {
+        200: { description: "The board.", content: json(ref("Board")) },
+        400: responseRef("BadRequest"),
+        404: responseRef("ListNotFound"),
+      },
+    },
+  },
+};
+
+const templatePaths = {
+  "/v1/templates": {
+    get: {
+      operationId: "listTemplates",
+      summary: "List the task templates.",
+      responses: {
+        200: {
+          description: "The templates.",
+          content: json({ type: "array", items: ref("TaskTemplate") }),
+        },
+      },
+    },
+    post: {
+      operationId: "createTemplate",
+      summary: "Create a task template.",
+      requestBody: { required: true, content: json(ref("TaskTemplateInput")) },
+      responses: {
+        201: {
+          description: "The created template.",
+          content: json(ref("TaskTemplate")),
+        },
+        400: responseRef("BadRequest"),
+        409: message("The name is taken."),
+      },
+    },
+  },
+  "/v1/templates/{id}": {
+    parameters: [parameterRef("TemplateId")],
+    get: {
+      operationId: "getTemplate",
+      summary: "Get a task template.",
+      responses: {
+        200: {
+          description: "The template.",
+          content: json(ref("TaskTemplate")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("TemplateNotFound"),
+      },
+    },
+    put: {
+      operationId: "replaceTemplate",
+      summary: "Replace a task template.",
+      requestBody: { required: true, content: json(ref("TaskTemplateInput")) },
+      responses: {
+        200: {
+          description: "The replaced template.",
+          content: json(ref("TaskTemplate")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("TemplateNotFound"),
+        409: message("The name is taken."),
+      },
+    },
+    delete: {
+      operationId: "deleteTemplate",
+      summary: "Delete a task template; tasks created from it are kept.",
+      responses: {
+        200: {
+          description: "The deleted template.",
+          content: json(ref("TaskTemplate")),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("TemplateNotFound"),
+      },
+    },
+  },
+  "/v1/templates/{id}/instantiate": {
+    parameters: [parameterRef("TemplateId")],
+    post: {
+      operationId: "instantiateTemplate",
+      summary: "Create the tasks of a template, all or nothing.",
+      requestBody: {
+        required: true,
+        content: json(ref("TemplateInstantiation")),
+      },
+      responses: {
+        201: {
+          description: "The created tasks, in template order.",
+          content: json({ type: "array", items: ref("Task") }),
+        },
+        400: responseRef("BadRequest"),
+        404: responseRef("TemplateNotFound"),
+      },
+    },
+  },
+};
+
+const reportPaths = {
+  "/v1/reports/time": {
+    get: {
+      operationId: "getTimeReport",
+      summary: "Add up the time tracked per day or per task.",
+      parameters: [
+        {
+          name: "from",
+          in: "query",
+          required: true,
+          description: "First day of the report, in UTC.",
+          schema: { type: "string", format: "date" },
+        },
+        {
+          name: "to",
+          in: "query",
+          required: true,
+          description: "Last day of the report, in UTC.",
+          schema: { type: "string", format: "date" },
+        },
+        {
+          name: "groupBy",
+          in: "query",
+          schema: { type: "string", enum: GROUP_BY, default: "day" },
+        },
+        {
+          name: "user",
+          in: "query",
+          description: "Only count the time of this user.",
+          schema: { type: "string" },
+        },
+        {
+          name: "listId",
+          in: "query",
+          description: "Only count the time spent on tasks of this list.",
+          schema: { type: "integer", minimum: 1 },
+        },
+      ],
+      responses: {
+        200: { description: "The report.", content: json(ref("TimeReport")) },
+        400: responseRef("BadRequest"),
+      },
+    },
+  },
+};
+
+/**
+ * The task routes of a task list other than the default one.
+ */
+const scopedTaskPaths = Object.fromEntries(
+  Object.entries(taskPaths).map(([path, item]) => [
+    path.replace("/v1/tasks", "/v1/lists/{listId}/tasks"),
+    Object.fromEntries(
+      Object.entries(item).map(([key, value]) =>
+        key === "parameters"
+          ? [key, [parameterRef("ListId"), ...value]]
+          : [
+              key,
+              {
+                ...value,
+                operationId: `${value.operationId}InList`,
+                responses: {
+                  404: responseRef("ListNotFound"),
+                  ...value.responses,
+                },
+              },
+            ]
+      )
+    ),
+  ])
+);
+for (const item of Object.values(scopedTaskPaths)) {
+  item.parameters = item.parameters || [parameterRef("ListId")];
+}
+
+const paths = {
+  ...taskPaths,
+  ...listPaths,
+  ...scopedTaskPaths,
+  ...workflowPaths,
+  ...templatePaths,
+  ...reportPaths,
+};
+
+const OPENAPI_DOCUMENT = {
+  openapi: "3.1.0",
+  info: {
+    title: "Task Manager API",
+    version,
+  },
+  servers: [{ url: "/task-management" }],
+  paths,
+  components,
+};
+
+module.exports = { OPENAPI_DOCUMENT };
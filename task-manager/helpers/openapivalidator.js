@@ -0,0 +1,277 @@
+const express = require("express");
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("./constants");
+const { validate } = require("./validator");
+const { OPENAPI_DOCUMENT } = require("./openapi");
+
+const METHODS = ["get", "put", "post", "patch", "delete"];
+
+/**
+ * The operations of the document, with a pattern matching their path.
+ * Paths without templates come first, so that /v1/tasks/trash is not taken
+ * for /v1/tasks/{id}.
+ */
+const OPERATIONS = Object.entries(OPENAPI_DOCUMENT.paths)
+  .flatMap(([path, item]) =>
+    METHODS.filter((method) => item[method]).map((method) => ({
+      method,
+      names: [...path.matchAll(/{(\w+)}/g)].map((match) => match[1]),
+      pattern: new RegExp(
+        `^${path.replace(/{\w+}/g, "([^/]+)").replace(/\//g, "\\/")}$`
+      ),
+      parameters: [
+        ...(item.parameters || []),
+        ...(item[method].parameters || []),
+      ].map(resolve),
+      operation: item[method],
+    }))
+  )
+  .sort((a, b) => a.names.length - b.names.length);
+
+// The body parsers of the routes run after this middleware, so bodies are
+// parsed here with the same options; those parsers then leave them alone.
+const parseBody = [
+  express.json({
+    type: Object.values(OPENAPI_DOCUMENT.paths).flatMap((item) =>
+      METHODS.flatMap((method) =>
+        Object.keys(
+          ((item[method] && item[method].requestBody) || {}).content || {}
+        ).filter((type) => type.endsWith("json"))
+      )
+    ),
+  }),
+  express.text({ type: "text/csv", limit: "1mb" }),
+];
+
+/**
+ * Validates requests and responses of the routes described in the OpenAPI
+ * document, in development mode only: when NODE_ENV is "development" or
+ * OPENAPI_VALIDATION is "true".
+ *
+ * Path and query parameters are converted to the type of their schema
+ * before being validated. Invalid parameters are answered with 400 and the
+ * list of violations, prefixed with where they come from ("query.limit",
+ * "path.id"), and never reach the route.
+ * The body is validated against the schema of its content type, but left to
+ * the route even when invalid: the routes validate their bodies themselves
+ * and answer with the errors the document describes for them, such as the
+ * `results` of a bulk request. The route must reject such a body; if it
+ * answers with a success instead, the response is replaced with a 500
+ * listing the violations of the body.
+ * A response whose status, content type or body the document does not
+ * describe is logged and replaced with a 500 listing the violations, so
+ * that the document and the routes cannot drift apart unnoticed. Errors
+ * answered with 500 are not checked.
+ */
+function validateAgainstOpenApi(req, res, next) {
+  if (!isValidationEnabled()) {
+    return next();
+  }
+  const match = findOperation(req);
+  if (!match) {
+    return next();
+  }
+  runAll(parseBody, req, res, (err) => {
+    if (err) {
+      return next(err);
+    }
+    const errors = validateParameters(req, match);
+    if (errors.length > 0) {
+      return res
+        .status(HTTP_STATUS_CODES.BAD_REQUEST)
+        .send({ message: RESPONSE_MESSAGES.OPENAPI_REQUEST_INVALID, errors });
+    }
+    checkResponses(req, res, match.operation, validateBody(req, match));
+    next();
+  });
+}
+
+function isValidationEnabled() {
+  return (
+    process.env.NODE_ENV === "development" ||
+    process.env.OPENAPI_VALIDATION === "true"
+  );
+}
+
+function findOperation(req) {
+  const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+  for (const candidate of OPERATIONS) {
+    const match =
+      candidate.method === method && candidate.pattern.exec(req.path);
+    if (match) {
+      const path = {};
+      candidate.names.forEach((name, index) => {
+        path[name] = decodePathSegment(match[index + 1]);
+      });
+      return { ...candidate, path };
+    }
+  }
+  return undefined;
+}
+
+function validateParameters(req, match) {
+  const errors = [];
+  for (const parameter of match.parameters) {
+    const source = parameter.in === "path" ? match.path : req.query;
+    if (parameter.in !== "path" && parameter.in !== "query") {
+      continue;
+    }
+    const field = `${parameter.in}.${parameter.name}`;
+    const value = source[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push({
+          field,
+          code: "required",
+          message: `"${field}" is required.`,
+        });
+      }
+      continue;
+    }
+    errors.push(
+      ...validateValue(coerce(value, parameter.schema), parameter.schema, field)
+    );
+  }
+  return errors;
+}
+
+function validateBody(req, match) {
+  const { requestBody } = match.operation;
+  const mediaType =
+    requestBody &&
+    Object.keys(requestBody.content).find((type) => req.is(type));
+  return mediaType
+    ? validateValue(req.body, requestBody.content[mediaType].schema, "")
+    : [];
+}
+
+/**
+ * Checks every response sent by the route before it goes out. `res.send`
+ * hands objects to `res.json`, which sends them on as strings, so each body
+ * is checked once: as JSON in `res.json`, or as text in `res.send`. JSON
+ * bodies are checked as they are sent, without their undefined properties.
+ * `bodyErrors` are the violations of the request body, which the route must
+ * answer with an error.
+ */
+function checkResponses(req, res, operation, bodyErrors) {
+  const send = res.send.bind(res);
+  const sendJson = res.json.bind(res);
+  let checked = false;
+  const acceptsInvalidBody = () =>
+    bodyErrors.length > 0 && res.statusCode < HTTP_STATUS_CODES.BAD_REQUEST;
+
+  const check = (body, mediaType) => {
+    checked = true;
+    if (res.statusCode >= HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR) {
+      return [];
+    }
+    if (acceptsInvalidBody()) {
+      return bodyErrors;
+    }
+    const response = resolve(operation.responses[res.statusCode]);
+    if (!response) {
+      return [
+        undeclared("status", `Status ${res.statusCode} is not declared.`),
+      ];
+    }
+    const content = (response.content || {})[mediaType];
+    if (!content) {
+      return [
+        undeclared(
+          "contentType",
+          `Status ${res.statusCode} does not declare ${mediaType} content.`
+        ),
+      ];
+    }
+    return validateValue(body, content.schema, "");
+  };
+
+  const fail = (errors) => {
+    const message = acceptsInvalidBody()
+      ? RESPONSE_MESSAGES.OPENAPI_REQUEST_ACCEPTED
+      : RESPONSE_MESSAGES.OPENAPI_RESPONSE_INVALID;
+    req.logger.error(
+      `Error logged ${req.method} ${
+        req.originalUrl
+      } does not match the OpenAPI document: ${JSON.stringify(errors)}`
+    );
+    res.set("Content-Type", "application/json");
+    res.status(HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR);
+    return send(JSON.stringify({ message, errors }));
+  };
+
+  res.json = (body) => {
+    if (checked) {
+      return sendJson(body);
+    }
+    const errors = check(
+      body === undefined ? body : JSON.parse(JSON.stringify(body)),
+      "application/json"
+    );
+    return errors.length > 0 ? fail(errors) : sendJson(body);
+  };
+  res.send = (body) => {
+    if (checked || typeof body !== "string") {
+      return send(body);
+    }
+    const contentType = (res.get("Content-Type") || "text/html").split(";")[0];
+    const errors = check(body, contentType);
+    return errors.length > 0 ? fail(errors) : send(body);
+  };
+}
+
+function validateValue(value, schema, field) {
+  return validate(value, schema, { document: OPENAPI_DOCUMENT }, field);
+}
+
+/**
+ * Converts a path or query parameter, always received as text, to the type
+ * of its schema. Values that do not convert are left as they are, for the
+ * validator to report.
+ */
+function coerce(value, schema) {
+  schema = resolve(schema);
+  switch (schema.type) {
+    case "integer":
+      return typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value;
+    case "boolean":
+      return value === "true" || value === "false" ? value === "true" : value;
+    case "array":
+      return [].concat(value).map((item) => coerce(item, schema.items));
+    default:
+      return value;
+  }
+}
+
+function resolve(object) {
+  if (!object || !object.$ref) {
+    return object;
+  }
+  return object.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node[key], OPENAPI_DOCUMENT);
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+function undeclared(code, message) {
+  return { field: "response", code, message };
+}
+
+function runAll(middlewares, req, res, done) {
+  const [first, ...rest] = middlewares;
+  if (!first) {
+    return done();
+  }
+  first(req, res, (err) => (err ? done(err) : runAll(rest, req, res, done)));
+}
+
+module.exports = { validateAgainstOpenApi, isValidationEnabled };
@@ -0,0 +1,247 @@
+const MERGE_PATCH_CONTENT_TYPE = "application/merge-patch+json";
+const JSON_PATCH_CONTENT_TYPE = "application/json-patch+json";
+
+/**
+ * Error raised when a patch document cannot be applied.
+ * `code` is "INVALID_PATCH" for malformed documents or paths that do not
+ * resolve, and "TEST_FAILED" when a JSON Patch "test" operation fails.
+ */
+class PatchError extends Error {
+  constructor(message, code = "INVALID_PATCH") {
+    super(message);
+    this.name = "PatchError";
+    this.code = code;
+  }
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396) to a document.
+ * The target is not modified; a new document is returned.
+ * @param {*} target - The document to patch.
+ * @param {*} patch - The merge patch document.
+ * @returns {*} - The patched document.
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+  const result = isPlainObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === "__proto__") {
+      throw new PatchError('Property "__proto__" cannot be patched.');
+    }
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a document. Operations are applied in
+ * order to a copy of the document; if any of them fails a PatchError is
+ * thrown and the original document is left untouched.
+ * @param {*} target - The document to patch.
+ * @param {Array} operations - The JSON Patch operations.
+ * @returns {*} - The patched document.
+ * @throws {PatchError} - If the patch is malformed or an operation fails.
+ */
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError(
+      "A JSON Patch document must be an array of operations."
+    );
+  }
+  let document = clone(target);
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation) || typeof operation.path !== "string") {
+      throw new PatchError(
+        `Operation ${index} must be an object with a "path".`
+      );
+    }
+    const path = parsePointer(operation.path);
+    switch (operation.op) {
+      case "add":
+        requireValue(operation, index);
+        document = addValue(document, path, clone(operation.value));
+        break;
+      case "remove":
+        document = removeValue(document, path);
+        break;
+      case "replace":
+        requireValue(operation, index);
+        document = removeValue(document, path);
+        document = addValue(document, path, clone(operation.value));
+        break;
+      case "move": {
+        const from = parseFromPointer(operation, index);
+        if (isPrefix(from, path) && from.length < path.length) {
+          throw new PatchError(
+            `Operation ${index} cannot move a value into itself.`
+          );
+        }
+        const value = getValue(document, from);
+        document = removeValue(document, from);
+        document = addValue(document, path, value);
+        break;
+      }
+      case "copy": {
+        const from = parseFromPointer(operation, index);
+        document = addValue(document, path, clone(getValue(document, from)));
+        break;
+      }
+      case "test":
+        requireValue(operation, index);
+        if (!deepEqual(getValue(document, path), operation.value)) {
+          throw new PatchError(
+            `Test failed for path "${operation.path}".`,
+            "TEST_FAILED"
+          );
+        }
+        break;
+      default:
+        throw new PatchError(
+          `Operation ${index} has an unknown op "${operation.op}".`
+        );
+    }
+  });
+  return document;
+}
+
+function requireValue(operation, index) {
+  if (!hasOwn(operation, "value")) {
+    throw new PatchError(`Operation ${index} is missing a "value".`);
+  }
+}
+
+function parseFromPointer(operation, index) {
+  if (typeof operation.from !== "string") {
+    throw new PatchError(`Operation ${index} is missing a "from" path.`);
+  }
+  return parsePointer(operation.from);
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into its unescaped reference tokens.
+ */
+function parsePointer(pointer) {
+  if (pointer === "") {
+    return [];
+  }
+  if (!pointer.startsWith("/")) {
+    throw new PatchError(`Invalid JSON Pointer "${pointer}".`);
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => {
+      const unescaped = token.replace(/~1/g, "/").replace(/~0/g, "~");
+      if (unescaped === "__proto__") {
+        throw new PatchError('Property "__proto__" cannot be patched.');
+      }
+      return unescaped;
+    });
+}
+
+function getValue(document, path) {
+  let current = document;
+  for (const token of path) {
+    current = getChild(current, token);
+  }
+  return current;
+}
+
+function getChild(container, token) {
+  if (Array.isArray(container)) {
+    const index = parseArrayIndex(token, container.length - 1);
+    return container[index];
+  }
+  if (isPlainObject(container) && hasOwn(container, token)) {
+    return container[token];
+  }
+  throw new PatchError(`Path segment "${token}" does not exist.`);
+}
+
+function addValue(document, path, value) {
+  if (path.length === 0) {
+    return value;
+  }
+  const parent = getValue(document, path.slice(0, -1));
+  const token = path[path.length - 1];
+  if (Array.isArray(parent)) {
+    const index =
+      token === "-" ? parent.length : parseArrayIndex(token, parent.length);
+    parent.splice(index, 0, value);
+  } else if (isPlainObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw new PatchError(`Cannot add "${token}" to a non-container value.`);
+  }
+  return document;
+}
+
+function removeValue(document, path) {
+  if (path.length === 0) {
+    return undefined;
+  }
+  const parent = getValue(document, path.slice(0, -1));
+  const token = path[path.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(parseArrayIndex(token, parent.length - 1), 1);
+  } else if (isPlainObject(parent) && hasOwn(parent, token)) {
+    delete parent[token];
+  } else {
+    throw new PatchError(`Path segment "${token}" does not exist.`);
+  }
+  return document;
+}
+
+function parseArrayIndex(token, maxIndex) {
+  if (!/^(0|[1-9]\d*)$/.test(token) || parseInt(token, 10) > maxIndex) {
+    throw new PatchError(`Invalid array index "${token}".`);
+  }
+  return parseInt(token, 10);
+}
+
+function isPrefix(prefix, path) {
+  return prefix.every((token, index) => path[index] === token);
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => hasOwn(b, key) && deepEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  MERGE_PATCH_CONTENT_TYPE,
+  JSON_PATCH_CONTENT_TYPE,
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch,
+};
@@ -0,0 +1,319 @@
+const { TASK_PRIORITIES } = require("./constants");
+const { QUICK_ADD_SCHEMA } = require("./schemas");
+const { validate } = require("./validator");
+const { isValidDueDate } = require("./recurrence");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const WEEKDAY_MARKERS = ["on", "by", "next"];
+const DAYS_PER_UNIT = { day: 1, days: 1, week: 7, weeks: 7 };
+const MONTH_UNITS = ["month", "months"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_12H_PATTERN = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/;
+const TIME_24H_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const UTC_OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parser of the one-line tasks of POST /v1/tasks/quick, such as
+ * "Ship release notes tomorrow 5pm #docs !high".
+ *
+ * The line is read word by word:
+ * - `#tag` adds a tag, in lowercase.
+ * - `!low`, `!medium` or `!high` sets the priority.
+ * - A day sets the due date: "today", "tomorrow", a weekday ("friday", the
+ *   next one after today, optionally after "on", "by" or "next"), "next
+ *   week" (its Monday), "next month" (its first day), "in 3 days", "in 2
+ *   weeks", "in 1 month" or a date such as "2024-05-31". Abbreviated
+ *   weekdays ("fri") are common words too ("a sun hat"), so they are only
+ *   read after "on", "by" or "next", or at the end of the line, where only
+ *   a time, tags and a priority may follow them.
+ * - A time sets the time of day it is due: "5pm", "5:30pm", "17:30" or
+ *   "noon", optionally after "at". A time without a day is due today, or
+ *   tomorrow once that time has passed.
+ * - Every other word is part of the title.
+ * Only the first day and the first time are read; later ones stay in the
+ * title. Days and times are read in the timezone of `utcOffset`; a due date
+ * without a time is a calendar date, due at the end of the day.
+ */
+
+/**
+ * Reads the body of a quick-add request, `{ text, description, utcOffset }`,
+ * into the task to create. The task is incomplete and, unless the body has
+ * a `description`, described by the line itself.
+ * @param {*} body - The parsed request body.
+ * @param {Date} [now] - The current time.
+ * @returns {{errors: Array}|{task: Object, tokens: Array}} - The validation
+ * errors of the body, or the task and the tokens read by parseQuickAdd.
+ */
+function readQuickAdd(body, now = new Date()) {
+  const errors = validate(body, QUICK_ADD_SCHEMA);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const { task, tokens } = parseQuickAdd(body.text, {
+    now,
+    utcOffset: body.utcOffset,
+  });
+  return {
+    task: {
+      ...task,
+      description: body.description || body.text.trim(),
+      completed: false,
+    },
+    tokens,
+  };
+}
+
+/**
+ * Reads a quick-add line.
+ * @param {string} text - The line.
+ * @param {Object} [options] - `now`, the current time, and `utcOffset`,
+ * "Z" (the default) or an offset such as "+02:00".
+ * @returns {{task: Object, tokens: Array}} - The task properties read from
+ * the line, and one `{ text, type, value }` entry per token in line order,
+ * `type` being "title", "tag", "priority", "date" or "time".
+ */
+function parseQuickAdd(text, { now = new Date(), utcOffset = "Z" } = {}) {
+  const offsetMs = parseUtcOffset(utcOffset);
+  // The current time as a UTC date whose fields are those of the timezone.
+  const local = new Date(now.getTime() + offsetMs);
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const tokens = [];
+  const tags = [];
+  let priority;
+  let date;
+  let time;
+  let index = 0;
+  while (index < words.length) {
+    const word = words[index];
+    const lower = word.toLowerCase();
+    let match;
+    if (isTag(lower)) {
+      const tag = lower.slice(1);
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+      tokens.push({ text: word, type: "tag", value: tag });
+      index += 1;
+    } else if (isPriority(lower)) {
+      priority = lower.slice(1);
+      tokens.push({ text: word, type: "priority", value: priority });
+      index += 1;
+    } else if (!date && (match = matchDay(words, index, local))) {
+      date = match.value;
+      tokens.push({ ...match, type: "date" });
+      index += match.length;
+    } else if (!time && (match = matchTime(words, index))) {
+      time = match.value;
+      tokens.push({ ...match, type: "time" });
+      index += match.length;
+    } else {
+      tokens.push({ text: word, type: "title", value: word });
+      index += 1;
+    }
+  }
+  if (time && !date) {
+    const today = formatDate(local);
+    date =
+      time > local.toISOString().slice(11, 16)
+        ? today
+        : formatDate(addDays(local, 1));
+  }
+  const task = {
+    title: tokens
+      .filter((token) => token.type === "title")
+      .map((token) => token.text)
+      .join(" "),
+  };
+  if (date) {
+    task.dueDate = time ? `${date}T${time}:00${utcOffset}` : date;
+  }
+  if (tags.length > 0) {
+    task.tags = tags;
+  }
+  if (priority) {
+    task.priority = priority;
+  }
+  return {
+    task,
+    tokens: tokens.map(({ text, type, value }) => ({ text, type, value })),
+  };
+}
+
+/**
+ * Reads a day starting at `words[index]`.
+ * @returns {Object|null} - `{ text, value, length }`, `value` being the date
+ * ("YYYY-MM-DD") and `length` the number of words read, or null.
+ */
+function matchDay(words, index, local) {
+  const [first, second, third] = words
+    .slice(index, index + 3)
+    .map((word) => word.toLowerCase());
+  const read = (length, day) => ({
+    text: words.slice(index, index + length).join(" "),
+    value: formatDate(day),
+    length,
+  });
+  if (first === "today") {
+    return read(1, local);
+  }
+  if (first === "tomorrow") {
+    return read(1, addDays(local, 1));
+  }
+  if (DATE_PATTERN.test(first) && isValidDueDate(first)) {
+    return read(1, new Date(`${first}T00:00:00Z`));
+  }
+  if (
+    findWeekday(first) !== -1 &&
+    (WEEKDAYS.includes(first) || isLineEnd(words, index + 1))
+  ) {
+    return read(1, nextWeekday(local, findWeekday(first)));
+  }
+  if (WEEKDAY_MARKERS.includes(first) && findWeekday(second) !== -1) {
+    return read(2, nextWeekday(local, findWeekday(second)));
+  }
+  if (first === "next" && second === "week") {
+    return read(2, nextWeekday(local, 1));
+  }
+  if (first === "next" && second === "month") {
+    return read(
+      2,
+      new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 1))
+    );
+  }
+  if (first === "in" && /^\d{1,3}$/.test(second)) {
+    const count = Number(second);
+    if (DAYS_PER_UNIT[third]) {
+      return read(3, addDays(local, count * DAYS_PER_UNIT[third]));
+    }
+    if (MONTH_UNITS.includes(third)) {
+      return read(3, addMonths(local, count));
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a time of day starting at `words[index]`.
+ * @returns {Object|null} - `{ text, value, length }`, `value` being the
+ * time ("HH:MM"), or null.
+ */
+function matchTime(words, index) {
+  const lower = words[index].toLowerCase();
+  if (lower === "at" && index + 1 < words.length) {
+    const time = matchTime(words, index + 1);
+    return time && { ...time, text: `${words[index]} ${time.text}`, length: 2 };
+  }
+  let hours;
+  let minutes;
+  let match;
+  if (lower === "noon") {
+    [hours, minutes] = [12, 0];
+  } else if ((match = TIME_12H_PATTERN.exec(lower))) {
+    hours = Number(match[1]);
+    minutes = Number(match[2] || 0);
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (match[3] === "pm" ? 12 : 0);
+  } else if ((match = TIME_24H_PATTERN.exec(lower))) {
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+  } else {
+    return null;
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  const pad = (value) => String(value).padStart(2, "0");
+  return {
+    text: words[index],
+    value: `${pad(hours)}:${pad(minutes)}`,
+    length: 1,
+  };
+}
+
+/**
+ * Tells whether the words from `index` on only hold a time, tags and
+ * priorities, which may follow a day at the end of the line.
+ */
+function isLineEnd(words, index) {
+  while (index < words.length) {
+    const lower = words[index].toLowerCase();
+    const time = matchTime(words, index);
+    if (time) {
+      index += time.length;
+    } else if (isTag(lower) || isPriority(lower)) {
+      index += 1;
+    } else {
+      return false;
+    }
+  }
+  return true;
+}
+
+function isTag(word) {
+  return word.length > 1 && word.startsWith("#");
+}
+
+function isPriority(word) {
+  return word[0] === "!" && TASK_PRIORITIES.includes(word.slice(1));
+}
+
+/**
+ * @param {string} utcOffset - "Z" or an offset such as "+02:00".
+ * @returns {number} - The offset in milliseconds.
+ */
+function parseUtcOffset(utcOffset) {
+  const match = UTC_OFFSET_PATTERN.exec(utcOffset);
+  if (!match) {
+    return 0;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return (match[1] === "-" ? -minutes : minutes) * 60 * 1000;
+}
+
+function findWeekday(word) {
+  if (word === undefined || word.length < 3) {
+    return -1;
+  }
+  return WEEKDAYS.findIndex(
+    (weekday) => weekday === word || weekday.slice(0, 3) === word
+  );
+}
+
+/**
+ * @returns {Date} - The first day after `day` that falls on `weekday`.
+ */
+function nextWeekday(day, weekday) {
+  return addDays(day, (weekday - day.getUTCDay() + 7) % 7 || 7);
+}
+
+function addDays(day, count) {
+  return new Date(day.getTime() + count * DAY_MS);
+}
+
+/**
+ * Adds months to a day, keeping its day of the month or using the last day
+ * of shorter months.
+ */
+function addMonths(day, count) {
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth() + count;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day.getUTCDate(), lastDay)));
+}
+
+function formatDate(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+module.exports = { readQuickAdd, parseQuickAdd };
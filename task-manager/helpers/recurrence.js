@@ -0,0 +1,276 @@
+/**
+ * Due dates and recurrence rules.
+ *
+ * A due date is either a calendar date ("2024-05-31"), due at the end of
+ * that day in UTC, or a date-time with a timezone ("2024-05-31T17:00:00Z").
+ *
+ * Recurrence rules use a subset of the iCalendar RRULE format (RFC 5545):
+ * - FREQ=DAILY, FREQ=WEEKLY or FREQ=MONTHLY (required).
+ * - INTERVAL=n: repeat every n days, weeks or months. Defaults to 1.
+ * - BYDAY=MO,WE,FR: weekdays of a weekly rule. Defaults to the weekday of the
+ *   due date.
+ * - BYMONTHDAY=n: day of a monthly rule, 1 to 31 or -1 for the last day.
+ *   Defaults to the day of the due date. Months without that day are skipped.
+ * - UNTIL=YYYYMMDD: no occurrence is created after that date.
+ * All dates are computed in UTC.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_UPCOMING_DAYS = 7;
+const MAX_UPCOMING_DAYS = 365;
+
+/**
+ * Returns whether a value is a valid due date.
+ * @param {string} value - The value to check.
+ * @returns {boolean}
+ */
+function isValidDueDate(value) {
+  if (DATE_PATTERN.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return (
+      !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+    );
+  }
+  return isValidDateTime(value);
+}
+
+/**
+ * Returns whether a value is a date-time with a timezone, such as
+ * "2024-05-31T17:00:00Z".
+ * @param {string} value - The value to check.
+ * @returns {boolean}
+ */
+function isValidDateTime(value) {
+  return DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Returns the moment a task is due, in milliseconds since the epoch.
+ * Calendar dates are due at the end of the day.
+ * @param {string} dueDate - A valid due date.
+ * @returns {number}
+ */
+function getDueTime(dueDate) {
+  return DATE_PATTERN.test(dueDate)
+    ? Date.parse(`${dueDate}T00:00:00Z`) + DAY_MS - 1
+    : Date.parse(dueDate);
+}
+
+/**
+ * Parses a recurrence rule.
+ * @param {string} rule - The rule, e.g. "FREQ=WEEKLY;BYDAY=MO,TH".
+ * @returns {Object|null} - `{ freq, interval, byDay, byMonthDay, until }`, or
+ * null if invalid.
+ */
+function parseRecurrence(rule) {
+  if (typeof rule !== "string") {
+    return null;
+  }
+  const parts = {};
+  for (const part of rule.split(";")) {
+    const [name, value, extra] = part.split("=");
+    if (!name || value === undefined || extra !== undefined || parts[name]) {
+      return null;
+    }
+    parts[name] = value;
+  }
+  const recurrence = {
+    freq: parts.FREQ,
+    interval: 1,
+    byDay: null,
+    byMonthDay: null,
+    until: null,
+  };
+  for (const name of Object.keys(parts)) {
+    if (!["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "UNTIL"].includes(name)) {
+      return null;
+    }
+  }
+  if (!["DAILY", "WEEKLY", "MONTHLY"].includes(recurrence.freq)) {
+    return null;
+  }
+  if (parts.INTERVAL !== undefined) {
+    if (!/^[1-9]\d{0,2}$/.test(parts.INTERVAL)) {
+      return null;
+    }
+    recurrence.interval = parseInt(parts.INTERVAL, 10);
+  }
+  if (parts.BYDAY !== undefined) {
+    const days = parts.BYDAY.split(",");
+    if (
+      recurrence.freq !== "WEEKLY" ||
+      days.some((day) => !WEEKDAYS.includes(day))
+    ) {
+      return null;
+    }
+    recurrence.byDay = days.map((day) => WEEKDAYS.indexOf(day));
+  }
+  if (parts.BYMONTHDAY !== undefined) {
+    const day = parseInt(parts.BYMONTHDAY, 10);
+    if (
+      recurrence.freq !== "MONTHLY" ||
+      !/^-?\d{1,2}$/.test(parts.BYMONTHDAY) ||
+      !(day === -1 || (day >= 1 && day <= 31))
+    ) {
+      return null;
+    }
+    recurrence.byMonthDay = day;
+  }
+  if (parts.UNTIL !== undefined) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(parts.UNTIL);
+    const until = match && `${match[1]}-${match[2]}-${match[3]}`;
+    if (!until || !isValidDueDate(until)) {
+      return null;
+    }
+    recurrence.until = getDueTime(until);
+  }
+  return recurrence;
+}
+
+/**
+ * Computes the due date of the occurrence following a due date.
+ * @param {string} dueDate - The current due date.
+ * @param {string} rule - A valid recurrence rule.
+ * @returns {string|null} - The next due date, in the same format as the
+ * current one, or null if the rule has no further occurrence.
+ */
+function getNextDueDate(dueDate, rule) {
+  const recurrence = parseRecurrence(rule);
+  const dateOnly = DATE_PATTERN.test(dueDate);
+  const current = new Date(dateOnly ? `${dueDate}T00:00:00Z` : dueDate);
+  let next;
+  switch (recurrence.freq) {
+    case "DAILY":
+      next = addDays(current, recurrence.interval);
+      break;
+    case "WEEKLY":
+      next = nextWeekly(current, recurrence);
+      break;
+    default:
+      next = nextMonthly(current, recurrence);
+  }
+  if (next === null) {
+    return null;
+  }
+  const nextDueDate = dateOnly
+    ? next.toISOString().slice(0, 10)
+    : next.toISOString();
+  if (recurrence.until !== null && getDueTime(nextDueDate) > recurrence.until) {
+    return null;
+  }
+  return nextDueDate;
+}
+
+function nextWeekly(current, recurrence) {
+  const byDay = recurrence.byDay || [current.getUTCDay()];
+  const weekStart = startOfWeek(current);
+  for (let offset = 1; offset <= 7 * (recurrence.interval + 1); offset++) {
+    const candidate = addDays(current, offset);
+    const weeks = Math.round(
+      (startOfWeek(candidate) - weekStart) / (7 * DAY_MS)
+    );
+    if (
+      weeks % recurrence.interval === 0 &&
+      byDay.includes(candidate.getUTCDay())
+    ) {
+      return candidate;
+    }
+  }
+  return addDays(current, 7 * recurrence.interval);
+}
+
+function nextMonthly(current, recurrence) {
+  const day =
+    recurrence.byMonthDay === null
+      ? current.getUTCDate()
+      : recurrence.byMonthDay;
+  // Month 0 is the current month: a BYMONTHDAY later in it comes first.
+  // A rule for the 31st skips shorter months, and one for February 29th
+  // common years, so look up to 48 intervals ahead.
+  const lastMonth = 48 * recurrence.interval;
+  for (let months = 0; months <= lastMonth; months += recurrence.interval) {
+    const year = current.getUTCFullYear();
+    const month = current.getUTCMonth() + months;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const monthDay = day === -1 ? daysInMonth : day;
+    if (monthDay > daysInMonth) {
+      continue;
+    }
+    const candidate = new Date(
+      Date.UTC(
+        year,
+        month,
+        monthDay,
+        current.getUTCHours(),
+        current.getUTCMinutes(),
+        current.getUTCSeconds(),
+        current.getUTCMilliseconds()
+      )
+    );
+    if (candidate > current) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the incomplete tasks whose due date has passed, soonest due first.
+ * @param {Array} tasks - All tasks.
+ * @param {number} now - The current time, in milliseconds since the epoch.
+ * @returns {Array}
+ */
+function getOverdueTasks(tasks, now) {
+  return getDueTasks(tasks, (dueTime) => dueTime < now);
+}
+
+/**
+ * Returns the incomplete tasks due within the next days, soonest due first.
+ * @param {Array} tasks - All tasks.
+ * @param {number} now - The current time, in milliseconds since the epoch.
+ * @param {number} days - How many days ahead to look.
+ * @returns {Array}
+ */
+function getUpcomingTasks(tasks, now, days) {
+  const end = now + days * DAY_MS;
+  return getDueTasks(tasks, (dueTime) => dueTime >= now && dueTime < end);
+}
+
+function getDueTasks(tasks, matchesDueTime) {
+  return tasks
+    .filter(
+      (task) =>
+        !task.completed &&
+        task.dueDate !== undefined &&
+        matchesDueTime(getDueTime(task.dueDate))
+    )
+    .sort(
+      (a, b) => getDueTime(a.dueDate) - getDueTime(b.dueDate) || a.id - b.id
+    );
+}
+
+function startOfWeek(date) {
+  const monday = (date.getUTCDay() + 6) % 7;
+  const day = addDays(date, -monday);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+module.exports = {
+  DEFAULT_UPCOMING_DAYS,
+  MAX_UPCOMING_DAYS,
+  isValidDueDate,
+  isValidDateTime,
+  getDueTime,
+  parseRecurrence,
+  getNextDueDate,
+  getOverdueTasks,
+  getUpcomingTasks,
+};
@@ -0,0 +1,91 @@
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("./constants");
+const { TaskError } = require("../service/taskservice");
+const { findList, getDefaultList } = require("../service/tasklists");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Mounts routes working on one task list, `req.list`: the default list under
+ * /v1/tasks, and the list named in the path under /v1/lists/:listId/tasks,
+ * which answers 404 when there is no such list.
+ * @param {Function} controller - The router to mount the routes on.
+ * @param {Function} routes - The routes, a router with `mergeParams`.
+ */
+function useListRoutes(controller, routes) {
+  controller.use(
+    "/v1/tasks",
+    (req, res, next) => {
+      req.list = getDefaultList(req.store);
+      next();
+    },
+    routes
+  );
+  controller.use(
+    "/v1/lists/:listId/tasks",
+    (req, res, next) => {
+      req.list = findList(req.store, req.params.listId);
+      if (!req.list) {
+        return res
+          .status(HTTP_STATUS_CODES.NOT_FOUND)
+          .send(RESPONSE_MESSAGES.LIST_NOT_FOUND(req.params.listId));
+      }
+      next();
+    },
+    routes
+  );
+}
+
+/**
+ * Gives the routes the current data of the store, `req.store`. Requests
+ * that may change it hold the store lock (see TaskStore.lock) until their
+ * response is sent, when the events they staged without saving their
+ * changes are dropped; the others read what was last written, by this
+ * process or another one. Each controller uses it after its body parsers,
+ * so that the lock is not held while a body is on its way; it only runs
+ * once per request, in the first controller the request reaches.
+ */
+function useStore(req, res, next) {
+  if (req.storeReady) {
+    return next();
+  }
+  req.storeReady = true;
+  if (READ_METHODS.includes(req.method)) {
+    try {
+      req.store.refresh();
+    } catch (err) {
+      return sendError(req, res, err);
+    }
+    return next();
+  }
+  req.store.lock().then(
+    () => {
+      res.once("close", () => {
+        // Events of changes that were not saved, e.g. after an error.
+        req.taskEvents.discardStaged();
+        req.store.unlock();
+      });
+      next();
+    },
+    (err) => sendError(req, res, err)
+  );
+}
+
+/**
+ * Answers with the status of a TaskError, including the field-level
+ * validation errors when there are any, or with a 500 for anything else.
+ */
+function sendError(req, res, err) {
+  if (err instanceof TaskError) {
+    return res
+      .status(err.status)
+      .send(
+        err.errors ? { message: err.message, errors: err.errors } : err.message
+      );
+  }
+  req.logger.error("Error logged " + err);
+  return res
+    .status(HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR)
+    .send(RESPONSE_MESSAGES.INTERNAL_SERVER_ERROR);
+}
+
+module.exports = { useListRoutes, useStore, sendError };
@@ -0,0 +1,210 @@
+/**
+ * Declarative schemas used by helpers/validator.js.
+ * See the Validator class for the supported keywords.
+ */
+const { TASK_EVENT_TYPES, TASK_PRIORITIES } = require("./constants");
+
+const TAG_SCHEMA = {
+  type: "string",
+  minLength: 1,
+  maxLength: 30,
+  pattern: "^[a-z0-9][a-z0-9_-]*$",
+};
+
+const STATUS_NAME_SCHEMA = {
+  type: "string",
+  minLength: 1,
+  maxLength: 30,
+  pattern: "^[a-z0-9][a-z0-9_-]*$",
+};
+
+const TASK_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer", readOnly: true },
+    version: { type: "integer", readOnly: true },
+    title: { type: "string", minLength: 1, maxLength: 100 },
+    description: { type: "string", minLength: 1, maxLength: 1000 },
+    completed: { type: "boolean" },
+    status: STATUS_NAME_SCHEMA,
+    parentId: { type: "integer", minimum: 1 },
+    blockedBy: {
+      type: "array",
+      items: { type: "integer", minimum: 1 },
+      uniqueItems: true,
+    },
+    dueDate: { type: "string", format: "due-date" },
+    recurrence: { type: "string", format: "recurrence-rule" },
+    tags: {
+      type: "array",
+      items: TAG_SCHEMA,
+      maxItems: 20,
+      uniqueItems: true,
+    },
+    priority: { type: "string", enum: TASK_PRIORITIES },
+    estimateHours: { type: "number", minimum: 0, maximum: 10000 },
+    progress: { type: "integer", readOnly: true },
+    blocked: { type: "boolean", readOnly: true },
+  },
+  required: ["title", "description", "completed"],
+  dependentRequired: { recurrence: ["dueDate"] },
+  additionalProperties: false,
+};
+
+const WEBHOOK_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer", readOnly: true },
+    url: { type: "string", maxLength: 2000, format: "http-url" },
+    events: {
+      type: "array",
+      items: { type: "string", enum: TASK_EVENT_TYPES },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    secret: { type: "string", minLength: 16, maxLength: 256 },
+    active: { type: "boolean" },
+    createdAt: { type: "string", readOnly: true },
+  },
+  required: ["url", "events"],
+  additionalProperties: false,
+};
+
+const LIST_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer", readOnly: true },
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    taskCount: { type: "integer", readOnly: true },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+const TASK_MOVE_SCHEMA = {
+  type: "object",
+  properties: {
+    listId: { type: "integer", minimum: 1 },
+  },
+  required: ["listId"],
+  additionalProperties: false,
+};
+
+const WORKFLOW_SCHEMA = {
+  type: "object",
+  properties: {
+    statuses: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: STATUS_NAME_SCHEMA,
+          completed: { type: "boolean" },
+          next: { type: "array", items: STATUS_NAME_SCHEMA, uniqueItems: true },
+        },
+        required: ["name", "completed", "next"],
+        additionalProperties: false,
+      },
+      minItems: 2,
+      maxItems: 20,
+    },
+  },
+  required: ["statuses"],
+  additionalProperties: false,
+};
+
+const TIME_ENTRY_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer", readOnly: true },
+    listId: { type: "integer", readOnly: true },
+    taskId: { type: "integer", readOnly: true },
+    user: { type: "string", readOnly: true },
+    start: { type: "string", format: "date-time" },
+    end: { type: "string", format: "date-time" },
+    note: { type: "string", minLength: 1, maxLength: 500 },
+  },
+  required: ["start", "end"],
+  additionalProperties: false,
+};
+
+const QUICK_ADD_SCHEMA = {
+  type: "object",
+  properties: {
+    text: { type: "string", minLength: 1, maxLength: 500 },
+    description: TASK_SCHEMA.properties.description,
+    utcOffset: { type: "string", pattern: "^(Z|[+-]\\d{2}:\\d{2})$" },
+  },
+  required: ["text"],
+  additionalProperties: false,
+};
+
+const TEMPLATE_TASK_SCHEMA = {
+  type: "object",
+  properties: {
+    title: TASK_SCHEMA.properties.title,
+    description: TASK_SCHEMA.properties.description,
+    dueInDays: { type: "integer", minimum: -3650, maximum: 3650 },
+    tags: TASK_SCHEMA.properties.tags,
+    priority: TASK_SCHEMA.properties.priority,
+    estimateHours: TASK_SCHEMA.properties.estimateHours,
+    parent: { type: "integer", minimum: 0 },
+    blockedBy: {
+      type: "array",
+      items: { type: "integer", minimum: 0 },
+      uniqueItems: true,
+    },
+  },
+  required: ["title"],
+  additionalProperties: false,
+};
+
+const TEMPLATE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer", readOnly: true },
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    description: { type: "string", minLength: 1, maxLength: 1000 },
+    tasks: {
+      type: "array",
+      items: TEMPLATE_TASK_SCHEMA,
+      minItems: 1,
+      maxItems: 100,
+    },
+    placeholders: {
+      type: "array",
+      items: { type: "string" },
+      readOnly: true,
+    },
+  },
+  required: ["name", "tasks"],
+  additionalProperties: false,
+};
+
+const TEMPLATE_INSTANTIATION_SCHEMA = {
+  type: "object",
+  properties: {
+    values: { type: "object" },
+    baseDate: {
+      type: "string",
+      pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+      format: "due-date",
+    },
+    listId: { type: "integer", minimum: 1 },
+  },
+  additionalProperties: false,
+};
+
+module.exports = {
+  TAG_SCHEMA,
+  TASK_SCHEMA,
+  WEBHOOK_SCHEMA,
+  LIST_SCHEMA,
+  TASK_MOVE_SCHEMA,
+  STATUS_NAME_SCHEMA,
+  WORKFLOW_SCHEMA,
+  TIME_ENTRY_SCHEMA,
+  QUICK_ADD_SCHEMA,
+  TEMPLATE_SCHEMA,
+  TEMPLATE_INSTANTIATION_SCHEMA,
+};
@@ -0,0 +1,53 @@
+/**
+ * Helpers for the `tags` array of tasks.
+ */
+
+/**
+ * Counts how many tasks use each tag.
+ * @param {Array} tasks - The tasks to count.
+ * @returns {Array} - `{ tag, count }` entries, most used first, then by name.
+ */
+function countTags(tasks) {
+  const counts = new Map();
+  for (const task of tasks) {
+    for (const tag of task.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Replaces a tag by another one on every task that has it. A task that
+ * already has the new tag keeps a single copy of it, which merges the tags.
+ * @param {Array} tasks - The tasks, modified in place.
+ * @param {string} from - The tag to replace.
+ * @param {string} to - The tag to use instead.
+ * @returns {Array} - The tasks that were changed.
+ */
+function replaceTag(tasks, from, to) {
+  const changed = tasks.filter((task) => (task.tags || []).includes(from));
+  for (const task of changed) {
+    task.tags = [...new Set(task.tags.map((tag) => (tag === from ? to : tag)))];
+  }
+  return changed;
+}
+
+/**
+ * Returns whether a task carries the given tags.
+ * @param {Object} task - The task.
+ * @param {Array} tags - The tags to look for.
+ * @param {string} match - "any" if one of the tags is enough, "all" if every
+ * tag is required.
+ * @returns {boolean}
+ */
+function matchesTags(task, tags, match) {
+  const taskTags = task.tags || [];
+  return match === "all"
+    ? tags.every((tag) => taskTags.includes(tag))
+    : tags.some((tag) => taskTags.includes(tag));
+}
+
+module.exports = { countTags, replaceTag, matchesTags };
@@ -0,0 +1,55 @@
+const { getSubtasks, computeProgress } = require("./tasktree");
+const { isBlocked } = require("./dependencies");
+
+/**
+ * Properties computed when a task is returned and never stored.
+ */
+const COMPUTED_FIELDS = ["progress", "blocked"];
+
+/**
+ * Returns a copy of a task with its computed properties:
+ * - blocked: whether an incomplete task is still blocking it.
+ * - progress: for tasks with subtasks, the percentage of completed leaf
+ *   subtasks.
+ * @param {Object} task - The stored task.
+ * @param {Array} tasks - All tasks.
+ * @returns {Object} - The task as returned by the API.
+ */
+function presentTask(task, tasks) {
+  const presented = { ...task, blocked: isBlocked(task, tasks) };
+  const progress = computeProgress(tasks, task.id);
+  if (progress !== undefined) {
+    presented.progress = progress;
+  }
+  return presented;
+}
+
+/**
+ * Returns a presented task with its subtasks nested under `subtasks`,
+ * recursively.
+ * @param {Object} task - The root task.
+ * @param {Array} tasks - All tasks.
+ * @returns {Object} - The task tree.
+ */
+function buildTaskTree(task, tasks) {
+  return {
+    ...presentTask(task, tasks),
+    subtasks: getSubtasks(tasks, task.id).map((child) =>
+      buildTaskTree(child, tasks)
+    ),
+  };
+}
+
+/**
+ * Removes computed properties a client may have echoed back in a request body.
+ * @param {Object} task - The task to clean, modified in place.
+ * @returns {Object} - The same task.
+ */
+function omitComputedFields(task) {
+  for (const field of COMPUTED_FIELDS) {
+    delete task[field];
+  }
+  return task;
+}
+
+module.exports = { presentTask, buildTaskTree, omitComputedFields };
@@ -0,0 +1,271 @@
+const { RESPONSE_MESSAGES } = require("./constants");
+const { matchesTags } = require("./tags");
+const { getDueTime } = require("./recurrence");
+
+const SORTABLE_FIELDS = ["id", "title", "description", "completed", "dueDate"];
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Parses the query string of the task list route into list options.
+ *
+ * Supported parameters:
+ * - completed: "true" or "false".
+ * - q: case-insensitive text matched against title and description.
+ * - sort: comma-separated field names, prefixed with "-" for descending order.
+ * - limit: page size, between 1 and MAX_PAGE_LIMIT.
+ * - offset: number of matching tasks to skip.
+ * - tag: a tag to filter on; repeat the parameter to filter on several tags.
+ * - tagMatch: "any" (default) to match tasks with one of the tags, "all" to
+ *   require every tag.
+ * - view: "list" (default) or "tree", which lists only top-level tasks so
+ *   their subtasks can be nested under them.
+ *
+ * @param {Object} query - Express `req.query` object.
+ * @returns {{error: string}|{options: Object}} - The parsed options, or an
+ * error message.
+ */
+function parseTaskQuery(query) {
+  const options = {
+    completed: undefined,
+    q: undefined,
+    sort: [{ field: "id", direction: 1 }],
+    limit: DEFAULT_PAGE_LIMIT,
+    offset: 0,
+    tags: [],
+    tagMatch: "any",
+    view: "list",
+  };
+
+  for (const name of [
+    "completed",
+    "q",
+    "sort",
+    "limit",
+    "offset",
+    "tagMatch",
+    "view",
+  ]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER(name) };
+    }
+  }
+
+  options.completed = parseBooleanParameter(query, "completed");
+  if (options.completed === null) {
+    return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("completed") };
+  }
+
+  if (query.q) {
+    options.q = query.q.toLowerCase();
+  }
+
+  if (query.sort !== undefined) {
+    options.sort = [];
+    for (const key of query.sort.split(",")) {
+      const descending = key.startsWith("-");
+      const field = descending ? key.slice(1) : key;
+      if (!SORTABLE_FIELDS.includes(field)) {
+        return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("sort") };
+      }
+      options.sort.push({ field, direction: descending ? -1 : 1 });
+    }
+  }
+
+  const page = parsePageParameters(query);
+  if (page.error) {
+    return page;
+  }
+  options.limit = page.limit;
+  options.offset = page.offset;
+
+  if (query.tag !== undefined) {
+    options.tags = [].concat(query.tag);
+    if (options.tags.some((tag) => typeof tag !== "string" || tag === "")) {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("tag") };
+    }
+  }
+
+  if (query.tagMatch !== undefined) {
+    if (query.tagMatch !== "any" && query.tagMatch !== "all") {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("tagMatch") };
+    }
+    options.tagMatch = query.tagMatch;
+  }
+
+  if (query.view !== undefined) {
+    if (query.view !== "list" && query.view !== "tree") {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("view") };
+    }
+    options.view = query.view;
+  }
+
+  return { options };
+}
+
+/**
+ * Parses the `limit` and `offset` paging parameters.
+ * @param {Object} query - The request query.
+ * @returns {{error: string}|{limit: number, offset: number}}
+ */
+function parsePageParameters(query) {
+  const page = { limit: DEFAULT_PAGE_LIMIT, offset: 0 };
+  if (query.limit !== undefined) {
+    const limit =
+      typeof query.limit === "string"
+        ? parseNonNegativeInteger(query.limit)
+        : null;
+    if (limit === null || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("limit") };
+    }
+    page.limit = limit;
+  }
+  if (query.offset !== undefined) {
+    const offset =
+      typeof query.offset === "string"
+        ? parseNonNegativeInteger(query.offset)
+        : null;
+    if (offset === null) {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("offset") };
+    }
+    page.offset = offset;
+  }
+  return page;
+}
+
+/**
+ * Reads a "true"/"false" query parameter.
+ * @param {Object} query - Express `req.query` object.
+ * @param {string} name - Name of the parameter.
+ * @returns {boolean|undefined|null} - The value, undefined when absent, or null
+ * when invalid.
+ */
+function parseBooleanParameter(query, name) {
+  const value = query[name];
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return null;
+}
+
+/**
+ * Filters, sorts and paginates tasks according to parsed list options.
+ * @param {Array} tasks - All tasks.
+ * @param {Object} options - Options returned by parseTaskQuery.
+ * @returns {{page: Array, total: number}} - The requested page and the number
+ * of matching tasks.
+ */
+function applyTaskQuery(tasks, options) {
+  const matching = tasks
+    .filter((task) => matchesTask(task, options))
+    .sort((a, b) => compareTasks(a, b, options.sort));
+  return {
+    page: matching.slice(options.offset, options.offset + options.limit),
+    total: matching.length,
+  };
+}
+
+/**
+ * Builds the list response envelope, including links to the neighbouring pages.
+ * @param {Object} req - Express request object, used to build the links.
+ * @param {{page: Array, total: number}} result - Result of applyTaskQuery.
+ * @param {Object} options - Options returned by parseTaskQuery.
+ * @returns {Object} - The response body.
+ */
+function buildTaskPage(req, result, options) {
+  const { limit, offset } = options;
+  const hasNext = offset + limit < result.total;
+  const hasPrev = offset > 0;
+  return {
+    tasks: result.page,
+    total: result.total,
+    limit,
+    offset,
+    links: {
+      self: buildPageLink(req, offset, limit),
+      next: hasNext ? buildPageLink(req, offset + limit, limit) : null,
+      prev: hasPrev
+        ? buildPageLink(req, Math.max(offset - limit, 0), limit)
+        : null,
+    },
+  };
+}
+
+function matchesTask(task, options) {
+  if (options.view === "tree" && task.parentId !== undefined) {
+    return false;
+  }
+  if (options.completed !== undefined && task.completed !== options.completed) {
+    return false;
+  }
+  if (
+    options.tags.length > 0 &&
+    !matchesTags(task, options.tags, options.tagMatch)
+  ) {
+    return false;
+  }
+  if (
+    options.q !== undefined &&
+    !String(task.title).toLowerCase().includes(options.q) &&
+    !String(task.description).toLowerCase().includes(options.q)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+function compareTasks(a, b, sort) {
+  for (const { field, direction } of sort) {
+    let left = a[field];
+    let right = b[field];
+    if (left === right) {
+      continue;
+    }
+    // Tasks without a value for the field come last in either direction.
+    if (left === undefined || right === undefined) {
+      return left === undefined ? 1 : -1;
+    }
+    if (field === "dueDate") {
+      left = getDueTime(left);
+      right = getDueTime(right);
+    }
+    if (typeof left === "string" && typeof right === "string") {
+      return left.localeCompare(right) * direction;
+    }
+    return (left < right ? -1 : 1) * direction;
+  }
+  return 0;
+}
+
+function buildPageLink(req, offset, limit) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(req.query)) {
+    if (name === "limit" || name === "offset") {
+      continue;
+    }
+    for (const item of [].concat(value)) {
+      params.append(name, item);
+    }
+  }
+  params.set("limit", limit);
+  params.set("offset", offset);
+  return `${req.originalUrl.split("?")[0]}?${params}`;
+}
+
+function parseNonNegativeInteger(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parseTaskQuery,
+  parsePageParameters,
+  parseBooleanParameter,
+  applyTaskQuery,
+  buildTaskPage,
+};
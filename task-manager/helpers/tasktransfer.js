@@ -0,0 +1,331 @@
+const { RESPONSE_MESSAGES } = require("./constants");
+const { TASK_SCHEMA } = require("./schemas");
+const { CsvError, parseCsv, formatCsv } = require("./csv");
+
+/**
+ * Converting tasks to and from the export formats.
+ *
+ * JSON uses the shape of task.json, `{ "tasks": [...] }`. CSV has one column
+ * per task property, in CSV_COLUMNS order; `blockedBy` and `tags` hold their
+ * items separated by ";". Imports create new tasks, so the properties a
+ * client cannot set on create (`id`, `version`, computed fields) are
+ * dropped from imported rows. The `id` of a row is kept aside: `parentId`
+ * and `blockedBy` refer to the ids of the import, and linkImportedRows
+ * rewrites them to the ids the new tasks get.
+ */
+
+const EXPORT_FORMATS = ["json", "csv"];
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "completed",
+  "status",
+  "parentId",
+  "blockedBy",
+  "dueDate",
+  "recurrence",
+  "tags",
+  "estimateHours",
+  "priority",
+];
+const LIST_SEPARATOR = ";";
+const MAX_IMPORT_ROWS = 1000;
+const IGNORED_FIELDS = Object.keys(TASK_SCHEMA.properties).filter(
+  (field) => TASK_SCHEMA.properties[field].readOnly
+);
+
+/**
+ * Returns a stored task as it appears in an export.
+ * @param {Object} task - The stored task.
+ * @returns {Object}
+ */
+function toExportedTask(task) {
+  const { version, ...exported } = task;
+  return exported;
+}
+
+/**
+ * @param {Array} tasks - The stored tasks.
+ * @returns {string} - The tasks as a CSV document with a header row.
+ */
+function formatTasksCsv(tasks) {
+  return formatCsv([
+    CSV_COLUMNS,
+    ...tasks.map((task) =>
+      CSV_COLUMNS.map((column) =>
+        Array.isArray(task[column])
+          ? task[column].join(LIST_SEPARATOR)
+          : task[column]
+      )
+    ),
+  ]);
+}
+
+/**
+ * Reads the tasks of a JSON import, `{ "tasks": [...] }`.
+ * @param {*} body - The parsed request body.
+ * @returns {{error: string}|{rows: Array}} - An error message for the whole
+ * document, or one `{ row, id, task }` or `{ row, message }` entry per
+ * task, `row` being its 1-based position and `id` the id it had.
+ */
+function readJsonImport(body) {
+  if (!isPlainObject(body) || !Array.isArray(body.tasks)) {
+    return { error: RESPONSE_MESSAGES.IMPORT_JSON_INVALID };
+  }
+  if (body.tasks.length > MAX_IMPORT_ROWS) {
+    return { error: RESPONSE_MESSAGES.IMPORT_TOO_MANY_ROWS(MAX_IMPORT_ROWS) };
+  }
+  const rows = body.tasks.map((task, index) => {
+    const row = index + 1;
+    if (!isPlainObject(task)) {
+      return { row, message: RESPONSE_MESSAGES.IMPORT_ROW_NOT_A_TASK(row) };
+    }
+    return toImportRow(row, { ...task });
+  });
+  return { rows };
+}
+
+/**
+ * Reads the tasks of a CSV import. Each header is mapped to a task property
+ * through `mapping` (`{ header: property }`, an empty property ignoring the
+ * column) or, when it is not mapped, by matching a property name without
+ * regard to case. Cells are converted to the type of their property when
+ * they hold a valid value, and left as text otherwise so that validation
+ * reports them. Empty cells leave the property unset.
+ * @param {string} text - The CSV document.
+ * @param {Object} [mapping] - Header mapping, e.g. `{ "Task name": "title" }`.
+ * @returns {{error: string}|{rows: Array}} - An error message for the whole
+ * document, or one `{ row, id, task }` or `{ row, message }` entry per data
+ * row, `row` being its line in the document (the header is line 1) and `id`
+ * the id it had.
+ */
+function readCsvImport(text, mapping = {}) {
+  if (typeof text !== "string") {
+    return { error: RESPONSE_MESSAGES.IMPORT_CSV_EMPTY };
+  }
+  if (!isPlainObject(mapping) || !Object.values(mapping).every(isMappable)) {
+    return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("map") };
+  }
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    if (err instanceof CsvError) {
+      return { error: err.message };
+    }
+    throw err;
+  }
+  if (records.length === 0) {
+    return { error: RESPONSE_MESSAGES.IMPORT_CSV_EMPTY };
+  }
+  const [header, ...data] = records;
+  if (data.length > MAX_IMPORT_ROWS) {
+    return { error: RESPONSE_MESSAGES.IMPORT_TOO_MANY_ROWS(MAX_IMPORT_ROWS) };
+  }
+  const columns = [];
+  for (const name of header.fields) {
+    const field = mapColumn(name.trim(), mapping);
+    if (field === undefined) {
+      return { error: RESPONSE_MESSAGES.IMPORT_UNKNOWN_COLUMN(name) };
+    }
+    if (field !== null && columns.includes(field)) {
+      return { error: RESPONSE_MESSAGES.IMPORT_DUPLICATE_COLUMN(field) };
+    }
+    columns.push(field);
+  }
+  const rows = data.map(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      return {
+        row: line,
+        message: RESPONSE_MESSAGES.IMPORT_ROW_LENGTH(
+          line,
+          fields.length,
+          columns.length
+        ),
+      };
+    }
+    const task = {};
+    columns.forEach((field, index) => {
+      if (field !== null && fields[index] !== "") {
+        task[field] = convertCell(fields[index], TASK_SCHEMA.properties[field]);
+      }
+    });
+    return toImportRow(line, task);
+  });
+  return { rows };
+}
+
+/**
+ * Prepares the tasks of an import to be created in a list: their
+ * `parentId` and `blockedBy` are rewritten from the ids of the import to
+ * the ids the tasks get, and they are ordered so that parents and blocking
+ * tasks are created first. A row whose id is already taken by an earlier
+ * row, or that refers to an id no row of the import has, fails.
+ * @param {Array} rows - The rows read by readJsonImport or readCsvImport.
+ * @param {number} firstId - The id the list gives its next task.
+ * @returns {Array} - The rows, with `{ row, task }` entries in creation
+ * order followed by the `{ row, message }` ones.
+ */
+function linkImportedRows(rows, firstId) {
+  const failed = rows.filter((row) => row.message);
+  const byId = new Map();
+  for (const row of rows.filter((candidate) => candidate.task)) {
+    if (row.id === undefined) {
+      continue;
+    }
+    if (byId.has(row.id)) {
+      failed.push({
+        row: row.row,
+        message: RESPONSE_MESSAGES.IMPORT_DUPLICATE_ID(row.row, row.id),
+      });
+    } else {
+      byId.set(row.id, row);
+    }
+  }
+  const linked = [];
+  for (const row of rows.filter((candidate) => candidate.task)) {
+    if (row.id !== undefined && byId.get(row.id) !== row) {
+      continue;
+    }
+    const unknown = getReferences(row.task).find(({ id }) => !byId.has(id));
+    if (unknown) {
+      failed.push({
+        row: row.row,
+        message: RESPONSE_MESSAGES.IMPORT_UNKNOWN_REFERENCE(
+          row.row,
+          unknown.field,
+          unknown.id
+        ),
+      });
+    } else {
+      linked.push(row);
+    }
+  }
+
+  // Parents and blocking tasks come first; the rows of a cycle stay in
+  // order, and validation reports the cycle.
+  const ordered = new Set();
+  const visiting = new Set();
+  const visit = (row) => {
+    if (ordered.has(row) || visiting.has(row)) {
+      return;
+    }
+    visiting.add(row);
+    for (const { id } of getReferences(row.task)) {
+      if (linked.includes(byId.get(id))) {
+        visit(byId.get(id));
+      }
+    }
+    ordered.add(row);
+  };
+  linked.forEach(visit);
+
+  const newIds = new Map(
+    [...ordered].map((row, index) => [row.id, firstId + index])
+  );
+  const toNewId = (id) => (newIds.has(id) ? newIds.get(id) : id);
+  return [
+    ...[...ordered].map(({ row, task }) => {
+      const copy = { ...task };
+      if (Number.isInteger(copy.parentId)) {
+        copy.parentId = toNewId(copy.parentId);
+      }
+      if (Array.isArray(copy.blockedBy)) {
+        copy.blockedBy = copy.blockedBy.map(toNewId);
+      }
+      return { row, task: copy };
+    }),
+    ...failed,
+  ];
+}
+
+/**
+ * @returns {Array} - The `{ field, id }` references of an imported task to
+ * other tasks. Values that are not ids are left for validation to report.
+ */
+function getReferences(task) {
+  return [
+    { field: "parentId", ids: [task.parentId] },
+    {
+      field: "blockedBy",
+      ids: Array.isArray(task.blockedBy) ? task.blockedBy : [],
+    },
+  ].flatMap(({ field, ids }) =>
+    ids.filter(Number.isInteger).map((id) => ({ field, id }))
+  );
+}
+
+/**
+ * Returns the property a CSV column maps to, null if the column is ignored,
+ * or undefined if it matches nothing.
+ */
+function mapColumn(name, mapping) {
+  if (Object.prototype.hasOwnProperty.call(mapping, name)) {
+    return mapping[name] === "" ? null : mapping[name];
+  }
+  const field = Object.keys(TASK_SCHEMA.properties).find(
+    (property) => property.toLowerCase() === name.toLowerCase()
+  );
+  if (field === undefined) {
+    return undefined;
+  }
+  // The id column is read, and kept aside by toImportRow.
+  return IGNORED_FIELDS.includes(field) && field !== "id" ? null : field;
+}
+
+function isMappable(field) {
+  return (
+    field === "" ||
+    (typeof field === "string" &&
+      Object.prototype.hasOwnProperty.call(TASK_SCHEMA.properties, field))
+  );
+}
+
+function convertCell(value, schema) {
+  switch (schema.type) {
+    case "boolean":
+      return /^(true|false)$/i.test(value)
+        ? value.toLowerCase() === "true"
+        : value;
+    case "integer":
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case "number":
+      return /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+    case "array":
+      return value
+        .split(LIST_SEPARATOR)
+        .map((item) => item.trim())
+        .filter((item) => item !== "")
+        .map((item) => convertCell(item, schema.items));
+    default:
+      return value;
+  }
+}
+
+/**
+ * @returns {Object} - `{ row, id, task }`, `id` being the id the task had
+ * when it is a valid one.
+ */
+function toImportRow(row, task) {
+  const id = Number.isInteger(task.id) ? task.id : undefined;
+  for (const field of IGNORED_FIELDS) {
+    delete task[field];
+  }
+  return { row, id, task };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  toExportedTask,
+  formatTasksCsv,
+  readJsonImport,
+  readCsvImport,
+  linkImportedRows,
+};
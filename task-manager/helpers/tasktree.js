@@ -0,0 +1,100 @@
+/**
+ * Helpers for the parent/child hierarchy between tasks.
+ *
+ * A task may reference its parent through an optional `parentId`. The
+ * hierarchy is kept acyclic by validateParent, so every walk below terminates.
+ */
+
+/**
+ * Returns the direct subtasks of a task.
+ * @param {Array} tasks - All tasks.
+ * @param {number} id - Id of the parent task.
+ * @returns {Array} - The subtasks, in id order.
+ */
+function getSubtasks(tasks, id) {
+  return tasks
+    .filter((task) => task.parentId === id)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Returns every task below a task in the hierarchy.
+ * @param {Array} tasks - All tasks.
+ * @param {number} id - Id of the ancestor task.
+ * @returns {Array} - The descendants, parents before their children.
+ */
+function getDescendants(tasks, id) {
+  const descendants = [];
+  const queue = [id];
+  while (queue.length > 0) {
+    const children = getSubtasks(tasks, queue.shift());
+    descendants.push(...children);
+    queue.push(...children.map((child) => child.id));
+  }
+  return descendants;
+}
+
+/**
+ * Checks that the `parentId` of a task refers to an existing task and does
+ * not make the task an ancestor of itself.
+ * @param {Object} task - The task being written. `id` is unset on create.
+ * @param {Array} tasks - All stored tasks.
+ * @returns {Array} - Validation errors in the `{ field, code, message }`
+ * format.
+ */
+function validateParent(task, tasks) {
+  if (task.parentId === undefined) {
+    return [];
+  }
+  if (!tasks.some((candidate) => candidate.id === task.parentId)) {
+    return [
+      {
+        field: "parentId",
+        code: "notFound",
+        message: `Parent task ${task.parentId} does not exist.`,
+      },
+    ];
+  }
+  if (
+    task.id !== undefined &&
+    (task.parentId === task.id ||
+      getDescendants(tasks, task.id).some(
+        (descendant) => descendant.id === task.parentId
+      ))
+  ) {
+    return [
+      {
+        field: "parentId",
+        code: "cycle",
+        message: "A task cannot be moved below itself or one of its subtasks.",
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Computes the completion percentage of a task from its leaf descendants.
+ * @param {Array} tasks - All tasks.
+ * @param {number} id - Id of the task.
+ * @returns {number|undefined} - 0-100, or undefined if the task has no
+ * subtasks.
+ */
+function computeProgress(tasks, id) {
+  const descendants = getDescendants(tasks, id);
+  if (descendants.length === 0) {
+    return undefined;
+  }
+  const leaves = descendants.filter(
+    (task) => !tasks.some((candidate) => candidate.parentId === task.id)
+  );
+  const completed = leaves.filter((task) => task.completed).length;
+  return Math.round((completed / leaves.length) * 100);
+}
+
+module.exports = {
+  getSubtasks,
+  getDescendants,
+  validateParent,
+  computeProgress,
+};
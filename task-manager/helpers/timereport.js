@@ -0,0 +1,163 @@
+const { RESPONSE_MESSAGES } = require("./constants");
+const { isValidDueDate } = require("./recurrence");
+
+const GROUP_BY = ["day", "task"];
+const MAX_REPORT_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the query string of the time report route.
+ *
+ * Supported parameters:
+ * - from, to: the first and last day of the report, "YYYY-MM-DD" in UTC
+ *   (required). The report covers at most MAX_REPORT_DAYS days.
+ * - groupBy: "day" (default) or "task".
+ * - user: only count the time of this user.
+ * - listId: only count the time spent on tasks of this task list.
+ *
+ * @param {Object} query - Express `req.query` object.
+ * @returns {{error: string}|{options: Object}} - The parsed options, or an
+ * error message.
+ */
+function parseTimeReportQuery(query) {
+  for (const name of ["from", "to", "groupBy", "user", "listId"]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER(name) };
+    }
+  }
+  for (const name of ["from", "to"]) {
+    if (!isCalendarDate(query[name])) {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER(name) };
+    }
+  }
+  const startTime = Date.parse(`${query.from}T00:00:00Z`);
+  const endTime = Date.parse(`${query.to}T00:00:00Z`) + DAY_MS;
+  if (endTime <= startTime || endTime - startTime > MAX_REPORT_DAYS * DAY_MS) {
+    return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("to") };
+  }
+  const groupBy = query.groupBy === undefined ? "day" : query.groupBy;
+  if (!GROUP_BY.includes(groupBy)) {
+    return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("groupBy") };
+  }
+  let listId;
+  if (query.listId !== undefined) {
+    listId = Number(query.listId);
+    if (!/^\d+$/.test(query.listId) || listId < 1) {
+      return { error: RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("listId") };
+    }
+  }
+  return {
+    options: {
+      from: query.from,
+      to: query.to,
+      startTime,
+      endTime,
+      groupBy,
+      user: query.user,
+      listId,
+    },
+  };
+}
+
+/**
+ * Adds up the time entries that fall within the days of a report. Entries
+ * are cut at the edges of the report, and at midnight UTC when grouped by
+ * day; running timers count until now.
+ * @param {Array} entries - The time entries (see service/timetracking.js).
+ * @param {Object} options - Options from parseTimeReportQuery.
+ * @param {Function} findEntryTask - Returns the task of an entry.
+ * @param {Date} [now] - The current time.
+ * @returns {Object} - `{ from, to, groupBy, totalSeconds, totalHours,
+ * groups }`. Groups are `{ day, seconds, hours }` in date order, or
+ * `{ listId, taskId, title, estimateHours, seconds, hours }` in list and
+ * task order; only groups with tracked time are listed.
+ */
+function buildTimeReport(entries, options, findEntryTask, now = new Date()) {
+  const { startTime, endTime, groupBy } = options;
+  const groups = new Map();
+  for (const entry of entries) {
+    if (
+      (options.user !== undefined && entry.user !== options.user) ||
+      (options.listId !== undefined && entry.listId !== options.listId)
+    ) {
+      continue;
+    }
+    const from = Math.max(Date.parse(entry.start), startTime);
+    const to = Math.min(
+      entry.end === null ? now.getTime() : Date.parse(entry.end),
+      endTime
+    );
+    if (groupBy === "task") {
+      addTime(groups, `${entry.listId}/${entry.taskId}`, to - from, () =>
+        describeTask(entry, findEntryTask(entry))
+      );
+      continue;
+    }
+    for (let day = from - (from % DAY_MS); day < to; day += DAY_MS) {
+      const ms = Math.min(to, day + DAY_MS) - Math.max(from, day);
+      const date = new Date(day).toISOString().slice(0, 10);
+      addTime(groups, date, ms, () => ({ day: date }));
+    }
+  }
+  const sorted = [...groups.values()]
+    .map(({ group, ms }) => ({ ...group, ...toDuration(ms) }))
+    .filter((group) => group.seconds > 0)
+    .sort((a, b) =>
+      groupBy === "task"
+        ? a.listId - b.listId || a.taskId - b.taskId
+        : a.day.localeCompare(b.day)
+    );
+  const totalSeconds = sorted.reduce((sum, group) => sum + group.seconds, 0);
+  return {
+    from: options.from,
+    to: options.to,
+    groupBy,
+    totalSeconds,
+    totalHours: toHours(totalSeconds),
+    groups: sorted,
+  };
+}
+
+function addTime(groups, key, ms, createGroup) {
+  if (ms <= 0) {
+    return;
+  }
+  if (!groups.has(key)) {
+    groups.set(key, { group: createGroup(), ms: 0 });
+  }
+  groups.get(key).ms += ms;
+}
+
+function describeTask(entry, task) {
+  return {
+    listId: entry.listId,
+    taskId: entry.taskId,
+    title: task ? task.title : null,
+    estimateHours:
+      task && task.estimateHours !== undefined ? task.estimateHours : null,
+  };
+}
+
+function toDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return { seconds, hours: toHours(seconds) };
+}
+
+/**
+ * Converts seconds to hours, rounded to two decimals for billing.
+ */
+function toHours(seconds) {
+  return Math.round(seconds / 36) / 100;
+}
+
+function isCalendarDate(value) {
+  return DATE_PATTERN.test(value) && isValidDueDate(value);
+}
+
+module.exports = {
+  GROUP_BY,
+  MAX_REPORT_DAYS,
+  parseTimeReportQuery,
+  buildTimeReport,
+};
@@ -1,24 +1,292 @@
+const { TASK_SCHEMA } = require("./schemas");
+const {
+  isValidDueDate,
+  isValidDateTime,
+  parseRecurrence,
+} = require("./recurrence");
+
+/**
+ * Checks for the `format` keyword, by format name.
+ */
+const FORMATS = {
+  "due-date": isValidDueDate,
+  "date-time": isValidDateTime,
+  "recurrence-rule": (value) => parseRecurrence(value) !== null,
+  "http-url": isHttpUrl,
+};
+
+/**
+ * Small declarative validator for request bodies.
+ *
+ * Schemas are plain objects using a subset of JSON Schema keywords:
+ * - type: "string", "number", "integer", "boolean", "array", "object" or
+ *   "null", or an array of these.
+ * - properties / required / additionalProperties (false rejects unknown
+ *   properties).
+ * - items: schema applied to every array element.
+ * - minLength / maxLength, pattern, format, minimum / maximum, minItems /
+ *   maxItems, uniqueItems, enum. Formats missing from FORMATS are not checked.
+ * - dependentRequired: `{ a: ["b"] }` requires "b" whenever "a" is present.
+ * - readOnly: the property is rejected when `rejectReadOnly` is set (e.g. on
+ *   create).
+ * - $ref: "#/a/b" validates against the schema at that path of the
+ *   `document` option, e.g. an OpenAPI document.
+ *
+ * Every violation is reported as `{ field, code, message }`, where `field` is
+ * the path of the offending value (e.g. "title" or "tags[2]") and `code` is
+ * the name of the keyword that failed. An empty array means the value is valid.
+ */
 class Validator {
-  static validateObjectTypeAndProperties(taskinfo, method) {
-    // Check if the method is PUT or POST
-    if (method === "PUT" || method === "POST") {
-      // Check if all required properties are present and have correct types
+  /**
+   * Validates a value against a schema.
+   * @param {*} value - The value to validate.
+   * @param {Object} schema - The schema to validate against.
+   * @param {Object} [options] - The options,
+   * `{ rejectReadOnly: boolean, document: Object }`.
+   * @param {string} [field] - Path of the value, used in error reports.
+   * @returns {Array} - The validation errors.
+   */
+  static validate(value, schema, options = {}, field = "") {
+    const errors = [];
+    const report = (code, message) =>
+      errors.push({ field: field || "(root)", code, message });
+
+    if (schema.$ref) {
+      return Validator.validate(
+        value,
+        resolveRef(options.document, schema.$ref),
+        options,
+        field
+      );
+    }
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+      report(
+        "type",
+        `${describe(field)} must be of type ${types.join(" or ")}.`
+      );
+      return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      report(
+        "enum",
+        `${describe(field)} must be one of: ${schema.enum.join(", ")}.`
+      );
+    }
+    if (typeof value === "string") {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        report(
+          "minLength",
+          schema.minLength === 1
+            ? `${describe(field)} must not be empty.`
+            : `${describe(field)} is shorter than ${
+                schema.minLength
+              } characters.`
+        );
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        report(
+          "pattern",
+          `${describe(field)} must match the pattern ${schema.pattern}.`
+        );
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        report(
+          "maxLength",
+          `${describe(field)} is longer than ${schema.maxLength} characters.`
+        );
+      }
       if (
-        taskinfo.hasOwnProperty("title") &&
-        taskinfo.hasOwnProperty("description") &&
-        taskinfo.hasOwnProperty("completed") &&
-        typeof taskinfo.title === "string" &&
-        typeof taskinfo.description === "string" &&
-        typeof taskinfo.completed === "boolean" &&
-        taskinfo["description"] &&
-        taskinfo["title"]
+        schema.format &&
+        hasOwn(FORMATS, schema.format) &&
+        !FORMATS[schema.format](value)
       ) {
-        if (method === "POST" && taskinfo.hasOwnProperty("id")) {
-          return false;
+        report("format", `${describe(field)} is not a valid ${schema.format}.`);
+      }
+    }
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        report(
+          "minimum",
+          `${describe(field)} must be at least ${schema.minimum}.`
+        );
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        report(
+          "maximum",
+          `${describe(field)} must be at most ${schema.maximum}.`
+        );
+      }
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        report(
+          "minItems",
+          `${describe(field)} must contain at least ${schema.minItems} items.`
+        );
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        report(
+          "maxItems",
+          `${describe(field)} must contain at most ${schema.maxItems} items.`
+        );
+      }
+      if (
+        schema.uniqueItems &&
+        new Set(value.map((item) => JSON.stringify(item))).size !== value.length
+      ) {
+        report(
+          "uniqueItems",
+          `${describe(field)} must not contain duplicates.`
+        );
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(
+            ...Validator.validate(
+              item,
+              schema.items,
+              options,
+              `${field}[${index}]`
+            )
+          );
+        });
+      }
+    }
+    if (isPlainObject(value)) {
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (!hasOwn(value, name)) {
+          errors.push({
+            field: joinField(field, name),
+            code: "required",
+            message: `${describe(joinField(field, name))} is required.`,
+          });
+        }
+      }
+      for (const [name, dependencies] of Object.entries(
+        schema.dependentRequired || {}
+      )) {
+        if (!hasOwn(value, name)) {
+          continue;
         }
-        return true;
+        for (const dependency of dependencies) {
+          if (!hasOwn(value, dependency)) {
+            errors.push({
+              field: joinField(field, dependency),
+              code: "required",
+              message: `${describe(
+                joinField(field, dependency)
+              )} is required when "${name}" is set.`,
+            });
+          }
+        }
+      }
+      for (const [name, propertyValue] of Object.entries(value)) {
+        const propertyField = joinField(field, name);
+        const propertySchema = hasOwn(properties, name)
+          ? properties[name]
+          : undefined;
+        if (!propertySchema) {
+          if (schema.additionalProperties === false) {
+            errors.push({
+              field: propertyField,
+              code: "unknownProperty",
+              message: `${describe(propertyField)} is not allowed.`,
+            });
+          }
+          continue;
+        }
+        if (propertySchema.readOnly && options.rejectReadOnly) {
+          errors.push({
+            field: propertyField,
+            code: "readOnly",
+            message: `${describe(propertyField)} is read-only.`,
+          });
+          continue;
+        }
+        errors.push(
+          ...Validator.validate(
+            propertyValue,
+            propertySchema,
+            options,
+            propertyField
+          )
+        );
       }
     }
+    return errors;
+  }
+
+  /**
+   * Validates a task received in a request body. Read-only properties such
+   * as `id` are rejected when creating a task.
+   * @param {Object} taskinfo - The task to validate.
+   * @param {string} method - The HTTP method of the request.
+   * @returns {Array} - The validation errors.
+   */
+  static validateTask(taskinfo, method) {
+    return Validator.validate(taskinfo, TASK_SCHEMA, {
+      rejectReadOnly: method === "POST",
+    });
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Returns the part of a document a local JSON pointer such as
+ * "#/components/schemas/Task" refers to.
+ */
+function resolveRef(document, ref) {
+  const resolved = ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce(
+      (node, key) => node && node[key.replace(/~1/g, "/").replace(/~0/g, "~")],
+      document
+    );
+  if (!resolved) {
+    throw new Error(`Cannot resolve schema reference ${ref}`);
+  }
+  return resolved;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function joinField(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+function describe(field) {
+  return field ? `"${field}"` : "The request body";
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (err) {
     return false;
   }
 }
@@ -0,0 +1,61 @@
+/**
+ * Task versions and the ETags built from them.
+ *
+ * Every stored task carries a `version` that starts at 1 and goes up by one
+ * with each write to the task. It is exposed as a strong ETag, `"<version>"`.
+ * The computed `blocked` and `progress` fields depend on other tasks and are
+ * not covered by the version.
+ */
+
+const INITIAL_VERSION = 1;
+
+/**
+ * Returns the version of a task. Tasks stored before versions were
+ * introduced are at version 1.
+ * @param {Object} task - The stored task.
+ * @returns {number}
+ */
+function getVersion(task) {
+  return task.version === undefined ? INITIAL_VERSION : task.version;
+}
+
+/**
+ * Records a write to a task.
+ * @param {Object} task - The stored task, modified in place.
+ * @returns {Object} - The same task.
+ */
+function bumpVersion(task) {
+  task.version = getVersion(task) + 1;
+  return task;
+}
+
+/**
+ * @param {Object} task - The stored task.
+ * @returns {string} - The ETag of the task.
+ */
+function formatETag(task) {
+  return `"${getVersion(task)}"`;
+}
+
+/**
+ * Evaluates an If-Match header against a task. Weak ETags never match, as
+ * If-Match uses the strong comparison.
+ * @param {string|undefined} header - The If-Match request header.
+ * @param {Object} task - The stored task.
+ * @returns {boolean} - Whether the write may proceed.
+ */
+function matchesIfMatch(header, task) {
+  if (header === undefined || header.trim() === "*") {
+    return true;
+  }
+  const etag = formatETag(task);
+  return header.split(",").some((candidate) => candidate.trim() === etag);
+}
+
+module.exports = {
+  INITIAL_VERSION,
+  getVersion,
+  bumpVersion,
+  formatETag,
+  matchesIfMatch,
+};
@@ -0,0 +1,195 @@
+const { RESPONSE_MESSAGES } = require("./constants");
+
+/**
+ * Workflow statuses of tasks.
+ *
+ * A workflow is `{ statuses: [{ name, completed, next }] }`. Each status says
+ * whether tasks in it count as completed and lists in `next` the statuses a
+ * task can move to from it. New tasks start in the first status, which is
+ * never a completed one. The `completed` property of a task is derived from
+ * its status (see resolveStatus), so clients that only know `completed` keep
+ * working.
+ */
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: "todo", completed: false, next: ["doing", "done"] },
+    { name: "doing", completed: false, next: ["todo", "review", "done"] },
+    { name: "review", completed: false, next: ["doing", "done"] },
+    { name: "done", completed: true, next: ["todo"] },
+  ],
+};
+
+/**
+ * @param {Object} workflow - The workflow.
+ * @param {string} name - Name of a status.
+ * @returns {Object|undefined} - The status with that name.
+ */
+function findStatus(workflow, name) {
+  return workflow.statuses.find((status) => status.name === name);
+}
+
+/**
+ * Returns the status a task is in. Tasks stored before workflows were
+ * introduced have no status; they are in the status their `completed`
+ * property leads to.
+ * @param {Object} workflow - The workflow.
+ * @param {Object} task - The stored task.
+ * @returns {Object|undefined} - The status, undefined if the workflow no
+ * longer has it.
+ */
+function getTaskStatus(workflow, task) {
+  if (task.status !== undefined) {
+    return findStatus(workflow, task.status);
+  }
+  return getStatusFor(workflow, task.completed === true);
+}
+
+/**
+ * @returns {Object} - The first status with the given `completed` flag.
+ */
+function getStatusFor(workflow, completed) {
+  return workflow.statuses.find((status) => status.completed === completed);
+}
+
+/**
+ * Fills in the `completed` property of a task sent with only a `status`, so
+ * that the task schema, which requires it, accepts the task. An unknown
+ * status is left for resolveStatus to report.
+ * @param {Object} workflow - The workflow.
+ * @param {Object} task - The task from the request, modified in place.
+ */
+function deriveCompleted(workflow, task) {
+  if (typeof task.status === "string" && task.completed === undefined) {
+    const status = findStatus(workflow, task.status);
+    task.completed = status ? status.completed : false;
+  }
+}
+
+/**
+ * Sets the `status` and `completed` properties of a valid task from the
+ * request so that they agree. A new or changed status wins, and sets
+ * `completed`. When the status is missing or unchanged, as for clients that
+ * only know `completed`, the flag wins: the task stays in its status if the
+ * flag matches it, and moves to the first status with that flag otherwise.
+ * @param {Object} workflow - The workflow.
+ * @param {Object} task - The task from the request, modified in place.
+ * @param {Object} [previous] - The stored task it replaces, if any.
+ * @returns {Array} - The validation errors.
+ */
+function resolveStatus(workflow, task, previous) {
+  const current = previous && getTaskStatus(workflow, previous);
+  if (task.status === undefined || (current && task.status === current.name)) {
+    task.status = (
+      current && current.completed === task.completed
+        ? current
+        : getStatusFor(workflow, task.completed)
+    ).name;
+    return [];
+  }
+  const status = findStatus(workflow, task.status);
+  if (!status) {
+    return [
+      {
+        field: "status",
+        code: "enum",
+        message: `"status" must be one of: ${workflow.statuses
+          .map(({ name }) => name)
+          .join(", ")}.`,
+      },
+    ];
+  }
+  task.completed = status.completed;
+  return [];
+}
+
+/**
+ * @param {Object} workflow - The workflow.
+ * @param {Object} previous - The stored task.
+ * @param {Object} task - Its new version, with a resolved status.
+ * @returns {string|null} - Why the task cannot move to its new status, or
+ * null if it can.
+ */
+function checkTransition(workflow, previous, task) {
+  const from = getTaskStatus(workflow, previous);
+  if (!from || from.name === task.status || from.next.includes(task.status)) {
+    return null;
+  }
+  return RESPONSE_MESSAGES.STATUS_TRANSITION_NOT_ALLOWED(
+    from.name,
+    task.status,
+    from.next
+  );
+}
+
+/**
+ * Checks what the workflow schema cannot: status names are unique, `next`
+ * only names statuses of the workflow, the first status is not a completed
+ * one and at least one status is.
+ * @param {Object} workflow - A workflow matching WORKFLOW_SCHEMA.
+ * @returns {Array} - The validation errors.
+ */
+function validateWorkflow(workflow) {
+  const errors = [];
+  const names = workflow.statuses.map((status) => status.name);
+  workflow.statuses.forEach((status, index) => {
+    const field = `statuses[${index}]`;
+    if (names.indexOf(status.name) !== index) {
+      errors.push({
+        field: `${field}.name`,
+        code: "unique",
+        message: `Status "${status.name}" is defined more than once.`,
+      });
+    }
+    status.next.forEach((name, nextIndex) => {
+      if (!names.includes(name)) {
+        errors.push({
+          field: `${field}.next[${nextIndex}]`,
+          code: "unknownStatus",
+          message: `Status "${name}" is not defined.`,
+        });
+      }
+    });
+  });
+  if (workflow.statuses[0].completed) {
+    errors.push({
+      field: "statuses[0].completed",
+      code: "initialStatus",
+      message:
+        "New tasks start in the first status, which cannot be completed.",
+    });
+  }
+  if (!workflow.statuses.some((status) => status.completed)) {
+    errors.push({
+      field: "statuses",
+      code: "completedStatus",
+      message: "At least one status must be completed.",
+    });
+  }
+  return errors;
+}
+
+/**
+ * Groups tasks by status, one column per status of the workflow.
+ * @param {Object} workflow - The workflow.
+ * @param {Array} tasks - The tasks, in the order they appear in a column.
+ * @returns {Array} - `[{ status, completed, tasks }]`, in workflow order.
+ */
+function buildBoard(workflow, tasks) {
+  return workflow.statuses.map((status) => ({
+    status: status.name,
+    completed: status.completed,
+    tasks: tasks.filter((task) => getTaskStatus(workflow, task) === status),
+  }));
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getTaskStatus,
+  getStatusFor,
+  deriveCompleted,
+  resolveStatus,
+  checkTransition,
+  validateWorkflow,
+  buildBoard,
+};
@@ -0,0 +1,130 @@
+const { RESPONSE_MESSAGES } = require("./helpers/constants");
+const { createApp } = require("./app");
+const { loadTaskStore } = require("./service/taskstore");
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_SHUTDOWN_TIMEOUT_SECONDS = 10;
+const SHUTDOWN_SIGNALS = ["SIGTERM", "SIGINT"];
+
+/**
+ * Entry point of the server: `node server.js` serves the task manager on
+ * PORT and shuts it down gracefully on SIGTERM or SIGINT.
+ */
+
+/**
+ * Starts serving the task manager.
+ * @param {Object} [options] - `port`, by default PORT or DEFAULT_PORT;
+ * `store`, by default the one loadTaskStore opens; `logger`, by default
+ * the console.
+ * @returns {Promise<{server: Object, shutdown: Function}>} - The listening
+ * HTTP server, and the function shutting it down (see shutdown).
+ */
+function startServer({
+  port = getPort(),
+  store = loadTaskStore(),
+  logger = console,
+} = {}) {
+  const app = createApp({ store, logger });
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port);
+    // Once closed, the server lets the connection of each request in flight
+    // go as soon as it is answered, rather than keeping it alive.
+    server.on("request", (req, res) =>
+      res.on("finish", () => {
+        if (!server.listening) {
+          setImmediate(() => server.closeIdleConnections());
+        }
+      })
+    );
+    server.once("error", reject);
+    server.once("listening", () => {
+      server.off("error", reject);
+      logger.info(`Server is listening on ${server.address().port}`);
+      resolve({
+        server,
+        shutdown: () => shutdown(app, server, store, logger),
+      });
+    });
+  });
+}
+
+/**
+ * Shuts the server down: it stops accepting connections, lets the requests
+ * in flight finish, ends the event streams, and then saves the store.
+ * Connections still open after SHUTDOWN_TIMEOUT_SECONDS are closed.
+ * @returns {Promise} - Resolves once the server is closed and the store
+ * saved.
+ */
+function shutdown(app, server, store, logger) {
+  logger.info("Shutting down");
+  const timeoutMs = getShutdownTimeoutMs();
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => server.closeAllConnections(), timeoutMs);
+    server.close((err) => {
+      clearTimeout(timeout);
+      if (err) {
+        return reject(err);
+      }
+      store
+        .withLock(() => store.save())
+        .then(() => {
+          logger.info("Server closed");
+          resolve();
+        }, reject);
+    });
+    app.emit("shutdown");
+    server.closeIdleConnections();
+  });
+}
+
+/**
+ * Reads the port to listen on from PORT.
+ * @returns {number} - The port; 0 picks a free one.
+ */
+function getPort() {
+  const value = process.env.PORT;
+  const port = value === undefined ? DEFAULT_PORT : Number(value);
+  if (value === "" || !Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(RESPONSE_MESSAGES.INVALID_PORT);
+  }
+  return port;
+}
+
+/**
+ * Reads how long a shutdown waits for open connections from
+ * SHUTDOWN_TIMEOUT_SECONDS.
+ * @returns {number} - The timeout in milliseconds.
+ */
+function getShutdownTimeoutMs() {
+  const value = process.env.SHUTDOWN_TIMEOUT_SECONDS;
+  const seconds =
+    value === undefined ? DEFAULT_SHUTDOWN_TIMEOUT_SECONDS : Number(value);
+  if (value === "" || !Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(RESPONSE_MESSAGES.INVALID_SHUTDOWN_TIMEOUT);
+  }
+  return seconds * 1000;
+}
+
+if (require.main === module) {
+  startServer().then(
+    ({ shutdown: stop }) => {
+      for (const signal of SHUTDOWN_SIGNALS) {
+        process.once(signal, () =>
+          stop().then(
+            () => process.exit(0),
+            (err) => {
+              console.log("Something bad happened", err);
+              process.exit(1);
+            }
+          )
+        );
+      }
+    },
+    (err) => {
+      console.log("Something bad happened", err);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { startServer };
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Remembers the responses to requests sent with an Idempotency-Key header,
+ * so that a client retrying a request gets the original response instead of
+ * a second task.
+ *
+ * Each key is stored with a fingerprint of its request and the response
+ * sent for it, `{ fingerprint, status, headers, body, storedAt }`. Keys are
+ * forgotten once they are older than the time to live. They are kept in
+ * memory and do not survive a restart. Each app has its own (see createApp
+ * in app.js).
+ */
+class IdempotencyStore {
+  /**
+   * @param {Object} options - `ttlMs`, overriding IDEMPOTENCY_KEY_TTL_SECONDS,
+   * and `now`, the clock (defaults to Date.now).
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key - The Idempotency-Key of the request.
+   * @returns {Object|undefined} - The stored entry, unless it has expired.
+   */
+  get(key) {
+    this.removeExpired();
+    return this.entries.get(key);
+  }
+
+  /**
+   * Stores the response sent for a key.
+   * @param {string} key - The Idempotency-Key of the request.
+   * @param {string} fingerprint - The fingerprint of the request.
+   * @param {Object} response - `{ status, headers, body }`.
+   */
+  set(key, fingerprint, response) {
+    this.removeExpired();
+    // A copy, so that later changes to the task do not alter the replay.
+    this.entries.set(key, {
+      fingerprint,
+      ...structuredClone(response),
+      storedAt: this.now(),
+    });
+  }
+
+  /**
+   * Drops the expired keys. Entries are kept in the order they were stored
+   * in, so the expired ones come first.
+   */
+  removeExpired() {
+    const oldest = this.now() - (this.options.ttlMs || getTtlMs());
+    for (const [key, entry] of this.entries) {
+      if (entry.storedAt > oldest) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  now() {
+    return (this.options.now || Date.now)();
+  }
+}
+
+/**
+ * Returns whether an Idempotency-Key header value is usable: 1 to
+ * MAX_KEY_LENGTH characters.
+ */
+function isValidKey(key) {
+  return key.length > 0 && key.length <= MAX_KEY_LENGTH;
+}
+
+/**
+ * Computes the fingerprint of a request, which a retry with the same key must
+ * match.
+ * @param {number} listId - Id of the task list the request writes to.
+ * @param {*} body - The parsed request body.
+ * @returns {string} - The hex SHA-256 of the list id and the body.
+ */
+function fingerprintRequest(listId, body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ listId, body }))
+    .digest("hex");
+}
+
+/**
+ * Reads how long keys are kept from IDEMPOTENCY_KEY_TTL_SECONDS.
+ * @returns {number} - The time to live in milliseconds.
+ */
+function getTtlMs() {
+  const seconds = Number(process.env.IDEMPOTENCY_KEY_TTL_SECONDS);
+  return (seconds > 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  IdempotencyStore,
+  isValidKey,
+  fingerprintRequest,
+};
@@ -0,0 +1,117 @@
+const { EventEmitter } = require("events");
+
+const DEFAULT_REPLAY_BUFFER_SIZE = 100;
+
+/**
+ * In-process feed of task changes, used by the event stream and the
+ * webhooks. Each app has its own (see createApp in app.js).
+ *
+ * Every published event gets an id of the form `<epoch>-<sequence>` and is
+ * emitted as an "event" event. The last `bufferSize` events are kept so
+ * that a client that lost its connection can ask for the events it missed.
+ * The epoch changes with every process, so ids handed out before a restart
+ * are recognized as unknown instead of being confused with new ones.
+ *
+ * Changes are only announced once they are saved: the routes stage their
+ * events, which are published when the store is saved (see createApp) and
+ * dropped when the request ends without saving them.
+ */
+class TaskEventBus extends EventEmitter {
+  /**
+   * @param {number} [bufferSize] - How many events are kept for replay, by
+   * default EVENT_REPLAY_BUFFER_SIZE.
+   */
+  constructor(bufferSize = getReplayBufferSize()) {
+    super();
+    // Every open stream listens; there is no fixed upper bound.
+    this.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    this.buffer = [];
+    this.staged = [];
+  }
+
+  /**
+   * Keeps an event until publishStaged or discardStaged is called. Takes
+   * the arguments of publish.
+   */
+  stage(type, task, timestamp, listId) {
+    this.staged.push([type, task, timestamp, listId]);
+  }
+
+  /**
+   * Publishes the staged events, in the order they were staged.
+   * @returns {Array} - The published events.
+   */
+  publishStaged() {
+    const staged = this.staged;
+    this.staged = [];
+    return staged.map((args) => this.publish(...args));
+  }
+
+  /**
+   * Drops the staged events, whose changes were not saved.
+   */
+  discardStaged() {
+    this.staged = [];
+  }
+
+  /**
+   * Records and emits an event.
+   * @param {string} type - One of TASK_EVENT_TYPES (helpers/constants.js).
+   * @param {Object} task - The task after the change, or before a delete.
+   * @param {string} timestamp - When the change happened.
+   * @param {number} listId - Id of the task list holding the task.
+   * @returns {Object} - The event, `{ id, type, timestamp, listId, task }`.
+   */
+  publish(type, task, timestamp, listId) {
+    this.sequence++;
+    const event = {
+      id: `${this.epoch}-${this.sequence}`,
+      type,
+      timestamp,
+      listId,
+      task,
+    };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    this.emit("event", event);
+    return event;
+  }
+
+  /**
+   * Returns the events published after a given event.
+   * @param {string} lastEventId - Id of the last event the client received.
+   * @returns {Array|null} - The missed events, oldest first, or null if they
+   * cannot be replayed: the id is unknown, or its successors have already
+   * left the buffer.
+   */
+  getEventsAfter(lastEventId) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId);
+    if (!match || match[1] !== this.epoch) {
+      return null;
+    }
+    const sequence = Number(match[2]);
+    if (sequence > this.sequence) {
+      return null;
+    }
+    const missed = this.buffer.filter(
+      (event) => Number(event.id.split("-")[1]) > sequence
+    );
+    return missed.length === this.sequence - sequence ? missed : null;
+  }
+}
+
+/**
+ * Reads the replay buffer size from EVENT_REPLAY_BUFFER_SIZE, falling back
+ * to the default when it is not a positive integer.
+ */
+function getReplayBufferSize() {
+  const size = Number(process.env.EVENT_REPLAY_BUFFER_SIZE);
+  return Number.isInteger(size) && size > 0 ? size : DEFAULT_REPLAY_BUFFER_SIZE;
+}
+
+module.exports = { TaskEventBus };
@@ -0,0 +1,178 @@
+const {
+  HTTP_STATUS_CODES,
+  RESPONSE_MESSAGES,
+} = require("../helpers/constants");
+const { TaskError, findTask, updateTask } = require("./taskservice");
+const { getVersion } = require("../helpers/versioning");
+
+const HISTORY_LIMIT = 100;
+const EVENT_TYPES_BY_OPERATION = {
+  create: "task.created",
+  update: "task.updated",
+  delete: "task.deleted",
+  restore: "task.created",
+};
+
+/**
+ * Change history of the tasks.
+ *
+ * Routes that change tasks run the change through recordChanges, which
+ * compares every task of a task list before and after it and appends one
+ * entry per changed task to `state.history`:
+ * `{ taskId, version, timestamp, operation, before, after }`.
+ * `operation` is "create", "update", "delete" or "restore", and `before` and
+ * `after` are copies of the stored task, null when it did not exist or was
+ * deleted. Side effects, such as the subtasks completed by a cascade, get
+ * entries of their own. Only the last HISTORY_LIMIT entries of each task are
+ * kept, and tasks that leave the list, purged from the trash or moved to
+ * another list, lose their history.
+ *
+ * Each entry is also published on the task event feed of the app
+ * (service/taskevents.js) with the id of the list; a restored task reappears
+ * as "task.created", and a task moved away from the list is published as
+ * "task.deleted".
+ */
+
+/**
+ * Runs a change and records what it did to each task.
+ * @param {TaskEventBus} events - The event feed the changes are staged on,
+ * to be published once they are saved.
+ * @param {Object} state - The task list, `{ id, tasks, trash, history }`,
+ * modified in place.
+ * @param {Function} change - Performs the change; may throw, in which case
+ * nothing is recorded.
+ * @param {Date} [now] - The time of the change.
+ * @returns {*} - What `change` returned.
+ */
+function recordChanges(events, state, change, now = new Date()) {
+  const before = takeSnapshot(state);
+  const result = change();
+  const after = takeSnapshot(state);
+  const timestamp = now.toISOString();
+  for (const [taskId, previous] of before) {
+    if (after.has(taskId)) {
+      continue;
+    }
+    removeHistory(state, taskId);
+    if (!previous.trashed) {
+      events.stage("task.deleted", previous.task, timestamp, state.id);
+    }
+  }
+  for (const [taskId, current] of after) {
+    const previous = before.get(taskId);
+    const operation = getOperation(previous, current);
+    if (operation === null) {
+      continue;
+    }
+    const entry = {
+      taskId,
+      version: getVersion(current.task),
+      timestamp,
+      operation,
+      before: previous && !previous.trashed ? previous.task : null,
+      after: operation === "delete" ? null : current.task,
+    };
+    state.history.push(entry);
+    trimHistory(state, taskId);
+    events.stage(
+      EVENT_TYPES_BY_OPERATION[operation],
+      entry.after || entry.before,
+      timestamp,
+      state.id
+    );
+  }
+  return result;
+}
+
+/**
+ * @param {Object} state - `{ tasks, trash, history }`.
+ * @param {number|string} id - Id of the task.
+ * @returns {Array} - The history entries of the task, oldest first.
+ */
+function getTaskHistory(state, id) {
+  return state.history.filter((entry) => entry.taskId === parseInt(id));
+}
+
+/**
+ * Puts a task back in the state it had at an earlier version. The old state
+ * is written like a PUT, so it must still be valid: a parent or blocking
+ * task that no longer exists makes the revert fail.
+ * @param {Object} state - `{ tasks, trash, history }`, modified in place.
+ * @param {number|string} id - Id of the task.
+ * @param {number|string} version - The version to go back to.
+ * @returns {Object} - The stored task, at a new version.
+ * @throws {TaskError} - 404 if the task or the version does not exist, 400
+ * if the old state is no longer valid.
+ */
+function revertTask(state, id, version) {
+  if (!findTask(state.tasks, id)) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.RESOURCE_NOT_FOUND
+    );
+  }
+  const entry = getTaskHistory(state, id).find(
+    (candidate) =>
+      candidate.after !== null && candidate.version === parseInt(version)
+  );
+  if (!entry) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.TASK_VERSION_NOT_FOUND(id, version)
+    );
+  }
+  const task = JSON.parse(JSON.stringify(entry.after));
+  delete task.id;
+  delete task.version;
+  delete task.deletedAt;
+  return updateTask(state, id, task);
+}
+
+/**
+ * Maps each task id to a copy of the task and whether it is in the trash.
+ */
+function takeSnapshot(state) {
+  const snapshot = new Map();
+  for (const [tasks, trashed] of [
+    [state.tasks, false],
+    [state.trash, true],
+  ]) {
+    for (const task of JSON.parse(JSON.stringify(tasks))) {
+      snapshot.set(task.id, { task, trashed });
+    }
+  }
+  return snapshot;
+}
+
+function getOperation(previous, current) {
+  if (!previous) {
+    // Trashed tasks only appear when moved in along with their parent.
+    return current.trashed ? null : "create";
+  }
+  if (previous.trashed !== current.trashed) {
+    return current.trashed ? "delete" : "restore";
+  }
+  return getVersion(previous.task) === getVersion(current.task)
+    ? null
+    : "update";
+}
+
+function trimHistory(state, taskId) {
+  const entries = getTaskHistory(state, taskId);
+  for (const entry of entries.slice(0, entries.length - HISTORY_LIMIT)) {
+    state.history.splice(state.history.indexOf(entry), 1);
+  }
+}
+
+function removeHistory(state, taskId) {
+  for (const entry of getTaskHistory(state, taskId)) {
+    state.history.splice(state.history.indexOf(entry), 1);
+  }
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  recordChanges,
+  getTaskHistory,
+  revertTask,
+};
@@ -0,0 +1,166 @@
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { validate } = require("../helpers/validator");
+const { LIST_SCHEMA, TASK_MOVE_SCHEMA } = require("../helpers/schemas");
+const { DEFAULT_LIST_ID } = require("./taskstore");
+const { TaskError } = require("./taskservice");
+
+/**
+ * Named task lists. Each list is `{ id, name, tasks, trash, history }`, a
+ * `state` of its own for the task operations of service/taskservice.js and
+ * service/taskhistory.js, so task ids, the trash and the history are all
+ * kept per list. The default list always exists; the /v1/tasks routes work
+ * on it. Names are unique, regardless of case, and ids are never reused:
+ * events and idempotency keys are kept by list id.
+ *
+ * Like the task operations, these work on the store in place and leave
+ * saving it to the caller.
+ */
+
+/**
+ * @param {Object} store - The task store.
+ * @param {number|string} id - Id of the list.
+ * @returns {Object|undefined} - The list.
+ */
+function findList(store, id) {
+  return store.lists.find((list) => list.id === parseInt(id));
+}
+
+/**
+ * @param {Object} store - The task store.
+ * @returns {Object} - The default list.
+ */
+function getDefaultList(store) {
+  return findList(store, DEFAULT_LIST_ID);
+}
+
+/**
+ * Validates and adds a new, empty list.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} list - The list from the request body.
+ * @returns {Object} - The stored list.
+ * @throws {TaskError} - 400 if the list is invalid, 409 if its name is taken.
+ */
+function createList(store, list) {
+  validateList(store, list, { rejectReadOnly: true });
+  const created = {
+    id: store.allocateId("lists"),
+    name: list.name,
+    tasks: [],
+    trash: [],
+    history: [],
+  };
+  return store.addList(created);
+}
+
+/**
+ * Validates and renames a list.
+ * @param {Object} store - The task store, modified in place.
+ * @param {number|string} id - Id of the list.
+ * @param {Object} list - The list from the request body.
+ * @returns {Object} - The stored list.
+ * @throws {TaskError} - 404 if the list does not exist, 400 if it is
+ * invalid, 409 if its new name is taken.
+ */
+function updateList(store, id, list) {
+  const existing = requireList(store, id);
+  validateList(store, list, {}, existing);
+  existing.name = list.name;
+  return existing;
+}
+
+/**
+ * Removes a list. A list holding tasks, even trashed ones, is only removed
+ * when `cascade` is set, and its tasks are removed with it for good.
+ * @param {Object} store - The task store, modified in place.
+ * @param {number|string} id - Id of the list.
+ * @param {Object} [options] - `{ cascade: boolean }`.
+ * @returns {Object} - The removed list.
+ * @throws {TaskError} - 404 if the list does not exist, 409 if it is the
+ * default list or holds tasks and `cascade` is not set.
+ */
+function deleteList(store, id, options = {}) {
+  const list = requireList(store, id);
+  if (list.id === DEFAULT_LIST_ID) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.DEFAULT_LIST_NOT_DELETABLE
+    );
+  }
+  if (list.tasks.length + list.trash.length > 0 && !options.cascade) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.LIST_NOT_EMPTY(id)
+    );
+  }
+  store.lists.splice(store.lists.indexOf(list), 1);
+  return list;
+}
+
+/**
+ * Reads the list a task is moved to from the body of a move request,
+ * `{ "listId": 2 }`.
+ * @param {Object} store - The task store.
+ * @param {Object} body - The request body.
+ * @returns {Object} - The target list.
+ * @throws {TaskError} - 400 if the body is invalid or the list does not exist.
+ */
+function resolveMoveTarget(store, body) {
+  const errors = validate(body, TASK_MOVE_SCHEMA);
+  const target = errors.length === 0 && findList(store, body.listId);
+  if (errors.length === 0 && !target) {
+    errors.push({
+      field: "listId",
+      code: "notFound",
+      message: `List ${body.listId} does not exist.`,
+    });
+  }
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_MOVE,
+      errors
+    );
+  }
+  return target;
+}
+
+function requireList(store, id) {
+  const list = findList(store, id);
+  if (!list) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.LIST_NOT_FOUND(id)
+    );
+  }
+  return list;
+}
+
+function validateList(store, list, options, existing) {
+  const errors = validate(list, LIST_SCHEMA, options);
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_LIST,
+      errors
+    );
+  }
+  const taken = store.lists.some(
+    (other) =>
+      other !== existing && other.name.toLowerCase() === list.name.toLowerCase()
+  );
+  if (taken) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.LIST_NAME_TAKEN(list.name)
+    );
+  }
+}
+
+module.exports = {
+  findList,
+  getDefaultList,
+  createList,
+  updateList,
+  deleteList,
+  resolveMoveTarget,
+};
@@ -0,0 +1,560 @@
+const { validateTask } = require("../helpers/validator");
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { getDescendants, validateParent } = require("../helpers/tasktree");
+const {
+  isBlocked,
+  validateDependencies,
+  removeDependencies,
+} = require("../helpers/dependencies");
+const { omitComputedFields } = require("../helpers/taskpresenter");
+const { getNextDueDate } = require("../helpers/recurrence");
+const {
+  INITIAL_VERSION,
+  getVersion,
+  bumpVersion,
+} = require("../helpers/versioning");
+const {
+  DEFAULT_WORKFLOW,
+  getStatusFor,
+  getTaskStatus,
+  deriveCompleted,
+  resolveStatus,
+  checkTransition,
+} = require("../helpers/workflow");
+
+const BULK_OPERATIONS = ["create", "update", "delete"];
+const MAX_BULK_OPERATIONS = 500;
+
+/**
+ * Error raised by the task operations below. `status` is the HTTP status
+ * the controller should answer with and `errors`, for validation failures,
+ * holds the `{ field, code, message }` reports of the validator.
+ */
+class TaskError extends Error {
+  constructor(status, message, errors) {
+    super(message);
+    this.name = "TaskError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The operations below enforce every rule a task write must follow and are
+ * shared by all routes that change tasks. They work on a `state` object
+ * holding the `tasks` and `trash` arrays and the `nextId` counter (the task
+ * lists have that shape), so a caller can run them against a copy and only
+ * keep the result if all of them succeed. Every task they change gets a new
+ * `version`. They do not persist anything; callers save the store. Statuses
+ * follow the `workflow` of the state: lists of the task store have the
+ * workflow of the store, and copies of them should carry it over.
+ */
+
+function findTask(tasks, id) {
+  return tasks.find((task) => task.id === parseInt(id));
+}
+
+/**
+ * Validates and adds a new task. Ids are never reused, not even those of
+ * tasks in the trash or purged from it, so trashed tasks can always be
+ * restored and a stale ETag never matches another task. The task can start
+ * in any status of the workflow.
+ * @param {Object} state - `{ tasks, trash }`, modified in place.
+ * @param {Object} task - The task from the request body.
+ * @returns {Object} - The stored task.
+ * @throws {TaskError} - 400 if the task is invalid.
+ */
+function createTask(state, task) {
+  const { tasks } = state;
+  const errors = validateTaskWrite(state, task, "POST");
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_CREATE,
+      errors
+    );
+  }
+  task.id = allocateId(state);
+  task.version = INITIAL_VERSION;
+  tasks.push(task);
+  return task;
+}
+
+/**
+ * Validates and replaces an existing task. A change of status must be one
+ * of the transitions of the workflow.
+ * @param {Object} state - `{ tasks, trash }`, modified in place.
+ * @param {number|string} id - Id of the task to replace.
+ * @param {Object} task - The new version of the task.
+ * @param {Object} [options] - `cascade` completes the subtasks of a completed
+ * task; `method` and `message` describe the request for validation.
+ * Completing a task that has a recurrence rule, directly or through
+ * `cascade`, creates its next occurrence.
+ * @returns {Object} - The stored task.
+ * @throws {TaskError} - 404 if the task does not exist, 400 if it is invalid,
+ * 409 if the workflow does not allow its change of status.
+ */
+function updateTask(state, id, task, options = {}) {
+  const { tasks } = state;
+  const {
+    cascade = false,
+    method = "PUT",
+    message = RESPONSE_MESSAGES.VALIDATION_FAILED_UPDATE,
+  } = options;
+  const index = tasks.findIndex((candidate) => candidate.id === parseInt(id));
+  if (index === -1) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.RESOURCE_NOT_FOUND
+    );
+  }
+  const previous = tasks[index];
+  const errors = validateTaskWrite(state, task, method, previous);
+  if (errors.length > 0) {
+    throw new TaskError(HTTP_STATUS_CODES.BAD_REQUEST, message, errors);
+  }
+  const transitionError = checkTransition(getWorkflow(state), previous, task);
+  if (transitionError) {
+    throw new TaskError(HTTP_STATUS_CODES.CONFLICT, transitionError);
+  }
+  omitComputedFields(task);
+  task.id = previous.id;
+  task.version = getVersion(previous) + 1;
+  tasks[index] = task;
+  const completedTasks = !previous.completed && task.completed ? [task] : [];
+  if (cascade) {
+    completedTasks.push(...cascadeCompletion(state, task));
+  }
+  for (const completedTask of completedTasks) {
+    if (completedTask.recurrence) {
+      scheduleNextOccurrence(state, completedTask);
+    }
+  }
+  return task;
+}
+
+/**
+ * Moves a task, and its subtasks when `cascade` is set, to the trash. Each
+ * trashed task gets a `deletedAt` timestamp. The deleted tasks are removed
+ * from the `blockedBy` lists of the remaining tasks.
+ * @param {Object} state - `{ tasks, trash }`, modified in place.
+ * @param {number|string} id - Id of the task to delete.
+ * @param {Object} [options] - `{ cascade: boolean }`.
+ * @returns {Array} - The trashed tasks, the requested one first.
+ * @throws {TaskError} - 404 if the task does not exist, 409 if it has
+ * subtasks and `cascade` is not set.
+ */
+function deleteTask(state, id, options = {}) {
+  const { tasks, trash } = state;
+  const index = tasks.findIndex((candidate) => candidate.id === parseInt(id));
+  if (index === -1) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.RESOURCE_NOT_FOUND
+    );
+  }
+  const descendants = getDescendants(tasks, tasks[index].id);
+  if (descendants.length > 0 && !options.cascade) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.TASK_HAS_SUBTASKS(id)
+    );
+  }
+  const deletedTasks = tasks.splice(index, 1);
+  for (const descendant of descendants) {
+    deletedTasks.push(...tasks.splice(tasks.indexOf(descendant), 1));
+  }
+  removeDependencies(
+    tasks,
+    deletedTasks.map((task) => task.id)
+  ).forEach(bumpVersion);
+  const deletedAt = new Date().toISOString();
+  for (const task of deletedTasks) {
+    task.deletedAt = deletedAt;
+    trash.push(task);
+  }
+  return deletedTasks;
+}
+
+/**
+ * Moves a task and its trashed subtasks back from the trash. References in
+ * `blockedBy` to tasks that no longer exist are dropped, and `completed`
+ * follows the status again, in case the workflow changed meanwhile.
+ * @param {Object} state - `{ tasks, trash, workflow }`, modified in place.
+ * @param {number|string} id - Id of the trashed task.
+ * @returns {Array} - The restored tasks, the requested one first.
+ * @throws {TaskError} - 404 if the task is not in the trash, 409 if its
+ * parent is not restored yet.
+ */
+function restoreTask(state, id) {
+  const { tasks, trash } = state;
+  const task = findTask(trash, id);
+  if (!task) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.TRASHED_TASK_NOT_FOUND(id)
+    );
+  }
+  if (task.parentId !== undefined && !findTask(tasks, task.parentId)) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.RESTORE_PARENT_FIRST(id, task.parentId)
+    );
+  }
+  const restoredTasks = [task, ...getDescendants(trash, task.id)];
+  for (const restored of restoredTasks) {
+    trash.splice(trash.indexOf(restored), 1);
+    delete restored.deletedAt;
+    const status = getTaskStatus(getWorkflow(state), restored);
+    if (status) {
+      restored.completed = status.completed;
+    }
+    bumpVersion(restored);
+    tasks.push(restored);
+  }
+  for (const restored of restoredTasks) {
+    if (restored.blockedBy) {
+      restored.blockedBy = restored.blockedBy.filter((blockerId) =>
+        findTask(tasks, blockerId)
+      );
+    }
+  }
+  return restoredTasks;
+}
+
+/**
+ * Permanently removes the tasks that have been in the trash for longer
+ * than the retention period.
+ * @param {Object} state - `{ tasks, trash }`, modified in place.
+ * @param {number} retentionMs - How long trashed tasks are kept.
+ * @param {Date} [now] - The current time.
+ * @returns {Array} - The purged tasks.
+ */
+function purgeTrash(state, retentionMs, now = new Date()) {
+  const { trash } = state;
+  const cutoff = now.getTime() - retentionMs;
+  const purged = trash.filter(
+    (task) => new Date(task.deletedAt).getTime() <= cutoff
+  );
+  for (const task of purged) {
+    trash.splice(trash.indexOf(task), 1);
+  }
+  return purged;
+}
+
+/**
+ * Validates a task against the task schema and, once it is well-formed,
+ * against the workflow and the rest of the store (its parent and its
+ * dependencies). Sets the status of the task.
+ * @param {Object} state - `{ tasks, trash, workflow }`.
+ * @param {Object} task - The task from the request, modified in place.
+ * @param {string} method - The HTTP method of the request.
+ * @param {Object} [previous] - The task being updated; unset on create.
+ * @returns {Array} - The validation errors.
+ */
+function validateTaskWrite(state, task, method, previous) {
+  const { tasks } = state;
+  const workflow = getWorkflow(state);
+  deriveCompleted(workflow, task);
+  const errors = validateTask(task, method);
+  if (errors.length > 0) {
+    return errors;
+  }
+  const statusErrors = resolveStatus(workflow, task, previous);
+  if (statusErrors.length > 0) {
+    return statusErrors;
+  }
+  const id = previous && previous.id;
+  return [
+    ...validateParent({ ...task, id }, tasks),
+    ...validateDependencies({ ...task, id }, tasks),
+  ];
+}
+
+/**
+ * Marks every subtask of a completed task as completed, moving it to the
+ * first completed status whatever the transitions of the workflow. Subtasks
+ * that are still blocked by an incomplete task are left as they are.
+ * @returns {Array} - The subtasks that were completed.
+ */
+function cascadeCompletion(state, task) {
+  const { tasks } = state;
+  if (!task.completed) {
+    return [];
+  }
+  const pending = getDescendants(tasks, task.id).filter(
+    (descendant) => !descendant.completed
+  );
+  const { name } = getStatusFor(getWorkflow(state), true);
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const descendant of pending) {
+      if (!descendant.completed && !isBlocked(descendant, tasks)) {
+        descendant.completed = true;
+        descendant.status = name;
+        bumpVersion(descendant);
+        progressed = true;
+      }
+    }
+  }
+  return pending.filter((descendant) => descendant.completed);
+}
+
+/**
+ * Creates the next occurrence of a completed recurring task, due on the
+ * next date of its rule. The rule moves to the new occurrence, so completing
+ * the same task again does not create a second one. When the rule has no
+ * further date the series simply ends.
+ * @returns {Object|null} - The new occurrence, if any.
+ */
+function scheduleNextOccurrence(state, task) {
+  const { recurrence } = task;
+  delete task.recurrence;
+  const dueDate = getNextDueDate(task.dueDate, recurrence);
+  if (dueDate === null) {
+    return null;
+  }
+  const occurrence = {
+    id: allocateId(state),
+    title: task.title,
+    description: task.description,
+    completed: false,
+    status: getStatusFor(getWorkflow(state), false).name,
+    dueDate,
+    recurrence,
+    version: INITIAL_VERSION,
+  };
+  for (const field of ["parentId", "tags"]) {
+    if (task[field] !== undefined) {
+      occurrence[field] = task[field];
+    }
+  }
+  state.tasks.push(occurrence);
+  return occurrence;
+}
+
+/**
+ * Moves a task, with its subtasks, to another task list. Ids are allocated
+ * per list, so the moved tasks get new ids in the target list and start
+ * again at the initial version. Trashed subtasks move to the trash of the
+ * target list.
+ *
+ * Links to tasks that stay behind cannot be kept: the moved task loses its
+ * `parentId`, `blockedBy` only keeps tasks that move along, and the
+ * remaining tasks no longer wait on the moved ones.
+ * @param {Object} source - The list holding the task, modified in place.
+ * @param {Object} target - The list to move it to, modified in place.
+ * @param {number|string} id - Id of the task in the source list.
+ * @returns {{tasks: Array, newIds: Map}} - The moved tasks outside the
+ * trash, as stored in the target list, the requested one first, and the new
+ * id of every moved task by its old id.
+ * @throws {TaskError} - 404 if the task does not exist, 400 if it already
+ * is in the target list.
+ */
+function moveTask(source, target, id) {
+  const task = findTask(source.tasks, id);
+  if (!task) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.RESOURCE_NOT_FOUND
+    );
+  }
+  if (source === target) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.TASK_ALREADY_IN_LIST(id, target.id)
+    );
+  }
+  const moved = [
+    task,
+    ...getDescendants([...source.tasks, ...source.trash], task.id),
+  ];
+  const newIds = new Map();
+  for (const current of moved) {
+    newIds.set(current.id, allocateId(target));
+  }
+  for (const current of moved) {
+    const from = source.tasks.includes(current) ? source.tasks : source.trash;
+    from.splice(from.indexOf(current), 1);
+  }
+  removeDependencies(source.tasks, [...newIds.keys()]).forEach(bumpVersion);
+  const tasks = moved
+    .map((current) => {
+      const copy = { ...current, id: newIds.get(current.id) };
+      copy.version = INITIAL_VERSION;
+      if (current === task) {
+        delete copy.parentId;
+      } else {
+        copy.parentId = newIds.get(current.parentId);
+      }
+      if (copy.blockedBy) {
+        copy.blockedBy = copy.blockedBy
+          .filter((blockerId) => newIds.has(blockerId))
+          .map((blockerId) => newIds.get(blockerId));
+      }
+      (copy.deletedAt === undefined ? target.tasks : target.trash).push(copy);
+      return copy;
+    })
+    .filter((copy) => copy.deletedAt === undefined);
+  return { tasks, newIds };
+}
+
+/**
+ * Applies a list of create/update/delete operations all-or-nothing.
+ *
+ * Each operation is `{ op: "create", task }`, `{ op: "update", id, task }`
+ * or `{ op: "delete", id }`, and may set `cascade` like the single-task
+ * routes. Operations run in order against a copy of the state, so later
+ * operations see the effect of earlier ones. The copy replaces the state
+ * only if every operation succeeded.
+ * @param {Object} state - `{ tasks, trash }`, modified in place on success.
+ * @param {Array} operations - The operations to apply.
+ * @returns {{applied: boolean, results: Array}} - One result per operation,
+ * `{ index, op, status }` plus `task` or `tasks` on success and `message`
+ * (and `errors`) on failure. When another operation failed, operations that
+ * would have succeeded report status 424 (Failed Dependency).
+ */
+function applyBulkOperations(state, operations) {
+  const workingCopy = {
+    tasks: JSON.parse(JSON.stringify(state.tasks)),
+    trash: JSON.parse(JSON.stringify(state.trash)),
+    nextId: state.nextId,
+    workflow: state.workflow,
+  };
+  const results = operations.map((operation, index) =>
+    applyBulkOperation(workingCopy, operation, index)
+  );
+  const applied = results.every((result) => result.status < 400);
+  if (applied) {
+    state.tasks.splice(0, state.tasks.length, ...workingCopy.tasks);
+    state.trash.splice(0, state.trash.length, ...workingCopy.trash);
+    state.nextId = workingCopy.nextId;
+    return { applied, results };
+  }
+  return {
+    applied,
+    results: results.map((result) =>
+      result.status < 400
+        ? {
+            index: result.index,
+            op: result.op,
+            status: HTTP_STATUS_CODES.FAILED_DEPENDENCY,
+            message: RESPONSE_MESSAGES.BULK_OPERATION_NOT_APPLIED,
+          }
+        : result
+    ),
+  };
+}
+
+function applyBulkOperation(state, operation, index) {
+  const op = operation && operation.op;
+  const invalid = (message) => ({
+    index,
+    op,
+    status: HTTP_STATUS_CODES.BAD_REQUEST,
+    message,
+  });
+  if (!isPlainObject(operation) || !BULK_OPERATIONS.includes(op)) {
+    return invalid(RESPONSE_MESSAGES.INVALID_BULK_OPERATION(index));
+  }
+  if (op !== "create" && !Number.isInteger(operation.id)) {
+    return invalid(RESPONSE_MESSAGES.INVALID_BULK_OPERATION(index));
+  }
+  if (op !== "delete" && !isPlainObject(operation.task)) {
+    return invalid(RESPONSE_MESSAGES.INVALID_BULK_OPERATION(index));
+  }
+  const cascade = operation.cascade === true;
+  try {
+    switch (op) {
+      case "create":
+        return {
+          index,
+          op,
+          status: HTTP_STATUS_CODES.CREATED,
+          task: createTask(state, { ...operation.task }),
+        };
+      case "update":
+        return {
+          index,
+          op,
+          status: HTTP_STATUS_CODES.SUCCESS,
+          task: updateTask(
+            state,
+            operation.id,
+            { ...operation.task },
+            {
+              cascade,
+            }
+          ),
+        };
+      default:
+        return {
+          index,
+          op,
+          status: HTTP_STATUS_CODES.SUCCESS,
+          tasks: deleteTask(state, operation.id, { cascade }),
+        };
+    }
+  } catch (err) {
+    if (err instanceof TaskError) {
+      return {
+        index,
+        op,
+        status: err.status,
+        message: err.message,
+        errors: err.errors,
+      };
+    }
+    throw err;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @returns {Object} - The workflow of a state, the default one when it has
+ * none.
+ */
+function getWorkflow(state) {
+  return state.workflow || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Returns the id the next task of a state gets, from `state.nextId`, which
+ * lists of the task store save. Ids of tasks in the list or its trash count
+ * as used as well, for lists saved before they counted their ids.
+ * @param {Object} state - `{ tasks, trash, nextId }`.
+ * @returns {number}
+ */
+function getNextId(state) {
+  return [...state.tasks, ...state.trash].reduce(
+    (next, task) => Math.max(next, task.id + 1),
+    state.nextId || 1
+  );
+}
+
+/**
+ * Returns the next task id and counts it as used.
+ */
+function allocateId(state) {
+  const id = getNextId(state);
+  state.nextId = id + 1;
+  return id;
+}
+
+module.exports = {
+  TaskError,
+  findTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  restoreTask,
+  purgeTrash,
+  moveTask,
+  applyBulkOperations,
+  getNextId,
+  MAX_BULK_OPERATIONS,
+};
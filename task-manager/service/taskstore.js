@@ -0,0 +1,498 @@
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_WORKFLOW, getTaskStatus } = require("../helpers/workflow");
+
+const DEFAULT_TASKS_FILE = path.join(__dirname, "..", "task.json");
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 2000;
+const LOCK_TOUCH_MS = 500;
+const LOCK_RETRY_MS = 25;
+const DEFAULT_LIST_ID = 1;
+const DEFAULT_LIST_NAME = "Default";
+
+/**
+ * JSON-file backed storage for the tasks array.
+ *
+ * The file uses the same shape as the bundled task.json seed file:
+ * `{ "tasks": [ ... ] }`, plus an optional `"trash"` array holding deleted
+ * tasks, an optional `"history"` array holding the recorded changes (see
+ * service/taskhistory.js), an optional `"webhooks"` array holding the
+ * registered webhooks, an optional `"timeEntries"` array holding the tracked
+ * time (see service/timetracking.js), an optional `"templates"` array
+ * holding the task templates (see service/tasktemplates.js), an optional
+ * `"lists"` array holding the task lists, an optional `"workflow"` object
+ * replacing DEFAULT_WORKFLOW (see helpers/workflow.js) and an optional
+ * `"nextIds"` object counting the ids handed out (see allocateId). `load()`
+ * reads them and every call to `save()` writes them back to disk.
+ *
+ * Each task list (service/tasklists.js) is `{ id, name, tasks, trash,
+ * history }`, plus `nextId`, the next task id of the list, once it has
+ * created tasks. The default list, DEFAULT_LIST_ID, always exists; its arrays
+ * are the top-level `tasks`, `trash` and `history` of the file, so files
+ * written before lists existed are read as the default list. The other lists
+ * are stored with their arrays inside the `"lists"` entries. Lists of the
+ * store also have a `workflow` property, the workflow of the store, which
+ * the task operations check statuses against; it is neither saved nor
+ * copied with the list.
+ *
+ * Writes are atomic: the data is written and fsync'ed to a temporary file in
+ * the same directory, which is then renamed over the target file, so readers
+ * never see a half-written file. A successful `save()` emits "save"; a
+ * failed one throws the unsaved changes away and reads the file again, so
+ * that they are neither served nor written by a later save.
+ *
+ * Several processes can share the file. A change is made while holding a
+ * sibling `<file>.lock` file, created with O_EXCL: `lock()` takes it and
+ * re-reads the file when another process wrote it since, the change is
+ * made and saved, and `unlock()` releases it. `save()` refuses to write
+ * without the lock, so that no process overwrites changes it has not read.
+ * The server holds the lock for the whole of a request that may change the
+ * store (see useStore in helpers/routing.js), and touches the lock file
+ * every LOCK_TOUCH_MS while it does. A lock file left behind by a crashed
+ * process is no longer touched and is considered stale after LOCK_STALE_MS,
+ * well before waiting for the lock times out after LOCK_TIMEOUT_MS.
+ */
+class TaskStore extends EventEmitter {
+  /**
+   * @param {string} filePath - Path of the JSON file backing the store.
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.tasks = [];
+    this.trash = [];
+    this.history = [];
+    this.webhooks = [];
+    this.timeEntries = [];
+    this.templates = [];
+    this.lists = [];
+    this.workflow = null;
+    this.nextIds = {};
+    // What the file was when it was last read or written, see fileVersion.
+    this.loadedVersion = null;
+    // The inode of the lock file while this store holds the lock, the open
+    // lock file and the timer touching it.
+    this.lockIno = null;
+    this.lockFd = null;
+    this.lockTimer = null;
+  }
+
+  /**
+   * @returns {Object} - The configured workflow, or the default one.
+   */
+  getWorkflow() {
+    return this.workflow || DEFAULT_WORKFLOW;
+  }
+
+  /**
+   * Returns a new id for an item of one of the arrays of the store, and
+   * counts it as used. Ids are never handed out twice, even once the item
+   * holding one is removed, so that nothing meant for a removed item
+   * reaches a new one.
+   * @param {string} name - The array, e.g. "webhooks".
+   * @returns {number}
+   */
+  allocateId(name) {
+    const id = this[name].reduce(
+      (next, item) => Math.max(next, item.id + 1),
+      this.nextIds[name] || 1
+    );
+    this.nextIds[name] = id + 1;
+    return id;
+  }
+
+  /**
+   * Reads the stored arrays from disk into `this.tasks`, `this.trash`,
+   * `this.history`, `this.webhooks`, `this.timeEntries`, `this.templates`
+   * and `this.lists`, and the workflow into `this.workflow`. A missing file
+   * yields an empty store; a file that cannot be parsed throws rather than
+   * being silently replaced on the next save.
+   * @returns {Array} - The loaded tasks.
+   */
+  load() {
+    let contents;
+    let stat;
+    try {
+      const fd = fs.openSync(this.filePath, "r");
+      try {
+        stat = fs.fstatSync(fd);
+        contents = fs.readFileSync(fd, "utf8");
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        this.tasks.length = 0;
+        this.trash.length = 0;
+        this.history.length = 0;
+        this.webhooks.length = 0;
+        this.timeEntries.length = 0;
+        this.templates.length = 0;
+        this.workflow = null;
+        this.nextIds = {};
+        this.loadLists([]);
+        this.loadedVersion = null;
+        return this.tasks;
+      }
+      throw err;
+    }
+    const data = JSON.parse(contents);
+    if (!data || !Array.isArray(data.tasks)) {
+      throw new Error(
+        `Invalid tasks file ${this.filePath}: missing "tasks" array`
+      );
+    }
+    for (const name of [
+      "trash",
+      "history",
+      "webhooks",
+      "timeEntries",
+      "templates",
+      "lists",
+    ]) {
+      if (data[name] !== undefined && !Array.isArray(data[name])) {
+        throw new Error(
+          `Invalid tasks file ${this.filePath}: "${name}" is not an array`
+        );
+      }
+    }
+    // Keep the same array instances so references held by callers stay valid.
+    this.tasks.splice(0, this.tasks.length, ...data.tasks);
+    this.trash.splice(0, this.trash.length, ...(data.trash || []));
+    this.history.splice(0, this.history.length, ...(data.history || []));
+    this.webhooks.splice(0, this.webhooks.length, ...(data.webhooks || []));
+    this.timeEntries.splice(
+      0,
+      this.timeEntries.length,
+      ...(data.timeEntries || [])
+    );
+    this.templates.splice(0, this.templates.length, ...(data.templates || []));
+    this.workflow = data.workflow || null;
+    this.nextIds = { ...data.nextIds };
+    this.loadLists(data.lists || []);
+    this.loadedVersion = fileVersion(stat);
+    return this.tasks;
+  }
+
+  /**
+   * Reads the file again, with the statuses of assignStatuses, when it has
+   * been written by someone else since this store last read or wrote it.
+   */
+  refresh() {
+    let version = null;
+    try {
+      version = fileVersion(fs.statSync(this.filePath));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+    }
+    if (version !== this.loadedVersion) {
+      this.load();
+      this.assignStatuses();
+    }
+  }
+
+  /**
+   * Gives the tasks stored before workflows were introduced the status their
+   * `completed` property leads to. The tasks only change in memory; they are
+   * written with their status by the next save.
+   */
+  assignStatuses() {
+    const workflow = this.getWorkflow();
+    for (const list of this.lists) {
+      for (const task of [...list.tasks, ...list.trash]) {
+        if (task.status === undefined) {
+          task.status = getTaskStatus(workflow, task).name;
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds a new list to the store.
+   * @param {Object} list - The list, `{ id, name, tasks, trash, history }`.
+   * @returns {Object} - The list, with the workflow of the store.
+   */
+  addList(list) {
+    this.lists.push(this.attachWorkflow(list));
+    return list;
+  }
+
+  /**
+   * Gives a list read access to the workflow of the store. The property is
+   * not enumerable, so that it is neither saved nor spread into copies.
+   */
+  attachWorkflow(list) {
+    Object.defineProperty(list, "workflow", {
+      get: () => this.getWorkflow(),
+      configurable: true,
+    });
+    return list;
+  }
+
+  /**
+   * Fills `this.lists` from the stored lists, adding the default list when
+   * it is missing and giving it the top-level arrays.
+   */
+  loadLists(lists) {
+    const loaded = lists.map((list) =>
+      list.id === DEFAULT_LIST_ID
+        ? {
+            ...list,
+            tasks: this.tasks,
+            trash: this.trash,
+            history: this.history,
+          }
+        : { tasks: [], trash: [], history: [], ...list }
+    );
+    if (!loaded.some((list) => list.id === DEFAULT_LIST_ID)) {
+      loaded.unshift({
+        id: DEFAULT_LIST_ID,
+        name: DEFAULT_LIST_NAME,
+        tasks: this.tasks,
+        trash: this.trash,
+        history: this.history,
+      });
+    }
+    this.lists.splice(
+      0,
+      this.lists.length,
+      ...loaded.map((list) => this.attachWorkflow(list))
+    );
+  }
+
+  /**
+   * Atomically writes the stored arrays back to disk.
+   * @throws {Error} - If this store does not hold the lock, or the file
+   * cannot be written.
+   */
+  save() {
+    if (this.lockIno === null) {
+      throw new Error(`Saving ${this.filePath} needs its lock`);
+    }
+    const data = {
+      tasks: this.tasks,
+      trash: this.trash,
+      history: this.history,
+      webhooks: this.webhooks,
+      timeEntries: this.timeEntries,
+      templates: this.templates,
+      workflow: this.workflow || undefined,
+      nextIds: this.nextIds,
+      // The arrays of the default list are the top-level ones.
+      lists: this.lists.map(({ tasks, trash, history, ...list }) =>
+        list.id === DEFAULT_LIST_ID ? list : { ...list, tasks, trash, history }
+      ),
+    };
+    const contents = JSON.stringify(data, null, 2) + "\n";
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    let version;
+    try {
+      const fd = fs.openSync(tempPath, "w");
+      try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+        version = fileVersion(fs.fstatSync(fd));
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      this.discardChanges();
+      removeFile(tempPath);
+      throw err;
+    }
+    this.loadedVersion = version;
+    this.emit("save");
+  }
+
+  /**
+   * Replaces the contents of the store with those of the file. When the
+   * file cannot be read either, the next refresh tries again.
+   */
+  discardChanges() {
+    // Matches no file version, not even that of a missing file.
+    this.loadedVersion = undefined;
+    try {
+      this.refresh();
+    } catch (err) {
+      // Reported by the next refresh; the error of the save matters here.
+    }
+  }
+
+  /**
+   * Runs a change of the store while holding the lock, see lock.
+   * @param {Function} change - Changes the store and saves it; may be async.
+   * @returns {Promise} - Resolves with what the change returns.
+   */
+  async withLock(change) {
+    await this.lock();
+    try {
+      return await change();
+    } finally {
+      this.unlock();
+    }
+  }
+
+  /**
+   * Creates the lock file, retrying every LOCK_RETRY_MS for up to
+   * LOCK_TIMEOUT_MS while another store holds it, and then reads the file
+   * again if it changed since this store last read or wrote it.
+   * @returns {Promise} - Resolves once the lock is held.
+   * @throws {Error} - If the lock could not be acquired in time.
+   */
+  async lock() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (!this.tryLock()) {
+      if (this.removeStaleLock()) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock on ${this.filePath}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    try {
+      this.refresh();
+    } catch (err) {
+      this.unlock();
+      throw err;
+    }
+  }
+
+  /**
+   * Removes the lock file, unless it is no longer the one this store
+   * created because another process took it over as stale.
+   */
+  unlock() {
+    const ino = this.lockIno;
+    this.lockIno = null;
+    clearInterval(this.lockTimer);
+    this.lockTimer = null;
+    if (this.lockFd !== null) {
+      fs.closeSync(this.lockFd);
+      this.lockFd = null;
+    }
+    try {
+      if (fs.statSync(this.lockPath).ino === ino) {
+        removeFile(this.lockPath);
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Creates the lock file, and keeps it open to touch it until unlock.
+   * @returns {boolean} - Whether the lock file could be created.
+   */
+  tryLock() {
+    let fd;
+    try {
+      fd = fs.openSync(this.lockPath, "wx");
+    } catch (err) {
+      if (err.code === "EEXIST") {
+        return false;
+      }
+      throw err;
+    }
+    try {
+      fs.writeSync(fd, String(process.pid));
+      this.lockIno = fs.fstatSync(fd).ino;
+    } catch (err) {
+      fs.closeSync(fd);
+      throw err;
+    }
+    this.lockFd = fd;
+    // Through the descriptor, so that a lock taken over as stale and
+    // replaced by another is never touched.
+    this.lockTimer = setInterval(() => {
+      const now = new Date();
+      fs.futimesSync(fd, now, now);
+    }, LOCK_TOUCH_MS).unref();
+    return true;
+  }
+
+  /**
+   * Removes the lock file when it is stale. Another process may take the
+   * lock between the moment it is found stale and its removal, so the lock
+   * file is first renamed to a name of this process: when it turns out to
+   * be a new lock, it is put back rather than removed.
+   * @returns {boolean} - Whether the lock is worth trying again right away.
+   */
+  removeStaleLock() {
+    let stale;
+    try {
+      stale = fs.statSync(this.lockPath);
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return true;
+      }
+      throw err;
+    }
+    if (Date.now() - stale.mtimeMs <= LOCK_STALE_MS) {
+      return false;
+    }
+    const movedPath = `${this.lockPath}.${process.pid}.stale`;
+    try {
+      fs.renameSync(this.lockPath, movedPath);
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return true;
+      }
+      throw err;
+    }
+    if (fileVersion(fs.statSync(movedPath)) !== fileVersion(stale)) {
+      try {
+        fs.linkSync(movedPath, this.lockPath);
+      } catch (err) {
+        if (err.code !== "EEXIST") {
+          throw err;
+        }
+      }
+    }
+    removeFile(movedPath);
+    return true;
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Identifies the contents of a file: the file is replaced on every save, so
+ * its inode changes along with its size and modification time.
+ */
+function fileVersion(stat) {
+  return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+}
+
+/**
+ * Opens the store backed by a tasks file, as the server does at startup.
+ * @param {string} [filePath] - Path of the tasks file; TASKS_FILE, or
+ * task.json in the project directory, by default.
+ * @returns {TaskStore} - The loaded store, with a status on every task.
+ */
+function loadTaskStore(
+  filePath = process.env.TASKS_FILE || DEFAULT_TASKS_FILE
+) {
+  const store = new TaskStore(filePath);
+  store.load();
+  store.assignStatuses();
+  return store;
+}
+
+module.exports = { DEFAULT_LIST_ID, TaskStore, loadTaskStore };
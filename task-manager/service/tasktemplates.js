@@ -0,0 +1,337 @@
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { validate } = require("../helpers/validator");
+const {
+  TEMPLATE_SCHEMA,
+  TEMPLATE_INSTANTIATION_SCHEMA,
+} = require("../helpers/schemas");
+const { TaskError, createTask } = require("./taskservice");
+const { findList, getDefaultList } = require("./tasklists");
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Task templates: named checklists of tasks that are created together.
+ *
+ * A template is `{ id, name, description, tasks }`. Each of its tasks has
+ * the properties of a task to create, `title` only being required, plus:
+ * - dueInDays: the task is due that many days after the date the template
+ *   is instantiated for (before it when negative).
+ * - parent: position in `tasks` of an earlier task it is a subtask of.
+ * - blockedBy: positions in `tasks` of earlier tasks it depends on.
+ * Titles and descriptions can hold `{{placeholders}}`, filled with the
+ * values given when the template is instantiated. A task without a
+ * description is described by its title.
+ *
+ * Templates are kept in `store.templates`, shared by all task lists, and
+ * their names are unique, regardless of case. Ids of deleted templates are
+ * not handed out again. Like the task operations,
+ * these work on the store in place and leave saving it to the caller.
+ */
+
+/**
+ * @param {Object} store - The task store.
+ * @param {number|string} id - Id of the template.
+ * @returns {Object|undefined} - The template.
+ */
+function findTemplate(store, id) {
+  return store.templates.find((template) => template.id === parseInt(id));
+}
+
+/**
+ * Validates and adds a template.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} body - The template from the request body.
+ * @returns {Object} - The stored template.
+ * @throws {TaskError} - 400 if the template is invalid, 409 if its name is
+ * taken.
+ */
+function createTemplate(store, body) {
+  validateTemplate(store, body, { rejectReadOnly: true });
+  const template = {
+    id: store.allocateId("templates"),
+    ...copyTemplate(body),
+  };
+  store.templates.push(template);
+  return template;
+}
+
+/**
+ * Validates and replaces a template.
+ * @param {Object} store - The task store, modified in place.
+ * @param {number|string} id - Id of the template.
+ * @param {Object} body - The template from the request body.
+ * @returns {Object} - The stored template.
+ * @throws {TaskError} - 404 if the template does not exist, 400 if it is
+ * invalid, 409 if its name is taken by another template.
+ */
+function updateTemplate(store, id, body) {
+  const existing = requireTemplate(store, id);
+  validateTemplate(store, body, {}, existing);
+  const template = { id: existing.id, ...copyTemplate(body) };
+  store.templates.splice(store.templates.indexOf(existing), 1, template);
+  return template;
+}
+
+/**
+ * Removes a template. The tasks created from it are kept.
+ * @param {Object} store - The task store, modified in place.
+ * @param {number|string} id - Id of the template.
+ * @returns {Object} - The removed template.
+ * @throws {TaskError} - 404 if the template does not exist.
+ */
+function deleteTemplate(store, id) {
+  const template = requireTemplate(store, id);
+  store.templates.splice(store.templates.indexOf(template), 1);
+  return template;
+}
+
+/**
+ * Reads the body of an instantiation request, `{ values, baseDate, listId }`,
+ * and returns the list to create the tasks in: the list `listId`, or the
+ * default one when left out. `values` must fill every placeholder of the
+ * template, with text.
+ * @param {Object} store - The task store.
+ * @param {Object} template - The template to instantiate.
+ * @param {Object} body - The request body.
+ * @returns {Object} - The target list.
+ * @throws {TaskError} - 400 if the body is invalid or the list does not
+ * exist.
+ */
+function resolveInstantiationTarget(store, template, body) {
+  const errors = validate(body, TEMPLATE_INSTANTIATION_SCHEMA);
+  if (errors.length === 0) {
+    errors.push(...checkValues(findPlaceholders(template), body.values || {}));
+  }
+  const list =
+    errors.length === 0 &&
+    (body.listId === undefined
+      ? getDefaultList(store)
+      : findList(store, body.listId));
+  if (errors.length === 0 && !list) {
+    errors.push({
+      field: "listId",
+      code: "notFound",
+      message: `List ${body.listId} does not exist.`,
+    });
+  }
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_INSTANTIATE,
+      errors
+    );
+  }
+  return list;
+}
+
+/**
+ * Creates the tasks of a template, all or nothing. Due offsets count from
+ * `body.baseDate` ("YYYY-MM-DD"), today in UTC when left out.
+ * @param {Object} state - `{ tasks, trash, workflow }`, modified in place.
+ * @param {Object} template - The template to instantiate.
+ * @param {Object} body - The request body, checked by
+ * resolveInstantiationTarget.
+ * @param {Date} [now] - The current time.
+ * @returns {Array} - The created tasks, in template order.
+ * @throws {TaskError} - 400 if a task would be invalid, with the errors of
+ * every such task.
+ */
+function instantiateTemplate(state, template, body, now = new Date()) {
+  const values = body.values || {};
+  const baseTime = Date.parse(
+    `${body.baseDate || now.toISOString().slice(0, 10)}T00:00:00Z`
+  );
+  const fill = (text) =>
+    text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name]);
+
+  // Tasks are created in a copy of the list, which only replaces the list
+  // once every task is valid.
+  const workingCopy = {
+    tasks: [...state.tasks],
+    trash: [...state.trash],
+    nextId: state.nextId,
+    workflow: state.workflow,
+  };
+  const created = [];
+  const errors = [];
+  template.tasks.forEach((templateTask, index) => {
+    const { dueInDays, parent, blockedBy, ...properties } = templateTask;
+    const task = {
+      ...JSON.parse(JSON.stringify(properties)),
+      title: fill(templateTask.title),
+      description: fill(templateTask.description || templateTask.title),
+      completed: false,
+    };
+    if (dueInDays !== undefined) {
+      task.dueDate = new Date(baseTime + dueInDays * DAY_MS)
+        .toISOString()
+        .slice(0, 10);
+    }
+    // Tasks that failed cannot be referred to; their own errors are reported.
+    if (parent !== undefined && created[parent]) {
+      task.parentId = created[parent].id;
+    }
+    if (blockedBy) {
+      task.blockedBy = blockedBy
+        .filter((position) => created[position])
+        .map((position) => created[position].id);
+    }
+    try {
+      created.push(createTask(workingCopy, task));
+    } catch (err) {
+      if (!(err instanceof TaskError)) {
+        throw err;
+      }
+      created.push(null);
+      errors.push(
+        ...(err.errors || []).map((error) => ({
+          ...error,
+          field: `tasks[${index}].${error.field}`,
+        }))
+      );
+    }
+  });
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_INSTANTIATE,
+      errors
+    );
+  }
+  state.tasks.splice(0, state.tasks.length, ...workingCopy.tasks);
+  state.nextId = workingCopy.nextId;
+  return created;
+}
+
+/**
+ * @param {Object} template - A stored template.
+ * @returns {Array} - The names of its placeholders, in order of appearance.
+ */
+function findPlaceholders(template) {
+  const names = new Set();
+  for (const task of template.tasks) {
+    for (const text of [task.title, task.description || ""]) {
+      for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(name);
+      }
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Checks that every placeholder has a text value, and that there is no
+ * value for a placeholder the template does not have.
+ */
+function checkValues(placeholders, values) {
+  const errors = [];
+  for (const name of placeholders) {
+    const field = `values.${name}`;
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      errors.push({
+        field,
+        code: "required",
+        message: `"${field}" is required by the template.`,
+      });
+    } else if (typeof values[name] !== "string") {
+      errors.push({
+        field,
+        code: "type",
+        message: `"${field}" must be of type string.`,
+      });
+    }
+  }
+  for (const name of Object.keys(values)) {
+    if (!placeholders.includes(name)) {
+      errors.push({
+        field: `values.${name}`,
+        code: "unknownProperty",
+        message: `The template has no placeholder "${name}".`,
+      });
+    }
+  }
+  return errors;
+}
+
+function validateTemplate(store, body, options, existing) {
+  const errors = validate(body, TEMPLATE_SCHEMA, options);
+  if (errors.length === 0) {
+    body.tasks.forEach((task, index) => {
+      const references = [
+        ["parent", task.parent],
+        ...(task.blockedBy || []).map((position, item) => [
+          `blockedBy[${item}]`,
+          position,
+        ]),
+      ];
+      for (const [name, position] of references) {
+        if (position !== undefined && position >= index) {
+          const field = `tasks[${index}].${name}`;
+          errors.push({
+            field,
+            code: "reference",
+            message: `"${field}" must be the position of an earlier task.`,
+          });
+        }
+      }
+    });
+  }
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_TEMPLATE,
+      errors
+    );
+  }
+  const taken = store.templates.some(
+    (other) =>
+      other !== existing && other.name.toLowerCase() === body.name.toLowerCase()
+  );
+  if (taken) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.TEMPLATE_NAME_TAKEN(body.name)
+    );
+  }
+}
+
+/**
+ * Returns the stored properties of a valid template from a request body.
+ */
+function copyTemplate(body) {
+  const { name, description, tasks } = body;
+  return {
+    name,
+    ...(description !== undefined && { description }),
+    tasks: JSON.parse(JSON.stringify(tasks)),
+  };
+}
+
+/**
+ * @param {Object} store - The task store.
+ * @param {number|string} id - Id of the template.
+ * @returns {Object} - The template.
+ * @throws {TaskError} - 404 if the template does not exist.
+ */
+function requireTemplate(store, id) {
+  const template = findTemplate(store, id);
+  if (!template) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.TEMPLATE_NOT_FOUND(id)
+    );
+  }
+  return template;
+}
+
+module.exports = {
+  findTemplate,
+  requireTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  resolveInstantiationTarget,
+  instantiateTemplate,
+  findPlaceholders,
+};
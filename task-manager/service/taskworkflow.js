@@ -0,0 +1,82 @@
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { validate } = require("../helpers/validator");
+const { WORKFLOW_SCHEMA } = require("../helpers/schemas");
+const { findStatus, validateWorkflow } = require("../helpers/workflow");
+const { bumpVersion } = require("../helpers/versioning");
+const { TaskError } = require("./taskservice");
+
+/**
+ * Changes to the workflow of the task store (see helpers/workflow.js). Like
+ * the task operations, these work on the store in place and leave saving it
+ * to the caller.
+ */
+
+/**
+ * Validates and installs a new workflow. Statuses can only be removed once
+ * no task, in any list or trash, is in them.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} body - The workflow from the request body.
+ * @returns {Object} - The installed workflow.
+ * @throws {TaskError} - 400 if the workflow is invalid, 409 if tasks are in
+ * a status it removes.
+ */
+function replaceWorkflow(store, body) {
+  let errors = validate(body, WORKFLOW_SCHEMA);
+  if (errors.length === 0) {
+    errors = validateWorkflow(body);
+  }
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_WORKFLOW,
+      errors
+    );
+  }
+  const workflow = {
+    statuses: body.statuses.map(({ name, completed, next }) => ({
+      name,
+      completed,
+      next,
+    })),
+  };
+  const inUse = new Set();
+  for (const list of store.lists) {
+    for (const task of [...list.tasks, ...list.trash]) {
+      inUse.add(task.status);
+    }
+  }
+  const removed = store
+    .getWorkflow()
+    .statuses.map(({ name }) => name)
+    .filter((name) => inUse.has(name) && !findStatus(workflow, name));
+  if (removed.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.WORKFLOW_STATUS_IN_USE(removed)
+    );
+  }
+  store.workflow = workflow;
+  return workflow;
+}
+
+/**
+ * Brings the `completed` property of the tasks of a list in line with their
+ * status after a workflow change. Trashed tasks are left as they are and
+ * catch up when restored (see restoreTask).
+ * @param {Object} list - The task list, modified in place.
+ * @param {Object} workflow - The new workflow.
+ * @returns {Array} - The changed tasks.
+ */
+function syncCompletion(list, workflow) {
+  return list.tasks.filter((task) => {
+    const { completed } = findStatus(workflow, task.status);
+    if (task.completed === completed) {
+      return false;
+    }
+    task.completed = completed;
+    bumpVersion(task);
+    return true;
+  });
+}
+
+module.exports = { replaceWorkflow, syncCompletion };
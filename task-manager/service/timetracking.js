@@ -0,0 +1,238 @@
+const { HTTP_STATUS_CODES, RESPONSE_MESSAGES } = require("../helpers/constants");
+const { validate } = require("../helpers/validator");
+const { TIME_ENTRY_SCHEMA } = require("../helpers/schemas");
+const { TaskError, findTask } = require("./taskservice");
+
+const MAX_USER_LENGTH = 100;
+
+/**
+ * Time tracked on tasks.
+ *
+ * Each time entry is `{ id, listId, taskId, user, start, end, note }`, with
+ * `start` and `end` as ISO date-times and an optional `note`. A running
+ * timer is an entry whose `end` is null; a user has at most one, across all
+ * task lists. Entries are kept in `store.timeEntries` for as long as their
+ * task exists, in the trash or not: they follow a task moved to another list,
+ * and are removed with tasks purged from the trash and with deleted lists.
+ * Ids of removed entries are not handed out again.
+ *
+ * Like the task operations, these work on the store in place and leave
+ * saving it to the caller.
+ */
+
+/**
+ * @param {*} user - The user from the X-User header.
+ * @returns {boolean} - Whether it is 1 to MAX_USER_LENGTH characters long.
+ */
+function isValidUser(user) {
+  return (
+    typeof user === "string" &&
+    user.trim().length > 0 &&
+    user.length <= MAX_USER_LENGTH
+  );
+}
+
+/**
+ * Starts a timer on a task.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} list - The task list holding the task.
+ * @param {number|string} taskId - Id of the task.
+ * @param {string} user - The user starting the timer.
+ * @param {Date} [now] - The current time.
+ * @returns {Object} - The running time entry.
+ * @throws {TaskError} - 404 if the task does not exist, 409 if the user
+ * already has a running timer.
+ */
+function startTimer(store, list, taskId, user, now = new Date()) {
+  const task = requireTask(list.tasks, taskId);
+  const running = findRunningTimer(store, user);
+  if (running) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.TIMER_ALREADY_RUNNING(running.taskId, running.listId)
+    );
+  }
+  return addEntry(store, {
+    listId: list.id,
+    taskId: task.id,
+    user,
+    start: now.toISOString(),
+    end: null,
+  });
+}
+
+/**
+ * Stops the timer a user runs on a task. A task moved to the trash keeps its
+ * timer running until it is stopped.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} list - The task list holding the task.
+ * @param {number|string} taskId - Id of the task.
+ * @param {string} user - The user who started the timer.
+ * @param {Date} [now] - The current time.
+ * @returns {Object} - The finished time entry.
+ * @throws {TaskError} - 404 if the task does not exist, 409 if the user has
+ * no timer running on it.
+ */
+function stopTimer(store, list, taskId, user, now = new Date()) {
+  const running = findRunningTimer(store, user);
+  if (
+    !running ||
+    running.listId !== list.id ||
+    running.taskId !== parseInt(taskId)
+  ) {
+    requireTask([...list.tasks, ...list.trash], taskId);
+    throw new TaskError(
+      HTTP_STATUS_CODES.CONFLICT,
+      RESPONSE_MESSAGES.TIMER_NOT_RUNNING(taskId)
+    );
+  }
+  running.end = now.toISOString();
+  return running;
+}
+
+/**
+ * Records time spent on a task without a timer, e.g. `{ "start":
+ * "2024-05-06T09:00:00Z", "end": "2024-05-06T10:30:00Z", "note": "Call" }`.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} list - The task list holding the task.
+ * @param {number|string} taskId - Id of the task.
+ * @param {string} user - The user who spent the time.
+ * @param {Object} body - The time entry from the request body.
+ * @returns {Object} - The stored time entry.
+ * @throws {TaskError} - 404 if the task does not exist, 400 if the entry is
+ * invalid.
+ */
+function addTimeEntry(store, list, taskId, user, body) {
+  const task = requireTask(list.tasks, taskId);
+  const errors = validate(body, TIME_ENTRY_SCHEMA, { rejectReadOnly: true });
+  if (errors.length === 0 && Date.parse(body.end) <= Date.parse(body.start)) {
+    errors.push({
+      field: "end",
+      code: "minimum",
+      message: '"end" must be after "start".',
+    });
+  }
+  if (errors.length > 0) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.BAD_REQUEST,
+      RESPONSE_MESSAGES.VALIDATION_FAILED_TIME_ENTRY,
+      errors
+    );
+  }
+  return addEntry(store, {
+    listId: list.id,
+    taskId: task.id,
+    user,
+    start: new Date(body.start).toISOString(),
+    end: new Date(body.end).toISOString(),
+    ...(body.note !== undefined && { note: body.note }),
+  });
+}
+
+/**
+ * @param {Object} store - The task store.
+ * @param {Object} list - The task list holding the task.
+ * @param {number|string} taskId - Id of the task, which may be in the trash.
+ * @returns {Array} - The time entries of the task, oldest first.
+ * @throws {TaskError} - 404 if the task does not exist.
+ */
+function getTimeEntries(store, list, taskId) {
+  const task = requireTask([...list.tasks, ...list.trash], taskId);
+  return store.timeEntries
+    .filter((entry) => entry.listId === list.id && entry.taskId === task.id)
+    .sort((a, b) => a.start.localeCompare(b.start) || a.id - b.id);
+}
+
+/**
+ * Removes a time entry of a task, running or not.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} list - The task list holding the task.
+ * @param {number|string} taskId - Id of the task.
+ * @param {number|string} entryId - Id of the time entry.
+ * @returns {Object} - The removed time entry.
+ * @throws {TaskError} - 404 if the task has no such entry.
+ */
+function deleteTimeEntry(store, list, taskId, entryId) {
+  const entry = store.timeEntries.find(
+    (entry) =>
+      entry.id === parseInt(entryId) &&
+      entry.listId === list.id &&
+      entry.taskId === parseInt(taskId)
+  );
+  if (!entry) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.TIME_ENTRY_NOT_FOUND(entryId)
+    );
+  }
+  store.timeEntries.splice(store.timeEntries.indexOf(entry), 1);
+  return entry;
+}
+
+/**
+ * Hands the time entries of moved tasks over to their new list and ids.
+ * @param {Object} store - The task store, modified in place.
+ * @param {Object} source - The list the tasks left.
+ * @param {Object} target - The list they moved to.
+ * @param {Map} newIds - The new id of each moved task, by its old id.
+ */
+function moveTimeEntries(store, source, target, newIds) {
+  for (const entry of store.timeEntries) {
+    if (entry.listId === source.id && newIds.has(entry.taskId)) {
+      entry.listId = target.id;
+      entry.taskId = newIds.get(entry.taskId);
+    }
+  }
+}
+
+/**
+ * Removes the time entries of tasks that are gone for good.
+ * @param {Object} store - The task store, modified in place.
+ * @param {number} listId - Id of the list holding the tasks.
+ * @param {Array} [taskIds] - Ids of the tasks; all tasks of the list when
+ * left out.
+ */
+function removeTimeEntries(store, listId, taskIds) {
+  const removed = store.timeEntries.filter(
+    (entry) =>
+      entry.listId === listId && (!taskIds || taskIds.includes(entry.taskId))
+  );
+  for (const entry of removed) {
+    store.timeEntries.splice(store.timeEntries.indexOf(entry), 1);
+  }
+}
+
+function findRunningTimer(store, user) {
+  return store.timeEntries.find(
+    (entry) => entry.user === user && entry.end === null
+  );
+}
+
+function requireTask(tasks, taskId) {
+  const task = findTask(tasks, taskId);
+  if (!task) {
+    throw new TaskError(
+      HTTP_STATUS_CODES.NOT_FOUND,
+      RESPONSE_MESSAGES.TASK_NOT_FOUND(taskId)
+    );
+  }
+  return task;
+}
+
+function addEntry(store, entry) {
+  const stored = { id: store.allocateId("timeEntries"), ...entry };
+  store.timeEntries.push(stored);
+  return stored;
+}
+
+module.exports = {
+  MAX_USER_LENGTH,
+  isValidUser,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  getTimeEntries,
+  deleteTimeEntry,
+  moveTimeEntries,
+  removeTimeEntries,
+};
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_LOG_LIMIT = 100;
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+/**
+ * Delivers task events to the registered webhooks.
+ *
+ * Each event is POSTed as JSON (`{ id, type, timestamp, listId, task }`) to
+ * every active webhook subscribed to its type. The body is signed with the
+ * webhook secret: the SIGNATURE_HEADER header holds `sha256=<hex HMAC>`.
+ * A delivery succeeds on a 2xx response; anything else, including a
+ * timeout or a connection error, is retried after 1, 2, 4, ... times the
+ * base delay, up to the maximum number of attempts.
+ *
+ * Deliveries are logged in memory, the last DELIVERY_LOG_LIMIT per webhook,
+ * as `{ id, webhookId, eventId, event, status, attempts }`. `status` is
+ * "pending" while attempts remain, then "succeeded" or "failed"; each
+ * attempt records its time, duration and response status or error.
+ * Removing a webhook cancels its pending deliveries.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Array} webhooks - The registered webhooks, read on every event.
+   * @param {Object} options - `maxAttempts`, `retryBaseMs` and `send`, the
+   * function performing one HTTP request (defaults to fetch).
+   */
+  constructor(webhooks, options = {}) {
+    this.webhooks = webhooks;
+    this.options = options;
+    this.deliveries = new Map();
+    // The timers of the pending retries, by delivery id.
+    this.retries = new Map();
+  }
+
+  /**
+   * Starts a delivery of an event to each subscribed webhook.
+   * @param {Object} event - The task event.
+   * @returns {Array} - The new deliveries.
+   */
+  dispatch(event) {
+    return this.webhooks
+      .filter(
+        (webhook) => webhook.active && webhook.events.includes(event.type)
+      )
+      .map((webhook) => {
+        const delivery = {
+          id: crypto.randomUUID(),
+          webhookId: webhook.id,
+          eventId: event.id,
+          event: event.type,
+          status: "pending",
+          attempts: [],
+        };
+        this.log(delivery);
+        this.attempt(delivery, JSON.stringify(event));
+        return delivery;
+      });
+  }
+
+  /**
+   * @param {number} webhookId - Id of the webhook.
+   * @returns {Array} - Its logged deliveries, newest first.
+   */
+  getDeliveries(webhookId) {
+    return [...(this.deliveries.get(webhookId) || [])].reverse();
+  }
+
+  /**
+   * Forgets the deliveries of a removed webhook, and cancels those still
+   * pending.
+   */
+  clearDeliveries(webhookId) {
+    for (const delivery of this.deliveries.get(webhookId) || []) {
+      this.cancel(delivery);
+    }
+    this.deliveries.delete(webhookId);
+  }
+
+  /**
+   * Fails a pending delivery without attempting it again.
+   */
+  cancel(delivery) {
+    clearTimeout(this.retries.get(delivery.id));
+    this.retries.delete(delivery.id);
+    if (delivery.status === "pending") {
+      delivery.status = "failed";
+      delete delivery.nextAttemptAt;
+    }
+  }
+
+  /**
+   * Cancels every pending delivery, so that no retry fires once the app
+   * holding the dispatcher has shut down.
+   */
+  close() {
+    for (const log of this.deliveries.values()) {
+      log.forEach((delivery) => this.cancel(delivery));
+    }
+    // Deliveries that left the log may still wait for a retry.
+    for (const retry of this.retries.values()) {
+      clearTimeout(retry);
+    }
+    this.retries.clear();
+  }
+
+  log(delivery) {
+    const log = this.deliveries.get(delivery.webhookId) || [];
+    log.push(delivery);
+    if (log.length > DELIVERY_LOG_LIMIT) {
+      log.shift();
+    }
+    this.deliveries.set(delivery.webhookId, log);
+  }
+
+  async attempt(delivery, body) {
+    // The webhook may have been removed or changed since the last attempt.
+    const webhook = this.webhooks.find(
+      (candidate) => candidate.id === delivery.webhookId
+    );
+    if (!webhook) {
+      delivery.status = "failed";
+      return;
+    }
+    const attempt = { attemptedAt: new Date().toISOString() };
+    const started = Date.now();
+    try {
+      const response = await this.send(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery.id,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      attempt.statusCode = response.status;
+    } catch (err) {
+      attempt.error = err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    delivery.attempts.push(attempt);
+    if (delivery.status !== "pending") {
+      // Cancelled while the request was on its way.
+      return;
+    }
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const maxAttempts = this.options.maxAttempts || getMaxAttempts();
+    if (succeeded || delivery.attempts.length >= maxAttempts) {
+      delivery.status = succeeded ? "succeeded" : "failed";
+      return;
+    }
+    const retryBaseMs = this.options.retryBaseMs || getRetryBaseMs();
+    const delay = retryBaseMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    const retry = setTimeout(() => {
+      this.retries.delete(delivery.id);
+      delete delivery.nextAttemptAt;
+      this.attempt(delivery, body);
+    }, delay).unref();
+    this.retries.set(delivery.id, retry);
+  }
+
+  send(url, request) {
+    return (this.options.send || fetch)(url, request);
+  }
+}
+
+/**
+ * Computes the signature header value of a webhook body.
+ * @param {string} secret - The webhook secret.
+ * @param {string} body - The raw request body.
+ * @returns {string} - `sha256=<hex HMAC-SHA256 of the body>`.
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex")}`;
+}
+
+/**
+ * Reads the number of delivery attempts from WEBHOOK_MAX_ATTEMPTS.
+ */
+function getMaxAttempts() {
+  const attempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts > 0
+    ? attempts
+    : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Reads the delay before the first retry from WEBHOOK_RETRY_BASE_MS.
+ */
+function getRetryBaseMs() {
+  const ms = Number(process.env.WEBHOOK_RETRY_BASE_MS);
+  return ms > 0 ? ms : DEFAULT_RETRY_BASE_MS;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  WebhookDispatcher,
+  signPayload,
+};
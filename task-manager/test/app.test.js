@@ -0,0 +1,301 @@
+const fs = require("fs");
+const http = require("http");
+const tap = require("tap");
+const supertest = require("supertest");
+
+const { createApp } = require("../app");
+const { startServer } = require("../server");
+const { loadTaskStore } = require("../service/taskstore");
+const { TaskEventBus } = require("../service/taskevents");
+const { tempFile } = require("./helpers/tempfile");
+
+const newTask = {
+  title: "Drain",
+  description: "Before exit",
+  completed: false,
+};
+
+/**
+ * A logger keeping its messages, so that tests stay quiet.
+ */
+function createLogger() {
+  const messages = [];
+  return {
+    messages,
+    info: (message) => messages.push(["info", message]),
+    error: (message) => messages.push(["error", message]),
+  };
+}
+
+tap.test("each app works on the store it is given", async (t) => {
+  const first = loadTaskStore(tempFile());
+  const second = loadTaskStore(tempFile());
+  const firstApp = createApp({ store: first, logger: createLogger() });
+  const secondApp = createApp({ store: second, logger: createLogger() });
+  t.teardown(() => {
+    firstApp.emit("shutdown");
+    secondApp.emit("shutdown");
+  });
+
+  let response = await supertest(firstApp)
+    .post("/task-management/v1/tasks")
+    .send(newTask);
+  t.equal(response.status, 201);
+  t.equal(first.tasks.length, 1);
+  t.ok(fs.existsSync(first.filePath));
+  response = await supertest(secondApp).get("/task-management/v1/tasks");
+  t.equal(response.body.total, 0);
+
+  // The workflow of one store does not apply to the tasks of the other.
+  response = await supertest(secondApp)
+    .put("/task-management/v1/workflow")
+    .send({
+      statuses: [
+        { name: "open", completed: false, next: ["closed"] },
+        { name: "closed", completed: true, next: ["open"] },
+      ],
+    });
+  t.equal(response.status, 200);
+  response = await supertest(firstApp)
+    .post("/task-management/v1/tasks")
+    .send({ ...newTask, status: "doing" });
+  t.equal(response.status, 201);
+  response = await supertest(secondApp)
+    .post("/task-management/v1/tasks")
+    .send({ ...newTask, status: "doing" });
+  t.equal(response.status, 400);
+  t.end();
+});
+
+tap.test("apps sharing a tasks file keep each other's tasks", async (t) => {
+  const file = tempFile();
+  const firstApp = createApp({ store: loadTaskStore(file) });
+  const secondApp = createApp({ store: loadTaskStore(file) });
+  t.teardown(() => {
+    firstApp.emit("shutdown");
+    secondApp.emit("shutdown");
+  });
+
+  await supertest(firstApp).post("/task-management/v1/tasks").send(newTask);
+  let response = await supertest(secondApp)
+    .post("/task-management/v1/tasks")
+    .send(newTask);
+  t.equal(response.body.id, 2);
+  response = await supertest(firstApp).get("/task-management/v1/tasks");
+  t.same(
+    response.body.tasks.map((task) => task.id),
+    [1, 2]
+  );
+  t.end();
+});
+
+tap.test("apps have their own events and idempotency keys", async (t) => {
+  const previousRetryBase = process.env.WEBHOOK_RETRY_BASE_MS;
+  process.env.WEBHOOK_RETRY_BASE_MS = "200";
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    received.push(req.headers["x-webhook-event"]);
+    res.writeHead(500).end();
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+  const taskEvents = new TaskEventBus();
+  const events = [];
+  taskEvents.on("event", (event) => events.push(event));
+  const firstApp = createApp({ store: loadTaskStore(tempFile()), taskEvents });
+  const secondApp = createApp({ store: loadTaskStore(tempFile()) });
+  t.teardown(() => {
+    firstApp.emit("shutdown");
+    secondApp.emit("shutdown");
+    receiver.close();
+    if (previousRetryBase === undefined) {
+      delete process.env.WEBHOOK_RETRY_BASE_MS;
+    } else {
+      process.env.WEBHOOK_RETRY_BASE_MS = previousRetryBase;
+    }
+  });
+  const webhook = await supertest(firstApp)
+    .post("/task-management/v1/webhooks")
+    .send({
+      url: `http://localhost:${receiver.address().port}/hook`,
+      events: ["task.created"],
+    });
+  t.equal(webhook.status, 201);
+  const deliveriesUrl = `/task-management/v1/webhooks/${webhook.body.id}/deliveries`;
+
+  // A task of the second app reaches neither the feed nor the webhooks of
+  // the first, and its idempotency key is not replayed by the first.
+  let response = await supertest(secondApp)
+    .post("/task-management/v1/tasks")
+    .set("Idempotency-Key", "same-key")
+    .send(newTask);
+  t.equal(response.status, 201);
+  t.same(events, []);
+  response = await supertest(firstApp).get(deliveriesUrl);
+  t.equal(response.body.total, 0);
+  response = await supertest(firstApp)
+    .post("/task-management/v1/tasks")
+    .set("Idempotency-Key", "same-key")
+    .send({ ...newTask, title: "Mine" });
+  t.equal(response.status, 201);
+  t.notOk(response.headers["idempotent-replayed"]);
+  t.match(response.body, { id: 1, title: "Mine" });
+  t.same(
+    events.map(({ type, task }) => [type, task.title]),
+    [["task.created", "Mine"]]
+  );
+
+  // The shutdown cancels the retry the failing delivery is waiting for.
+  const getDelivery = async () =>
+    (await supertest(firstApp).get(deliveriesUrl)).body.deliveries[0];
+  while (!(await getDelivery()).nextAttemptAt) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  firstApp.emit("shutdown");
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  t.same(received, ["task.created"]);
+  t.match(await getDelivery(), { status: "failed", attempts: [{}] });
+  t.end();
+});
+
+tap.test(
+  "a change that cannot be saved is neither kept nor announced",
+  async (t) => {
+    const file = tempFile();
+    const taskEvents = new TaskEventBus();
+    const events = [];
+    taskEvents.on("event", (event) => events.push(event.task.title));
+    const app = createApp({
+      store: loadTaskStore(file),
+      logger: createLogger(),
+      taskEvents,
+    });
+    t.teardown(() => app.emit("shutdown"));
+    const server = supertest(app);
+    await server
+      .post("/task-management/v1/tasks")
+      .send({ ...newTask, title: "a" });
+
+    fs.mkdirSync(`${file}.${process.pid}.tmp`);
+    let response = await server
+      .post("/task-management/v1/tasks")
+      .send({ ...newTask, title: "x" });
+    t.equal(response.status, 500);
+    response = await server.get("/task-management/v1/tasks");
+    t.same(
+      response.body.tasks.map((task) => task.title),
+      ["a"]
+    );
+
+    fs.rmdirSync(`${file}.${process.pid}.tmp`);
+    await server
+      .post("/task-management/v1/tasks")
+      .send({ ...newTask, title: "z" });
+    t.same(
+      JSON.parse(fs.readFileSync(file, "utf8")).tasks.map((task) => task.title),
+      ["a", "z"]
+    );
+    t.same(events, ["a", "z"]);
+    t.end();
+  }
+);
+
+tap.test("errors are reported to the logger of the app", async (t) => {
+  const logger = createLogger();
+  const store = loadTaskStore(tempFile());
+  const app = createApp({ store, logger });
+  t.teardown(() => app.emit("shutdown"));
+  store.save = () => {
+    throw new Error("disk full");
+  };
+  const response = await supertest(app)
+    .post("/task-management/v1/tasks")
+    .send(newTask);
+  t.equal(response.status, 500);
+  t.same(logger.messages, [["error", "Error logged Error: disk full"]]);
+  t.end();
+});
+
+tap.test("a shutdown drains requests and saves the store", async (t) => {
+  const logger = createLogger();
+  const store = loadTaskStore(tempFile());
+  const { server, shutdown } = await startServer({ port: 0, store, logger });
+  const { port } = server.address();
+  t.same(logger.messages, [["info", `Server is listening on ${port}`]]);
+
+  // An event stream stays open until the shutdown ends it.
+  const streamEnded = new Promise((resolve) =>
+    http.get({ port, path: "/task-management/v1/tasks/stream" }, (response) => {
+      response.resume();
+      response.on("end", resolve);
+    })
+  );
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  // A request whose body is still on its way when the shutdown starts.
+  const body = JSON.stringify(newTask);
+  let stopped = false;
+  const created = new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        port,
+        method: "POST",
+        path: "/task-management/v1/tasks",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+        },
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+    request.on("error", reject);
+    request.write(body.slice(0, 10));
+    setTimeout(() => request.end(body.slice(10)), 100);
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const stopping = shutdown().then(() => (stopped = true));
+
+  t.equal(await created, 201);
+  await streamEnded;
+  await stopping;
+  t.ok(stopped);
+  t.notOk(server.listening);
+  const saved = JSON.parse(fs.readFileSync(store.filePath, "utf8"));
+  t.match(saved.tasks, [{ id: 1, title: "Drain" }]);
+  t.same(logger.messages.slice(1), [
+    ["info", "Shutting down"],
+    ["info", "Server closed"],
+  ]);
+  t.end();
+});
+
+tap.test("a shutdown saves a store no request has written", async (t) => {
+  const store = loadTaskStore(tempFile());
+  const { shutdown } = await startServer({
+    port: 0,
+    store,
+    logger: createLogger(),
+  });
+  t.notOk(fs.existsSync(store.filePath));
+  await shutdown();
+  t.same(JSON.parse(fs.readFileSync(store.filePath, "utf8")).tasks, []);
+  t.end();
+});
+
+tap.test("PORT must be a port number", async (t) => {
+  const port = process.env.PORT;
+  t.teardown(() => {
+    if (port === undefined) {
+      delete process.env.PORT;
+    } else {
+      process.env.PORT = port;
+    }
+  });
+  process.env.PORT = "http";
+  t.throws(() => startServer({ store: loadTaskStore(tempFile()) }), {
+    message: "PORT must be a port number from 0 to 65535.",
+  });
+  t.end();
+});
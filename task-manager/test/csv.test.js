@@ -0,0 +1,40 @@
+const tap = require("tap");
+const { CsvError, parseCsv, formatCsv } = require("../helpers/csv");
+
+tap.test("parseCsv reads quoted fields and skips blank lines", (t) => {
+  t.same(
+    parseCsv(
+      '\uFEFFtitle,notes\r\n"Buy milk, eggs","say ""hi""\nlater"\n\nx,\n'
+    ),
+    [
+      { line: 1, fields: ["title", "notes"] },
+      { line: 2, fields: ["Buy milk, eggs", 'say "hi"\nlater'] },
+      { line: 5, fields: ["x", ""] },
+    ]
+  );
+  t.end();
+});
+
+tap.test("parseCsv rejects malformed quotes", (t) => {
+  t.throws(() => parseCsv('a,"b\nc'), CsvError);
+  t.throws(() => parseCsv('a,"b"c\n'), { line: 1 });
+  t.end();
+});
+
+tap.test("formatCsv quotes fields only when needed", (t) => {
+  const csv = formatCsv([
+    ["id", "title"],
+    [1, 'Say "hi", then leave'],
+    [2, null],
+  ]);
+  t.equal(csv, 'id,title\r\n1,"Say ""hi"", then leave"\r\n2,\r\n');
+  t.same(
+    parseCsv(csv).map((record) => record.fields),
+    [
+      ["id", "title"],
+      ["1", 'Say "hi", then leave'],
+      ["2", ""],
+    ]
+  );
+  t.end();
+});
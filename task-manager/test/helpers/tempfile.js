@@ -0,0 +1,14 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Returns the path of a tasks file, not created yet, in a new temporary
+ * directory.
+ */
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "task-manager-"));
+  return path.join(dir, "tasks.json");
+}
+
+module.exports = { tempFile };
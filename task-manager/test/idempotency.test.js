@@ -0,0 +1,30 @@
+const tap = require("tap");
+const {
+  IdempotencyStore,
+  fingerprintRequest,
+} = require("../service/idempotency");
+
+tap.test("stored responses expire after the time to live", (t) => {
+  let now = 0;
+  const store = new IdempotencyStore({ ttlMs: 1000, now: () => now });
+  const fingerprint = fingerprintRequest(1, { title: "Once" });
+  store.set("first", fingerprint, { status: 201, headers: {}, body: {} });
+  now = 500;
+  store.set("second", fingerprint, { status: 201, headers: {}, body: {} });
+  now = 999;
+  t.match(store.get("first"), { fingerprint, status: 201 });
+  now = 1000;
+  t.equal(store.get("first"), undefined);
+  t.ok(store.get("second"));
+  now = 1500;
+  t.equal(store.get("second"), undefined);
+  t.end();
+});
+
+tap.test("fingerprints depend on the list and the body", (t) => {
+  const body = { title: "Once" };
+  t.equal(fingerprintRequest(1, body), fingerprintRequest(1, { ...body }));
+  t.not(fingerprintRequest(1, body), fingerprintRequest(2, body));
+  t.not(fingerprintRequest(1, body), fingerprintRequest(1, { title: "Twice" }));
+  t.end();
+});
@@ -0,0 +1,105 @@
+const tap = require("tap");
+const { parseQuickAdd } = require("../helpers/quickadd");
+
+// A Wednesday afternoon.
+const now = new Date("2024-05-08T15:00:00Z");
+const dueDateOf = (text, options = {}) =>
+  parseQuickAdd(text, { now, ...options }).task.dueDate;
+
+tap.test(
+  "a line is read into tags, a priority, a due date and a title",
+  (t) => {
+    t.same(
+      parseQuickAdd("Ship release notes tomorrow 5pm #docs !high", { now }),
+      {
+        task: {
+          title: "Ship release notes",
+          dueDate: "2024-05-09T17:00:00Z",
+          tags: ["docs"],
+          priority: "high",
+        },
+        tokens: [
+          { text: "Ship", type: "title", value: "Ship" },
+          { text: "release", type: "title", value: "release" },
+          { text: "notes", type: "title", value: "notes" },
+          { text: "tomorrow", type: "date", value: "2024-05-09" },
+          { text: "5pm", type: "time", value: "17:00" },
+          { text: "#docs", type: "tag", value: "docs" },
+          { text: "!high", type: "priority", value: "high" },
+        ],
+      }
+    );
+    t.same(parseQuickAdd("  Plain   task ", { now }).task, {
+      title: "Plain task",
+    });
+    t.same(parseQuickAdd("#A #a !urgent 13pm", { now }).task, {
+      title: "!urgent 13pm",
+      tags: ["a"],
+    });
+    t.end();
+  }
+);
+
+tap.test("relative days are read from the current date", (t) => {
+  t.equal(dueDateOf("today"), "2024-05-08");
+  t.equal(dueDateOf("Friday"), "2024-05-10");
+  t.equal(dueDateOf("fri"), "2024-05-10");
+  t.equal(dueDateOf("on monday"), "2024-05-13");
+  t.equal(dueDateOf("next friday"), "2024-05-10");
+  t.equal(dueDateOf("wednesday"), "2024-05-15");
+  t.equal(dueDateOf("next week"), "2024-05-13");
+  t.equal(dueDateOf("next month"), "2024-06-01");
+  t.equal(dueDateOf("in 3 days"), "2024-05-11");
+  t.equal(dueDateOf("in 2 weeks"), "2024-05-22");
+  t.equal(
+    dueDateOf("in 1 month", { now: new Date("2024-01-31T12:00:00Z") }),
+    "2024-02-29"
+  );
+  t.equal(dueDateOf("2024-06-30 noon"), "2024-06-30T12:00:00Z");
+  t.equal(dueDateOf("2024-02-30"), undefined);
+  t.end();
+});
+
+tap.test("abbreviated weekdays need a marker or the end of the line", (t) => {
+  t.equal(dueDateOf("Buy a sun hat"), undefined);
+  t.equal(dueDateOf("Wed dress fitting"), undefined);
+  t.same(parseQuickAdd("Buy a sun hat", { now }).task, {
+    title: "Buy a sun hat",
+  });
+  t.equal(dueDateOf("Pay rent by sat"), "2024-05-11");
+  t.equal(dueDateOf("Dentist on Wed"), "2024-05-15");
+  t.equal(dueDateOf("Call mom sun"), "2024-05-12");
+  t.equal(
+    dueDateOf("Call mom sun at 5pm #family !low"),
+    "2024-05-12T17:00:00Z"
+  );
+  t.equal(dueDateOf("Call mom sun afternoon"), undefined);
+  t.equal(dueDateOf("Saturday brunch"), "2024-05-11");
+  t.end();
+});
+
+tap.test("times without a day are due at their next occurrence", (t) => {
+  t.equal(dueDateOf("Standup at 9:30"), "2024-05-09T09:30:00Z");
+  t.equal(dueDateOf("Review 16:00"), "2024-05-08T16:00:00Z");
+  t.equal(dueDateOf("Review 12:30am"), "2024-05-09T00:30:00Z");
+  t.equal(
+    dueDateOf("today 9am", { utcOffset: "+10:00" }),
+    "2024-05-09T09:00:00+10:00"
+  );
+  t.end();
+});
+
+tap.test("only the first day and time are read", (t) => {
+  const { task, tokens } = parseQuickAdd(
+    "Plan monday retro tomorrow at 5pm 6pm",
+    {
+      now,
+    }
+  );
+  t.same(task, {
+    title: "Plan retro tomorrow 6pm",
+    dueDate: "2024-05-13T17:00:00Z",
+  });
+  t.same(tokens[4], { text: "at 5pm", type: "time", value: "17:00" });
+  t.end();
+});
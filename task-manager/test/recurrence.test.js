@@ -0,0 +1,81 @@
+const tap = require("tap");
+const {
+  isValidDueDate,
+  parseRecurrence,
+  getNextDueDate,
+} = require("../helpers/recurrence");
+
+tap.test("isValidDueDate accepts dates and date-times with a timezone", (t) => {
+  t.ok(isValidDueDate("2024-02-29"));
+  t.ok(isValidDueDate("2024-05-31T17:00:00Z"));
+  t.ok(isValidDueDate("2024-05-31T17:00+02:00"));
+  t.notOk(isValidDueDate("2023-02-29"));
+  t.notOk(isValidDueDate("2024-05-31T17:00:00"));
+  t.notOk(isValidDueDate("31/05/2024"));
+  t.end();
+});
+
+tap.test("parseRecurrence rejects unsupported rules", (t) => {
+  t.same(parseRecurrence("FREQ=WEEKLY;BYDAY=MO,TH"), {
+    freq: "WEEKLY",
+    interval: 1,
+    byDay: [1, 4],
+    byMonthDay: null,
+    until: null,
+  });
+  for (const rule of [
+    "FREQ=YEARLY",
+    "INTERVAL=2",
+    "FREQ=DAILY;INTERVAL=0",
+    "FREQ=DAILY;BYDAY=MO",
+    "FREQ=MONTHLY;BYMONTHDAY=32",
+    "FREQ=WEEKLY;BYDAY=XX",
+    "FREQ=DAILY;FREQ=WEEKLY",
+    "FREQ=DAILY;UNTIL=2024-05-01",
+    "FREQ=DAILY;COUNT=3",
+  ]) {
+    t.equal(parseRecurrence(rule), null, rule);
+  }
+  t.end();
+});
+
+tap.test("getNextDueDate follows the rule", (t) => {
+  t.equal(getNextDueDate("2024-05-06", "FREQ=DAILY;INTERVAL=3"), "2024-05-09");
+  t.equal(
+    getNextDueDate("2024-05-06T09:30:00Z", "FREQ=DAILY"),
+    "2024-05-07T09:30:00.000Z"
+  );
+  t.equal(getNextDueDate("2024-05-06", "FREQ=WEEKLY"), "2024-05-13");
+  t.equal(
+    getNextDueDate("2024-05-06", "FREQ=WEEKLY;BYDAY=MO,WE"),
+    "2024-05-08"
+  );
+  t.equal(
+    getNextDueDate("2024-05-08", "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"),
+    "2024-05-20"
+  );
+  t.equal(getNextDueDate("2024-01-31", "FREQ=MONTHLY"), "2024-03-31");
+  t.equal(
+    getNextDueDate("2024-01-31", "FREQ=MONTHLY;BYMONTHDAY=-1"),
+    "2024-02-29"
+  );
+  t.equal(
+    getNextDueDate("2024-01-05", "FREQ=MONTHLY;BYMONTHDAY=15"),
+    "2024-01-15"
+  );
+  t.equal(
+    getNextDueDate("2024-01-15", "FREQ=MONTHLY;INTERVAL=60"),
+    "2029-01-15"
+  );
+  t.equal(
+    getNextDueDate("2024-02-29", "FREQ=MONTHLY;INTERVAL=12"),
+    "2028-02-29"
+  );
+  // April 2107 has no 31st.
+  t.equal(
+    getNextDueDate("2024-01-31", "FREQ=MONTHLY;INTERVAL=999"),
+    "2190-07-31"
+  );
+  t.equal(getNextDueDate("2024-05-06", "FREQ=DAILY;UNTIL=20240506"), null);
+  t.end();
+});
@@ -1,6 +1,22 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const http = require("http");
+const os = require("os");
+const path = require("path");
 const tap = require("tap");
 const supertest = require("supertest");
-const app = require("../app");
+
+const tasksFile = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "task-manager-")),
+  "tasks.json"
+);
+
+const { createApp } = require("../app");
+const { loadTaskStore } = require("../service/taskstore");
+const { TaskEventBus } = require("../service/taskevents");
+const { RESPONSE_MESSAGES } = require("../helpers/constants");
+const taskEvents = new TaskEventBus();
+const app = createApp({ store: loadTaskStore(tasksFile), taskEvents });
 const server = supertest(app);
 
 tap.test("POST /tasks", async (t) => {
@@ -14,26 +30,112 @@ tap.test("POST /tasks", async (t) => {
   t.end();
 });
 
+tap.test("POST /tasks persists the task to the tasks file", async (t) => {
+  const stored = JSON.parse(fs.readFileSync(tasksFile, "utf8"));
+  t.equal(stored.tasks.length, 1);
+  t.match(stored.tasks[0], { id: 1, title: "New Task" });
+  t.notOk(fs.existsSync(`${tasksFile}.lock`));
+  t.end();
+});
+
 tap.test("POST /tasks with invalid data", async (t) => {
   const newTask = {
     title: "New Task",
   };
   const response = await server.post("/task-management/v1/tasks").send(newTask);
   t.equal(response.status, 400);
+  t.same(response.body.errors, [
+    {
+      field: "description",
+      code: "required",
+      message: '"description" is required.',
+    },
+    {
+      field: "completed",
+      code: "required",
+      message: '"completed" is required.',
+    },
+  ]);
+  t.end();
+});
+
+tap.test("POST /tasks reports every invalid field", async (t) => {
+  const response = await server.post("/task-management/v1/tasks").send({
+    id: 5,
+    title: "",
+    description: "x".repeat(1001),
+    completed: "no",
+    owner: "me",
+  });
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.VALIDATION_FAILED_CREATE);
+  t.same(
+    response.body.errors.map(({ field, code }) => ({ field, code })),
+    [
+      { field: "id", code: "readOnly" },
+      { field: "title", code: "minLength" },
+      { field: "description", code: "maxLength" },
+      { field: "completed", code: "type" },
+      { field: "owner", code: "unknownProperty" },
+    ]
+  );
   t.end();
 });
 
 tap.test("GET /tasks", async (t) => {
   const response = await server.get("/task-management/v1/tasks");
   t.equal(response.status, 200);
-  t.hasOwnProp(response.body[0], "id");
-  t.hasOwnProp(response.body[0], "title");
-  t.hasOwnProp(response.body[0], "description");
-  t.hasOwnProp(response.body[0], "completed");
-  t.type(response.body[0].id, "number");
-  t.type(response.body[0].title, "string");
-  t.type(response.body[0].description, "string");
-  t.type(response.body[0].completed, "boolean");
+  t.equal(response.body.total, 1);
+  t.hasOwnProp(response.body.tasks[0], "id");
+  t.hasOwnProp(response.body.tasks[0], "title");
+  t.hasOwnProp(response.body.tasks[0], "description");
+  t.hasOwnProp(response.body.tasks[0], "completed");
+  t.type(response.body.tasks[0].id, "number");
+  t.type(response.body.tasks[0].title, "string");
+  t.type(response.body.tasks[0].description, "string");
+  t.type(response.body.tasks[0].completed, "boolean");
+  t.end();
+});
+
+tap.test("GET /tasks with filters, sorting and pagination", async (t) => {
+  for (const title of ["Write docs", "Ship release", "Review docs"]) {
+    await server
+      .post("/task-management/v1/tasks")
+      .send({ title, description: `${title} description`, completed: true });
+  }
+
+  let response = await server.get(
+    "/task-management/v1/tasks?completed=true&q=DOCS&sort=-title&limit=1"
+  );
+  t.equal(response.status, 200);
+  t.equal(response.body.total, 2);
+  t.same(
+    response.body.tasks.map((task) => task.title),
+    ["Write docs"]
+  );
+  t.equal(response.body.links.prev, null);
+  t.equal(
+    response.body.links.next,
+    "/task-management/v1/tasks?completed=true&q=DOCS&sort=-title&limit=1&offset=1"
+  );
+
+  response = await server.get(response.body.links.next);
+  t.same(
+    response.body.tasks.map((task) => task.title),
+    ["Review docs"]
+  );
+  t.equal(response.body.links.next, null);
+  t.ok(response.body.links.prev);
+
+  response = await server.get("/task-management/v1/tasks?q=nothing-matches");
+  t.equal(response.status, 200);
+  t.same(response.body.tasks, []);
+  t.equal(response.body.total, 0);
+
+  for (const query of ["completed=yes", "sort=owner", "limit=0", "offset=-1"]) {
+    response = await server.get(`/task-management/v1/tasks?${query}`);
+    t.equal(response.status, 400, query);
+  }
   t.end();
 });
 
@@ -89,6 +191,89 @@ tap.test("PUT /tasks/:id with invalid data", async (t) => {
   t.end();
 });
 
+tap.test("PATCH /tasks/:id with a JSON Merge Patch", async (t) => {
+  const response = await server
+    .patch("/task-management/v1/tasks/1")
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ completed: false }));
+  t.equal(response.status, 200);
+  t.match(response.body, {
+    id: 1,
+    title: "Updated Task",
+    description: "Updated Task Description",
+    completed: false,
+  });
+  t.end();
+});
+
+tap.test("PATCH /tasks/:id with a JSON Patch", async (t) => {
+  const response = await server
+    .patch("/task-management/v1/tasks/1")
+    .set("Content-Type", "application/json-patch+json")
+    .send(
+      JSON.stringify([
+        { op: "test", path: "/completed", value: false },
+        { op: "replace", path: "/completed", value: true },
+        { op: "copy", from: "/title", path: "/description" },
+      ])
+    );
+  t.equal(response.status, 200);
+  t.match(response.body, {
+    id: 1,
+    description: "Updated Task",
+    completed: true,
+  });
+  t.end();
+});
+
+tap.test("PATCH /tasks/:id with a failing JSON Patch test", async (t) => {
+  const response = await server
+    .patch("/task-management/v1/tasks/1")
+    .set("Content-Type", "application/json-patch+json")
+    .send(
+      JSON.stringify([
+        { op: "test", path: "/completed", value: false },
+        { op: "replace", path: "/completed", value: false },
+      ])
+    );
+  t.equal(response.status, 409);
+  const task = await server.get("/task-management/v1/tasks/1");
+  t.equal(task.body.completed, true);
+  t.end();
+});
+
+tap.test("PATCH /tasks/:id validates the patched task", async (t) => {
+  let response = await server
+    .patch("/task-management/v1/tasks/1")
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ title: null }));
+  t.equal(response.status, 400);
+
+  response = await server
+    .patch("/task-management/v1/tasks/1")
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ id: 42 }));
+  t.equal(response.status, 400);
+
+  response = await server
+    .patch("/task-management/v1/tasks/1")
+    .set("Content-Type", "application/json-patch+json")
+    .send(JSON.stringify([{ op: "remove", path: "/missing" }]));
+  t.equal(response.status, 400);
+
+  response = await server
+    .patch("/task-management/v1/tasks/1")
+    .send({ completed: false });
+  t.equal(response.status, 415);
+
+  response = await server
+    .patch("/task-management/v1/tasks/999")
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ completed: false }));
+  t.equal(response.status, 404);
+  t.end();
+});
+
 tap.test("DELETE /tasks/:id", async (t) => {
   const response = await server.delete("/task-management/v1/tasks/1");
   t.equal(response.status, 200);
@@ -101,6 +286,2867 @@ tap.test("DELETE /tasks/:id with invalid id", async (t) => {
   t.end();
 });
 
+async function createTask(fields = {}) {
+  const response = await server.post("/task-management/v1/tasks").send({
+    title: "Task",
+    description: "Task description",
+    completed: false,
+    ...fields,
+  });
+  return response.body;
+}
+
+tap.test("subtasks roll up progress to their parents", async (t) => {
+  const parent = await createTask({ title: "Quarterly release" });
+  const child = await createTask({ parentId: parent.id });
+  const done = await createTask({ parentId: parent.id, completed: true });
+  await createTask({ parentId: child.id, completed: true });
+  await createTask({ parentId: child.id });
+
+  let response = await server.get(
+    `/task-management/v1/tasks/${parent.id}/subtasks`
+  );
+  t.equal(response.status, 200);
+  t.same(
+    response.body.map((task) => task.id),
+    [child.id, done.id]
+  );
+  t.equal(response.body[0].progress, 50);
+
+  response = await server.get(`/task-management/v1/tasks/${parent.id}`);
+  t.equal(response.body.progress, 67);
+
+  response = await server.get(
+    "/task-management/v1/tasks?view=tree&q=quarterly"
+  );
+  t.equal(response.body.total, 1);
+  const tree = response.body.tasks[0];
+  t.equal(tree.id, parent.id);
+  t.same(
+    tree.subtasks.map((task) => task.subtasks.length),
+    [2, 0]
+  );
+
+  response = await server.get("/task-management/v1/tasks/999/subtasks");
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test(
+  "parentId must reference an existing task without cycles",
+  async (t) => {
+    const parent = await createTask();
+    const child = await createTask({ parentId: parent.id });
+
+    let response = await server
+      .post("/task-management/v1/tasks")
+      .send({ title: "a", description: "b", completed: false, parentId: 999 });
+    t.equal(response.status, 400);
+    t.equal(response.body.errors[0].code, "notFound");
+
+    response = await server.put(`/task-management/v1/tasks/${parent.id}`).send({
+      title: "a",
+      description: "b",
+      completed: false,
+      parentId: child.id,
+    });
+    t.equal(response.status, 400);
+    t.equal(response.body.errors[0].code, "cycle");
+    t.end();
+  }
+);
+
+tap.test(
+  "completing a parent with cascade=true completes its subtasks",
+  async (t) => {
+    const parent = await createTask();
+    const child = await createTask({ parentId: parent.id });
+    const grandchild = await createTask({ parentId: child.id });
+
+    let response = await server
+      .patch(`/task-management/v1/tasks/${parent.id}?cascade=true`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ completed: true, progress: 0 }));
+    t.equal(response.status, 200);
+    t.equal(response.body.progress, 100);
+
+    response = await server.get(`/task-management/v1/tasks/${grandchild.id}`);
+    t.equal(response.body.completed, true);
+    t.end();
+  }
+);
+
+tap.test("deleting a parent is rejected unless cascade=true", async (t) => {
+  const parent = await createTask();
+  const child = await createTask({ parentId: parent.id });
+  const grandchild = await createTask({ parentId: child.id });
+
+  let response = await server.delete(`/task-management/v1/tasks/${parent.id}`);
+  t.equal(response.status, 409);
+
+  response = await server.delete(
+    `/task-management/v1/tasks/${parent.id}?cascade=true`
+  );
+  t.equal(response.status, 200);
+  t.same(
+    response.body.map((task) => task.id),
+    [parent.id, child.id, grandchild.id]
+  );
+
+  response = await server.get(`/task-management/v1/tasks/${grandchild.id}`);
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test(
+  "blockedBy marks tasks as blocked and prevents completing them",
+  async (t) => {
+    const design = await createTask({ title: "Design" });
+    const build = await createTask({ title: "Build", blockedBy: [design.id] });
+    t.equal(build.blocked, true);
+
+    let response = await server
+      .patch(`/task-management/v1/tasks/${build.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ completed: true }));
+    t.equal(response.status, 400);
+    t.equal(response.body.errors[0].code, "blocked");
+
+    await server
+      .patch(`/task-management/v1/tasks/${design.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ completed: true }));
+    response = await server.get(`/task-management/v1/tasks/${build.id}`);
+    t.equal(response.body.blocked, false);
+    t.end();
+  }
+);
+
+tap.test("blockedBy rejects missing tasks and cycles", async (t) => {
+  const first = await createTask();
+  const second = await createTask({ blockedBy: [first.id] });
+  const third = await createTask({ blockedBy: [second.id] });
+
+  let response = await server
+    .post("/task-management/v1/tasks")
+    .send({ title: "a", description: "b", completed: false, blockedBy: [999] });
+  t.equal(response.status, 400);
+  t.equal(response.body.errors[0].code, "notFound");
+
+  response = await server
+    .patch(`/task-management/v1/tasks/${first.id}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ blockedBy: [third.id] }));
+  t.equal(response.status, 400);
+  t.same(response.body.errors[0], {
+    field: "blockedBy[0]",
+    code: "cycle",
+    message: `Task ${third.id} already depends on this task.`,
+  });
+
+  response = await server
+    .patch(`/task-management/v1/tasks/${first.id}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ blockedBy: [first.id] }));
+  t.equal(response.status, 400);
+  t.end();
+});
+
+tap.test(
+  "GET /tasks/:id/dependencies returns the graph and next tasks",
+  async (t) => {
+    const schema = await createTask({ title: "Schema" });
+    const api = await createTask({ title: "API", blockedBy: [schema.id] });
+    const ui = await createTask({ title: "UI", blockedBy: [schema.id] });
+    const launch = await createTask({
+      title: "Launch",
+      blockedBy: [ui.id, api.id],
+    });
+
+    let response = await server.get(
+      `/task-management/v1/tasks/${launch.id}/dependencies`
+    );
+    t.equal(response.status, 200);
+    t.same(
+      response.body.tasks.map((task) => task.id),
+      [schema.id, api.id, ui.id, launch.id]
+    );
+    t.same(response.body.edges, [
+      { from: schema.id, to: api.id },
+      { from: schema.id, to: ui.id },
+      { from: api.id, to: launch.id },
+      { from: ui.id, to: launch.id },
+    ]);
+    t.same(response.body.next, [schema.id]);
+
+    await server.delete(`/task-management/v1/tasks/${schema.id}`);
+    response = await server.get(
+      `/task-management/v1/tasks/${launch.id}/dependencies`
+    );
+    t.same(response.body.next, [api.id, ui.id]);
+
+    response = await server.get("/task-management/v1/tasks/999/dependencies");
+    t.equal(response.status, 404);
+    t.end();
+  }
+);
+
+tap.test("POST /tasks/bulk applies every operation", async (t) => {
+  const existing = await createTask({ title: "Existing" });
+  const obsolete = await createTask({ title: "Obsolete" });
+
+  const response = await server.post("/task-management/v1/tasks/bulk").send([
+    {
+      op: "create",
+      task: { title: "Bulk", description: "Created in bulk", completed: false },
+    },
+    {
+      op: "update",
+      id: existing.id,
+      task: { title: "Renamed", description: "Updated", completed: true },
+    },
+    { op: "delete", id: obsolete.id },
+  ]);
+  t.equal(response.status, 200);
+  t.equal(response.body.applied, true);
+  t.same(
+    response.body.results.map(({ op, status }) => ({ op, status })),
+    [
+      { op: "create", status: 201 },
+      { op: "update", status: 200 },
+      { op: "delete", status: 200 },
+    ]
+  );
+  const created = response.body.results[0].task;
+
+  t.equal(
+    (await server.get(`/task-management/v1/tasks/${created.id}`)).status,
+    200
+  );
+  t.equal(
+    (await server.get(`/task-management/v1/tasks/${existing.id}`)).body.title,
+    "Renamed"
+  );
+  t.equal(
+    (await server.get(`/task-management/v1/tasks/${obsolete.id}`)).status,
+    404
+  );
+  t.end();
+});
+
+tap.test(
+  "POST /tasks/bulk applies nothing when one operation fails",
+  async (t) => {
+    const existing = await createTask({ title: "Untouched" });
+    const before = await server.get("/task-management/v1/tasks?limit=1");
+
+    let response = await server.post("/task-management/v1/tasks/bulk").send([
+      { op: "delete", id: existing.id },
+      { op: "create", task: { title: "Missing fields" } },
+      {
+        op: "update",
+        id: 999,
+        task: { title: "a", description: "b", completed: false },
+      },
+      { op: "archive", id: existing.id },
+    ]);
+    t.equal(response.status, 400);
+    t.equal(response.body.applied, false);
+    t.same(
+      response.body.results.map((result) => result.status),
+      [424, 400, 404, 400]
+    );
+    t.equal(response.body.results[1].errors[0].field, "description");
+
+    response = await server.get(`/task-management/v1/tasks/${existing.id}`);
+    t.equal(response.status, 200);
+    const after = await server.get("/task-management/v1/tasks?limit=1");
+    t.equal(after.body.total, before.body.total);
+
+    response = await server.post("/task-management/v1/tasks/bulk").send([]);
+    t.equal(response.status, 400);
+    t.end();
+  }
+);
+
+tap.test("DELETE /tasks/:id moves tasks to the trash", async (t) => {
+  const parent = await createTask({ title: "Trashed parent" });
+  const child = await createTask({ parentId: parent.id });
+
+  let response = await server.delete(
+    `/task-management/v1/tasks/${parent.id}?cascade=true`
+  );
+  t.equal(response.status, 200);
+  t.type(response.body[0].deletedAt, "string");
+
+  response = await server.get("/task-management/v1/tasks/trash");
+  t.equal(response.status, 200);
+  const trashedIds = response.body.map((task) => task.id);
+  t.ok(trashedIds.includes(parent.id));
+  t.ok(trashedIds.includes(child.id));
+
+  const created = await createTask();
+  t.ok(created.id > child.id, "ids of trashed tasks are not reused");
+
+  response = await server.post(`/task-management/v1/tasks/${child.id}/restore`);
+  t.equal(response.status, 409);
+
+  response = await server.post(
+    `/task-management/v1/tasks/${parent.id}/restore`
+  );
+  t.equal(response.status, 200);
+  t.same(
+    response.body.map((task) => task.id),
+    [parent.id, child.id]
+  );
+  t.notOk(response.body[0].deletedAt);
+
+  response = await server.get(`/task-management/v1/tasks/${child.id}`);
+  t.equal(response.status, 200);
+
+  response = await server.post("/task-management/v1/tasks/999/restore");
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test(
+  "DELETE /tasks/trash purges tasks past the retention period",
+  async (t) => {
+    const task = await createTask({ title: "Purged" });
+    await server.delete(`/task-management/v1/tasks/${task.id}`);
+
+    let response = await server.delete("/task-management/v1/tasks/trash");
+    t.equal(response.status, 200);
+    t.same(response.body, []);
+
+    process.env.TRASH_RETENTION_DAYS = "0";
+    t.teardown(() => delete process.env.TRASH_RETENTION_DAYS);
+    response = await server.delete("/task-management/v1/tasks/trash");
+    t.equal(response.status, 200);
+    t.ok(response.body.some((purged) => purged.id === task.id));
+
+    response = await server.get("/task-management/v1/tasks/trash");
+    t.same(response.body, []);
+
+    // The id of a purged task is not given to a new one, so a write meant
+    // for the purged task cannot reach it.
+    const created = await createTask({ title: "After the purge" });
+    t.equal(created.id, task.id + 1);
+    response = await server
+      .put(`/task-management/v1/tasks/${task.id}`)
+      .set("If-Match", '"1"')
+      .send({ title: "Stale", description: "Stale", completed: false });
+    t.equal(response.status, 404);
+    t.end();
+  }
+);
+
+tap.test("tags are validated and can be filtered on", async (t) => {
+  const both = await createTask({ tags: ["infra", "urgent"] });
+  const infra = await createTask({ tags: ["infra"] });
+  await createTask({ tags: ["docs"] });
+
+  let response = await server.get(
+    "/task-management/v1/tasks?tag=infra&tag=urgent&tagMatch=all"
+  );
+  t.same(
+    response.body.tasks.map((task) => task.id),
+    [both.id]
+  );
+
+  response = await server.get("/task-management/v1/tasks?tag=infra&tag=urgent");
+  t.same(
+    response.body.tasks.map((task) => task.id),
+    [both.id, infra.id]
+  );
+
+  response = await server.get("/task-management/v1/tasks?tagMatch=some");
+  t.equal(response.status, 400);
+
+  response = await server.post("/task-management/v1/tasks").send({
+    title: "a",
+    description: "b",
+    completed: false,
+    tags: ["Has Space", "ok", "ok"],
+  });
+  t.equal(response.status, 400);
+  t.same(
+    response.body.errors.map(({ field, code }) => ({ field, code })),
+    [
+      { field: "tags", code: "uniqueItems" },
+      { field: "tags[0]", code: "pattern" },
+    ]
+  );
+  t.end();
+});
+
+tap.test("/tags lists, renames and merges tags", async (t) => {
+  const first = await createTask({ tags: ["frontend", "bug"] });
+  const second = await createTask({ tags: ["ui", "bug"] });
+
+  let response = await server.get("/task-management/v1/tags");
+  t.equal(response.status, 200);
+  t.match(response.body, [{ tag: "bug" }]);
+  t.same(
+    response.body.find((entry) => entry.tag === "bug"),
+    { tag: "bug", count: 2 }
+  );
+
+  response = await server
+    .post("/task-management/v1/tags/frontend/rename")
+    .send({ name: "ui" });
+  t.equal(response.status, 409);
+
+  response = await server
+    .post("/task-management/v1/tags/frontend/rename")
+    .send({ name: "web" });
+  t.equal(response.status, 200);
+  t.same(response.body, { tag: "web", count: 1 });
+
+  response = await server
+    .post("/task-management/v1/tags/web/merge")
+    .send({ into: "ui" });
+  t.equal(response.status, 200);
+  t.same(response.body, { tag: "ui", count: 2 });
+  response = await server.get(`/task-management/v1/tasks/${first.id}`);
+  t.same(response.body.tags, ["ui", "bug"]);
+  response = await server.get(`/task-management/v1/tasks/${second.id}`);
+  t.same(response.body.tags, ["ui", "bug"]);
+
+  response = await server
+    .post("/task-management/v1/tags/unused/merge")
+    .send({ into: "ui" });
+  t.equal(response.status, 404);
+
+  // Renaming a tag to itself changes no task.
+  const events = [];
+  const listener = (event) => events.push([event.type, event.task.id]);
+  taskEvents.on("event", listener);
+  t.teardown(() => taskEvents.off("event", listener));
+  response = await server
+    .post("/task-management/v1/tags/bug/rename")
+    .send({ name: "bug" });
+  t.equal(response.status, 200);
+  t.same(response.body, { tag: "bug", count: 2 });
+  response = await server.get(`/task-management/v1/tasks/${first.id}`);
+  t.equal(response.body.version, 3);
+  t.same(events, []);
+
+  // Trashed tasks get the new name without a new version or an event.
+  const trashed = await createTask({ tags: ["bug"] });
+  await server.delete(`/task-management/v1/tasks/${trashed.id}`);
+  const findTrashed = async () =>
+    (await server.get("/task-management/v1/tasks/trash")).body.find(
+      (task) => task.id === trashed.id
+    );
+  const { version } = await findTrashed();
+  events.length = 0;
+  response = await server
+    .post("/task-management/v1/tags/bug/rename")
+    .send({ name: "defect" });
+  t.same(response.body, { tag: "defect", count: 2 });
+  t.match(await findTrashed(), { tags: ["defect"], version });
+  t.same(events, [
+    ["task.updated", first.id],
+    ["task.updated", second.id],
+  ]);
+
+  response = await server
+    .post("/task-management/v1/tags/defect/rename")
+    .send({ name: "Not Valid" });
+  t.equal(response.status, 400);
+  t.equal(response.body.errors[0].field, "name");
+  t.end();
+});
+
+tap.test(
+  "completing a recurring task schedules its next occurrence",
+  async (t) => {
+    let response = await server.post("/task-management/v1/tasks").send({
+      title: "a",
+      description: "b",
+      completed: false,
+      recurrence: "FREQ=DAILY",
+    });
+    t.equal(response.status, 400);
+    t.match(response.body.errors, [{ field: "dueDate", code: "required" }]);
+
+    response = await server.post("/task-management/v1/tasks").send({
+      title: "a",
+      description: "b",
+      completed: false,
+      dueDate: "2024-02-30",
+      recurrence: "FREQ=HOURLY",
+    });
+    t.equal(response.status, 400);
+    t.same(
+      response.body.errors.map(({ field, code }) => ({ field, code })),
+      [
+        { field: "dueDate", code: "format" },
+        { field: "recurrence", code: "format" },
+      ]
+    );
+
+    const task = await createTask({
+      title: "Water plants",
+      dueDate: "2024-05-06",
+      recurrence: "FREQ=WEEKLY;BYDAY=MO,TH",
+      tags: ["home"],
+    });
+    response = await server
+      .patch(`/task-management/v1/tasks/${task.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send({ completed: true });
+    t.equal(response.status, 200);
+    t.equal(response.body.recurrence, undefined);
+
+    response = await server.get(
+      "/task-management/v1/tasks?q=water%20plants&completed=false"
+    );
+    t.equal(response.body.total, 1);
+    const next = response.body.tasks[0];
+    t.not(next.id, task.id);
+    t.match(next, {
+      title: "Water plants",
+      completed: false,
+      dueDate: "2024-05-09",
+      recurrence: "FREQ=WEEKLY;BYDAY=MO,TH",
+      tags: ["home"],
+    });
+
+    response = await server
+      .patch(`/task-management/v1/tasks/${task.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send({ title: "Water the plants" });
+    t.equal(response.status, 200);
+    response = await server.get(
+      "/task-management/v1/tasks?q=water&completed=false"
+    );
+    t.equal(response.body.total, 1);
+    t.end();
+  }
+);
+
+tap.test(
+  "/tasks/overdue and /tasks/upcoming list tasks by due date",
+  async (t) => {
+    const day = 24 * 60 * 60 * 1000;
+    const dateIn = (days) =>
+      new Date(Date.now() + days * day).toISOString().slice(0, 10);
+    const overdue = await createTask({ dueDate: dateIn(-2) });
+    const older = await createTask({ dueDate: dateIn(-5) });
+    await createTask({ dueDate: dateIn(-3), completed: true });
+    const soon = await createTask({ dueDate: dateIn(3) });
+    const later = await createTask({ dueDate: dateIn(20) });
+
+    let response = await server.get("/task-management/v1/tasks/overdue");
+    t.equal(response.status, 200);
+    const overdueIds = response.body.map((task) => task.id);
+    t.same(
+      overdueIds.filter((id) => [overdue.id, older.id].includes(id)),
+      [older.id, overdue.id]
+    );
+    t.notOk(overdueIds.includes(soon.id));
+
+    response = await server.get("/task-management/v1/tasks/upcoming");
+    t.equal(response.status, 200);
+    let upcomingIds = response.body.map((task) => task.id);
+    t.ok(upcomingIds.includes(soon.id));
+    t.notOk(upcomingIds.includes(later.id));
+    t.notOk(upcomingIds.includes(overdue.id));
+
+    response = await server.get("/task-management/v1/tasks/upcoming?days=30");
+    upcomingIds = response.body.map((task) => task.id);
+    t.ok(upcomingIds.includes(later.id));
+
+    response = await server.get("/task-management/v1/tasks/upcoming?days=0");
+    t.equal(response.status, 400);
+
+    response = await server.get(
+      "/task-management/v1/tasks?sort=dueDate&q=task%20description&limit=100"
+    );
+    const dated = response.body.tasks.filter((task) => task.dueDate);
+    t.same(
+      dated.map((task) => task.dueDate),
+      [...dated.map((task) => task.dueDate)].sort()
+    );
+    t.ok(
+      response.body.tasks[response.body.tasks.length - 1].dueDate === undefined
+    );
+    t.end();
+  }
+);
+
+tap.test("task versions are exposed as ETags", async (t) => {
+  const task = await createTask({ title: "Versioned" });
+  t.equal(task.version, 1);
+
+  let response = await server.get(`/task-management/v1/tasks/${task.id}`);
+  t.equal(response.headers.etag, '"1"');
+
+  response = await server
+    .get(`/task-management/v1/tasks/${task.id}`)
+    .set("If-None-Match", '"1"');
+  t.equal(response.status, 304);
+
+  const update = {
+    title: "Versioned",
+    description: "Task description",
+    completed: true,
+  };
+  response = await server
+    .put(`/task-management/v1/tasks/${task.id}`)
+    .set("If-Match", '"1"')
+    .send(update);
+  t.equal(response.status, 200);
+  t.equal(response.headers.etag, '"2"');
+  t.equal(response.body.version, 2);
+
+  response = await server
+    .put(`/task-management/v1/tasks/${task.id}`)
+    .set("If-Match", '"1"')
+    .send(update);
+  t.equal(response.status, 412);
+  t.equal(response.text, RESPONSE_MESSAGES.TASK_VERSION_MISMATCH(task.id));
+
+  response = await server
+    .patch(`/task-management/v1/tasks/${task.id}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .set("If-Match", 'W/"2"')
+    .send({ completed: false });
+  t.equal(response.status, 412);
+
+  response = await server
+    .get(`/task-management/v1/tasks/${task.id}`)
+    .set("If-None-Match", '"1"');
+  t.equal(response.status, 200);
+
+  response = await server
+    .delete(`/task-management/v1/tasks/${task.id}`)
+    .set("If-Match", '"7"');
+  t.equal(response.status, 412);
+  response = await server
+    .delete(`/task-management/v1/tasks/${task.id}`)
+    .set("If-Match", '"1", "2"');
+  t.equal(response.status, 200);
+
+  response = await server
+    .put(`/task-management/v1/tasks/${task.id}`)
+    .set("If-Match", '"2"')
+    .send(update);
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test("If-None-Match returns 304 for an unchanged task list", async (t) => {
+  let response = await server.get("/task-management/v1/tasks");
+  const etag = response.headers.etag;
+  t.ok(etag);
+
+  response = await server
+    .get("/task-management/v1/tasks")
+    .set("If-None-Match", etag);
+  t.equal(response.status, 304);
+
+  await createTask({ title: "Changes the list" });
+  response = await server
+    .get("/task-management/v1/tasks")
+    .set("If-None-Match", etag);
+  t.equal(response.status, 200);
+  t.end();
+});
+
+tap.test("task changes are recorded and can be reverted", async (t) => {
+  const task = await createTask({ title: "Draft" });
+  const child = await createTask({ parentId: task.id });
+  let response = await server
+    .put(`/task-management/v1/tasks/${task.id}?cascade=true`)
+    .send({ title: "Final", description: "Task description", completed: true });
+  t.equal(response.status, 200);
+
+  response = await server.get(`/task-management/v1/tasks/${task.id}/history`);
+  t.equal(response.status, 200);
+  t.match(response.body, [
+    { taskId: task.id, version: 1, operation: "create", before: null },
+    {
+      taskId: task.id,
+      version: 2,
+      operation: "update",
+      before: { title: "Draft", completed: false },
+      after: { title: "Final", completed: true },
+    },
+  ]);
+  t.ok(response.body.every((entry) => !isNaN(Date.parse(entry.timestamp))));
+
+  response = await server.get(`/task-management/v1/tasks/${child.id}/history`);
+  t.same(
+    response.body.map((entry) => [entry.operation, entry.after.completed]),
+    [
+      ["create", false],
+      ["update", true],
+    ]
+  );
+
+  response = await server
+    .post(`/task-management/v1/tasks/${task.id}/revert/1`)
+    .set("If-Match", '"1"');
+  t.equal(response.status, 412);
+  response = await server.post(`/task-management/v1/tasks/${task.id}/revert/1`);
+  t.equal(response.status, 200);
+  t.match(response.body, { title: "Draft", completed: false, version: 3 });
+  t.equal(response.headers.etag, '"3"');
+
+  response = await server.post(`/task-management/v1/tasks/${task.id}/revert/9`);
+  t.equal(response.status, 404);
+
+  response = await server.delete(
+    `/task-management/v1/tasks/${task.id}?cascade=true`
+  );
+  t.equal(response.status, 200);
+  response = await server.get(`/task-management/v1/tasks/${task.id}/history`);
+  t.match(response.body[response.body.length - 1], {
+    operation: "delete",
+    version: 3,
+    before: { title: "Draft" },
+    after: null,
+  });
+  response = await server.post(`/task-management/v1/tasks/${task.id}/revert/2`);
+  t.equal(response.status, 404);
+
+  response = await server.get("/task-management/v1/tasks/99999/history");
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test("GET /tasks/export returns JSON and CSV", async (t) => {
+  const task = await createTask({
+    title: "Export me, please",
+    tags: ["io", "csv"],
+  });
+
+  let response = await server.get("/task-management/v1/tasks/export");
+  t.equal(response.status, 200);
+  t.match(response.headers["content-disposition"], /tasks\.json/);
+  const exported = response.body.tasks.find((entry) => entry.id === task.id);
+  t.same(exported, {
+    id: task.id,
+    title: "Export me, please",
+    description: "Task description",
+    completed: false,
+    status: "todo",
+    tags: ["io", "csv"],
+  });
+
+  response = await server.get("/task-management/v1/tasks/export?format=csv");
+  t.equal(response.status, 200);
+  t.match(response.headers["content-type"], /^text\/csv/);
+  const lines = response.text.split("\r\n");
+  t.equal(
+    lines[0],
+    "id,title,description,completed,status,parentId,blockedBy,dueDate,recurrence,tags,estimateHours,priority"
+  );
+  t.ok(
+    lines.includes(
+      `${task.id},"Export me, please",Task description,false,todo,,,,,io;csv,,`
+    )
+  );
+
+  response = await server.get("/task-management/v1/tasks/export?format=xml");
+  t.equal(response.status, 400);
+  t.end();
+});
+
+tap.test("POST /tasks/import reads CSV with mapped headers", async (t) => {
+  const csv = [
+    "Name,Notes,Done,Labels,Owner",
+    "Imported one,First row,false,io;weekly,sam",
+    '"Imported, two",Second row,TRUE,,kim',
+  ].join("\n");
+  const mapping = [
+    "map[Name]=title",
+    "map[Notes]=description",
+    "map[Done]=completed",
+    "map[Labels]=tags",
+    "map[Owner]=",
+  ].join("&");
+
+  let response = await server
+    .post(`/task-management/v1/tasks/import?dryRun=true&${mapping}`)
+    .set("Content-Type", "text/csv")
+    .send(csv);
+  t.equal(response.status, 200);
+  t.match(response.body, { dryRun: true, total: 2, imported: 0, failures: [] });
+  response = await server.get("/task-management/v1/tasks?q=imported");
+  t.equal(response.body.total, 0);
+
+  response = await server
+    .post(`/task-management/v1/tasks/import?${mapping}`)
+    .set("Content-Type", "text/csv")
+    .send(csv);
+  t.equal(response.status, 201);
+  t.equal(response.body.imported, 2);
+  t.match(response.body.tasks, [
+    { title: "Imported one", completed: false, tags: ["io", "weekly"] },
+    { title: "Imported, two", completed: true },
+  ]);
+  response = await server.get("/task-management/v1/tasks?q=imported");
+  t.equal(response.body.total, 2);
+
+  response = await server
+    .post("/task-management/v1/tasks/import")
+    .set("Content-Type", "text/csv")
+    .send("Name,description,completed\nx,y,false");
+  t.equal(response.status, 400);
+  t.match(response.text, /"Name"/);
+  t.end();
+});
+
+tap.test("POST /tasks/import reports the rows that would fail", async (t) => {
+  const csv = [
+    "id,title,description,completed",
+    "41,Valid row,ok,false",
+    "42,,missing title,false",
+    "43,Bad flag,desc,maybe",
+    "44,Too,many,cells,here",
+  ].join("\n");
+
+  let response = await server
+    .post("/task-management/v1/tasks/import?dryRun=true")
+    .set("Content-Type", "text/csv")
+    .send(csv);
+  t.equal(response.status, 200);
+  t.equal(response.body.total, 4);
+  t.same(
+    response.body.failures.map((failure) => failure.row),
+    [3, 4, 5]
+  );
+  t.match(response.body.failures[0].errors, [{ field: "title" }]);
+  t.match(response.body.failures[1].errors, [
+    { field: "completed", code: "type" },
+  ]);
+
+  response = await server
+    .post("/task-management/v1/tasks/import")
+    .set("Content-Type", "text/csv")
+    .send(csv);
+  t.equal(response.status, 400);
+  t.equal(response.body.imported, 0);
+  response = await server.get("/task-management/v1/tasks?q=valid%20row");
+  t.equal(response.body.total, 0);
+  t.end();
+});
+
+tap.test("POST /tasks/import reads the JSON export format", async (t) => {
+  let response = await server.post("/task-management/v1/tasks/import").send({
+    tasks: [
+      {
+        id: 1,
+        title: "From JSON",
+        description: "Imported",
+        completed: false,
+        version: 4,
+      },
+    ],
+  });
+  t.equal(response.status, 201);
+  t.equal(response.body.imported, 1);
+  t.not(response.body.tasks[0].id, 1);
+  t.equal(response.body.tasks[0].version, 1);
+
+  response = await server
+    .post("/task-management/v1/tasks/import")
+    .send({ tasks: ["not a task"] });
+  t.equal(response.status, 400);
+  t.same(response.body.failures, [
+    { row: 1, message: RESPONSE_MESSAGES.IMPORT_ROW_NOT_A_TASK(1) },
+  ]);
+
+  response = await server.post("/task-management/v1/tasks/import").send([]);
+  t.equal(response.status, 400);
+
+  response = await server
+    .post("/task-management/v1/tasks/import")
+    .set("Content-Type", "text/plain")
+    .send("title");
+  t.equal(response.status, 415);
+  t.end();
+});
+
+tap.test("POST /tasks/import links the imported tasks", async (t) => {
+  const parent = await createTask({ title: "Exported parent" });
+  const child = await createTask({
+    title: "Exported child",
+    parentId: parent.id,
+  });
+  const blocked = await createTask({
+    title: "Exported blocked",
+    blockedBy: [child.id],
+  });
+  let response = await server.get("/task-management/v1/tasks/export");
+  const exported = response.body.tasks.filter((task) =>
+    [parent.id, child.id, blocked.id].includes(task.id)
+  );
+
+  // The blocked task comes first, so it is created after its blocker.
+  response = await server
+    .post("/task-management/v1/tasks/import")
+    .send({ tasks: [exported[2], exported[1], exported[0]] });
+  t.equal(response.status, 201);
+  const [newParent, newChild, newBlocked] = response.body.tasks;
+  t.match(newParent, { title: "Exported parent" });
+  t.match(newChild, { title: "Exported child", parentId: newParent.id });
+  t.match(newBlocked, { title: "Exported blocked", blockedBy: [newChild.id] });
+  t.ok(newParent.id > blocked.id);
+
+  response = await server
+    .post("/task-management/v1/tasks/import")
+    .set("Content-Type", "text/csv")
+    .send(
+      [
+        "id,title,description,completed,parentId",
+        "1,Parent,From CSV,false,",
+        "2,Child,From CSV,false,1",
+        "2,Twin,From CSV,false,",
+        `3,Orphan,From CSV,false,${parent.id}`,
+      ].join("\n")
+    );
+  t.equal(response.status, 400);
+  t.same(response.body.failures, [
+    { row: 4, message: RESPONSE_MESSAGES.IMPORT_DUPLICATE_ID(4, 2) },
+    {
+      row: 5,
+      message: RESPONSE_MESSAGES.IMPORT_UNKNOWN_REFERENCE(
+        5,
+        "parentId",
+        parent.id
+      ),
+    },
+  ]);
+  t.end();
+});
+
+/**
+ * Opens the event stream on a fresh listener and collects what it sends.
+ * `waitFor(predicate)` resolves once the received text satisfies it.
+ */
+function openEventStream(headers = {}) {
+  return new Promise((resolve) => {
+    const listener = app.listen(0, () => {
+      const request = http.get(
+        {
+          port: listener.address().port,
+          path: "/task-management/v1/tasks/stream",
+          headers,
+        },
+        (response) => {
+          const stream = { response, text: "", waiters: [] };
+          response.setEncoding("utf8");
+          response.on("data", (chunk) => {
+            stream.text += chunk;
+            stream.waiters = stream.waiters.filter(({ predicate, done }) => {
+              if (predicate(stream.text)) {
+                done(stream.text);
+                return false;
+              }
+              return true;
+            });
+          });
+          stream.waitFor = (predicate) =>
+            new Promise((done) => {
+              if (predicate(stream.text)) {
+                return done(stream.text);
+              }
+              stream.waiters.push({ predicate, done });
+            });
+          stream.close = () => {
+            request.destroy();
+            listener.close();
+          };
+          resolve(stream);
+        }
+      );
+    });
+  });
+}
+
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter((block) => block.startsWith("id: "))
+    .map((block) => {
+      const [id, event, data] = block
+        .split("\n")
+        .map((line) => line.slice(line.indexOf(": ") + 2));
+      return { id, event, data: JSON.parse(data) };
+    });
+}
+
+tap.test("GET /tasks/stream pushes task events", async (t) => {
+  process.env.EVENT_HEARTBEAT_SECONDS = "0.05";
+  const stream = await openEventStream();
+  t.equal(stream.response.statusCode, 200);
+  t.match(stream.response.headers["content-type"], /^text\/event-stream/);
+
+  const task = await createTask({ title: "Streamed" });
+  await server
+    .put(`/task-management/v1/tasks/${task.id}`)
+    .send({ title: "Streamed", description: "Changed", completed: false });
+  await server.delete(`/task-management/v1/tasks/${task.id}`);
+  const text = await stream.waitFor(
+    (received) =>
+      received.includes("event: task.deleted") &&
+      received.includes(": heartbeat")
+  );
+  stream.close();
+  delete process.env.EVENT_HEARTBEAT_SECONDS;
+
+  const events = parseEvents(text);
+  t.same(
+    events.map((event) => event.event),
+    ["task.created", "task.updated", "task.deleted"]
+  );
+  t.match(events[1].data, {
+    type: "task.updated",
+    task: { id: task.id, description: "Changed", version: 2 },
+  });
+  t.equal(events[2].data.task.id, task.id);
+
+  const resumed = await openEventStream({ "Last-Event-ID": events[0].id });
+  const replayed = await resumed.waitFor((received) =>
+    received.includes("event: task.deleted")
+  );
+  resumed.close();
+  t.same(
+    parseEvents(replayed).map((event) => event.id),
+    [events[1].id, events[2].id]
+  );
+
+  const reset = await openEventStream({ "Last-Event-ID": "unknown-3" });
+  await reset.waitFor((received) => received.includes("event: reset"));
+  reset.close();
+  t.end();
+});
+
+/**
+ * Starts a local webhook receiver. `respond(request)` returns the status
+ * to answer with; every request is recorded with its raw body.
+ */
+function startReceiver(respond = () => 200) {
+  const receiver = { requests: [], waiters: [] };
+  receiver.server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const received = { headers: request.headers, body };
+      receiver.requests.push(received);
+      response.writeHead(respond(received)).end();
+      receiver.waiters = receiver.waiters.filter(({ count, done }) => {
+        if (receiver.requests.length >= count) {
+          done(receiver.requests);
+          return false;
+        }
+        return true;
+      });
+    });
+  });
+  receiver.waitFor = (count) =>
+    new Promise((done) => {
+      if (receiver.requests.length >= count) {
+        return done(receiver.requests);
+      }
+      receiver.waiters.push({ count, done });
+    });
+  return new Promise((resolve) =>
+    receiver.server.listen(0, () => {
+      receiver.url = `http://localhost:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    })
+  );
+}
+
+tap.test("webhooks receive signed task events", async (t) => {
+  const receiver = await startReceiver();
+  let response = await server
+    .post("/task-management/v1/webhooks")
+    .send({ url: receiver.url, events: ["task.updated"] });
+  t.equal(response.status, 201);
+  const webhook = response.body;
+  t.match(webhook, { id: Number, url: receiver.url, active: true });
+  t.equal(webhook.secret.length, 64);
+
+  response = await server.get(`/task-management/v1/webhooks/${webhook.id}`);
+  t.equal(response.body.secret, undefined);
+
+  const task = await createTask({ title: "Hooked" });
+  await server.put(`/task-management/v1/tasks/${task.id}`).send({
+    title: "Hooked",
+    description: "Task description",
+    completed: true,
+  });
+  const [request] = await receiver.waitFor(1);
+  t.equal(request.headers["x-webhook-event"], "task.updated");
+  const expected = crypto
+    .createHmac("sha256", webhook.secret)
+    .update(request.body)
+    .digest("hex");
+  t.equal(request.headers["x-webhook-signature"], `sha256=${expected}`);
+  t.match(JSON.parse(request.body), {
+    type: "task.updated",
+    task: { id: task.id, completed: true },
+  });
+
+  response = await server.get(
+    `/task-management/v1/webhooks/${webhook.id}/deliveries?status=succeeded`
+  );
+  t.equal(response.status, 200);
+  t.equal(response.body.total, 1);
+  t.match(response.body.deliveries[0], {
+    webhookId: webhook.id,
+    event: "task.updated",
+    status: "succeeded",
+    attempts: [{ statusCode: 200 }],
+  });
+
+  response = await server.delete(`/task-management/v1/webhooks/${webhook.id}`);
+  t.equal(response.status, 200);
+  receiver.server.close();
+  t.end();
+});
+
+tap.test("failed webhook deliveries are retried", async (t) => {
+  process.env.WEBHOOK_RETRY_BASE_MS = "10";
+  const receiver = await startReceiver(() =>
+    receiver.requests.length < 3 ? 500 : 204
+  );
+  let response = await server.post("/task-management/v1/webhooks").send({
+    url: receiver.url,
+    events: ["task.created"],
+    secret: "s".repeat(16),
+  });
+  const webhook = response.body;
+
+  await createTask({ title: "Retried" });
+  const requests = await receiver.waitFor(3);
+  t.same(
+    new Set(requests.map((request) => request.headers["x-webhook-delivery"]))
+      .size,
+    1
+  );
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  response = await server.get(
+    `/task-management/v1/webhooks/${webhook.id}/deliveries`
+  );
+  t.match(response.body.deliveries[0], {
+    status: "succeeded",
+    attempts: [{ statusCode: 500 }, { statusCode: 500 }, { statusCode: 204 }],
+  });
+
+  response = await server
+    .post("/task-management/v1/webhooks")
+    .send({ url: "ftp://example.com", events: ["task.done"] });
+  t.equal(response.status, 400);
+  t.same(
+    response.body.errors.map(({ field, code }) => ({ field, code })),
+    [
+      { field: "url", code: "format" },
+      { field: "events[0]", code: "enum" },
+    ]
+  );
+
+  await server.delete(`/task-management/v1/webhooks/${webhook.id}`);
+  response = await server.get(`/task-management/v1/webhooks/${webhook.id}`);
+  t.equal(response.status, 404);
+  receiver.server.close();
+  delete process.env.WEBHOOK_RETRY_BASE_MS;
+  t.end();
+});
+
+tap.test("removing a webhook cancels its pending retries", async (t) => {
+  process.env.WEBHOOK_RETRY_BASE_MS = "50";
+  t.teardown(() => delete process.env.WEBHOOK_RETRY_BASE_MS);
+  const failing = await startReceiver(() => 500);
+  const replacement = await startReceiver();
+  t.teardown(() => {
+    failing.server.close();
+    replacement.server.close();
+  });
+  let response = await server
+    .post("/task-management/v1/webhooks")
+    .send({ url: failing.url, events: ["task.created"] });
+  const removed = response.body;
+
+  await createTask({ title: "Never retried" });
+  await failing.waitFor(1);
+  await server.delete(`/task-management/v1/webhooks/${removed.id}`);
+  response = await server
+    .post("/task-management/v1/webhooks")
+    .send({ url: replacement.url, events: ["task.updated"] });
+  t.equal(response.body.id, removed.id + 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  t.equal(failing.requests.length, 1);
+  t.same(replacement.requests, []);
+  await server.delete(`/task-management/v1/webhooks/${response.body.id}`);
+  t.end();
+});
+
+tap.test("GET /openapi.json describes the task routes", async (t) => {
+  let response = await server.get("/task-management/openapi.json");
+  t.equal(response.status, 200);
+  t.equal(response.body.openapi, "3.1.0");
+  t.same(response.body.servers, [{ url: "/task-management" }]);
+  t.ok(response.body.paths["/v1/tasks/{id}"].patch);
+  const operationIds = Object.values(response.body.paths).flatMap((item) =>
+    Object.values(item)
+      .filter((operation) => operation.operationId)
+      .map((operation) => operation.operationId)
+  );
+  t.equal(new Set(operationIds).size, operationIds.length);
+
+  response = await server.get("/task-management/docs");
+  t.equal(response.status, 200);
+  t.match(response.headers["content-type"], /^text\/html/);
+  t.match(response.text, 'spec-url="openapi.json"');
+  t.match(response.text, /src="[^"]*redoc@\d+\.\d+\.\d+\//);
+  t.match(response.text, /integrity="sha384-[A-Za-z0-9+/]{64}"/);
+  t.end();
+});
+
+/**
+ * Sets OPENAPI_VALIDATION for the test, and restores it afterwards: the
+ * suite is also run with validation enabled for every test.
+ */
+function setOpenApiValidation(t, value) {
+  const previous = process.env.OPENAPI_VALIDATION;
+  process.env.OPENAPI_VALIDATION = value;
+  t.teardown(() => {
+    if (previous === undefined) {
+      delete process.env.OPENAPI_VALIDATION;
+    } else {
+      process.env.OPENAPI_VALIDATION = previous;
+    }
+  });
+}
+
+tap.test("requests are validated against the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+
+  let response = await server.get(
+    "/task-management/v1/tasks?limit=many&completed=yes&tag=a&tag="
+  );
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.OPENAPI_REQUEST_INVALID);
+  t.same(
+    response.body.errors.map(({ field, code }) => ({ field, code })),
+    [
+      { field: "query.completed", code: "type" },
+      { field: "query.limit", code: "type" },
+      { field: "query.tag[1]", code: "minLength" },
+    ]
+  );
+
+  response = await server.get("/task-management/v1/tasks/abc/subtasks");
+  t.equal(response.status, 400);
+  t.same(response.body.errors[0].field, "path.id");
+
+  // Bodies are left to the routes, which answer with their own errors.
+  response = await server
+    .post("/task-management/v1/tasks/bulk")
+    .send([{ op: "archive", id: 1 }]);
+  t.equal(response.status, 400);
+  t.equal(response.body.applied, false);
+  t.equal(response.body.results[0].status, 400);
+
+  // Requests the document allows reach the routes, and their responses pass.
+  response = await server
+    .post("/task-management/v1/tasks")
+    .send({ title: "Specified", description: "Documented", completed: false });
+  t.equal(response.status, 201);
+  const { id } = response.body;
+  response = await server
+    .patch(`/task-management/v1/tasks/${id}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .send({ tags: ["spec"] });
+  t.equal(response.status, 200);
+  response = await server.get(
+    "/task-management/v1/tasks?view=tree&tag=spec&limit=5"
+  );
+  t.equal(response.status, 200);
+  t.equal(response.body.total, 1);
+  response = await server.get("/task-management/v1/tasks/999999");
+  t.equal(response.status, 404);
+  response = await server.get("/task-management/v1/tasks/export?format=csv");
+  t.equal(response.status, 200);
+
+  // Routes the document does not describe are left alone.
+  response = await server.get("/task-management/v1/tags");
+  t.equal(response.status, 200);
+  t.end();
+});
+
+tap.test("responses the OpenAPI document does not describe fail", async (t) => {
+  const { OPENAPI_DOCUMENT } = require("../helpers/openapi");
+  const schema = OPENAPI_DOCUMENT.components.schemas.Task;
+  const required = schema.required;
+  schema.required = [...required, "owner"];
+  t.teardown(() => {
+    schema.required = required;
+  });
+  setOpenApiValidation(t, "false");
+
+  let response = await server
+    .post("/task-management/v1/tasks")
+    .send({ title: "Owned", description: "By nobody", completed: false });
+  const { id } = response.body;
+  process.env.OPENAPI_VALIDATION = "true";
+  response = await server.get(`/task-management/v1/tasks/${id}`);
+  t.equal(response.status, 500);
+  t.equal(response.body.message, RESPONSE_MESSAGES.OPENAPI_RESPONSE_INVALID);
+  t.same(response.body.errors, [
+    {
+      field: "owner",
+      code: "required",
+      message: '"owner" is required.',
+    },
+  ]);
+
+  process.env.OPENAPI_VALIDATION = "false";
+  response = await server.get(`/task-management/v1/tasks/${id}`);
+  t.equal(response.status, 200);
+  t.end();
+});
+
+tap.test(
+  "bodies the OpenAPI document does not allow must be rejected",
+  async (t) => {
+    const { OPENAPI_DOCUMENT } = require("../helpers/openapi");
+    const schema = OPENAPI_DOCUMENT.components.schemas.TaskInput;
+    const required = schema.required;
+    schema.required = [...required, "owner"];
+    t.teardown(() => {
+      schema.required = required;
+    });
+    setOpenApiValidation(t, "true");
+
+    const response = await server
+      .post("/task-management/v1/tasks")
+      .send({ title: "Owned", description: "By nobody", completed: false });
+    t.equal(response.status, 500);
+    t.equal(response.body.message, RESPONSE_MESSAGES.OPENAPI_REQUEST_ACCEPTED);
+    t.same(response.body.errors, [
+      {
+        field: "owner",
+        code: "required",
+        message: '"owner" is required.',
+      },
+    ]);
+    t.end();
+  }
+);
+
+tap.test("task lists can be created, renamed and deleted", async (t) => {
+  let response = await server.get("/task-management/v1/lists");
+  t.equal(response.status, 200);
+  t.match(response.body, [{ id: 1, name: "Default" }]);
+  t.equal(response.body.length, 1);
+
+  response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Errands" });
+  t.equal(response.status, 201);
+  t.same(response.body, { id: 2, name: "Errands", taskCount: 0 });
+
+  response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "errands" });
+  t.equal(response.status, 409);
+  t.equal(response.text, RESPONSE_MESSAGES.LIST_NAME_TAKEN("errands"));
+
+  response = await server
+    .post("/task-management/v1/lists")
+    .send({ id: 9, name: "" });
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.VALIDATION_FAILED_LIST);
+  t.same(
+    response.body.errors.map(({ field, code }) => ({ field, code })),
+    [
+      { field: "id", code: "readOnly" },
+      { field: "name", code: "minLength" },
+    ]
+  );
+
+  response = await server
+    .put("/task-management/v1/lists/2")
+    .send({ name: "Chores" });
+  t.equal(response.status, 200);
+  t.equal(response.body.name, "Chores");
+  response = await server.get("/task-management/v1/lists/2");
+  t.same(response.body, { id: 2, name: "Chores", taskCount: 0 });
+  response = await server.get("/task-management/v1/lists/99");
+  t.equal(response.status, 404);
+  t.equal(response.text, RESPONSE_MESSAGES.LIST_NOT_FOUND("99"));
+
+  await server
+    .post("/task-management/v1/lists/2/tasks")
+    .send({ title: "Laundry", description: "Darks", completed: false });
+  response = await server.delete("/task-management/v1/lists/2");
+  t.equal(response.status, 409);
+  t.equal(response.text, RESPONSE_MESSAGES.LIST_NOT_EMPTY("2"));
+  response = await server.delete("/task-management/v1/lists/2?cascade=true");
+  t.equal(response.status, 200);
+  t.same(response.body, { id: 2, name: "Chores", taskCount: 1 });
+  response = await server.get("/task-management/v1/lists/2/tasks");
+  t.equal(response.status, 404);
+
+  response = await server.delete("/task-management/v1/lists/1");
+  t.equal(response.status, 409);
+  t.equal(response.text, RESPONSE_MESSAGES.DEFAULT_LIST_NOT_DELETABLE);
+  t.end();
+});
+
+tap.test("each task list has its own tasks and ids", async (t) => {
+  let response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Garden" });
+  const listId = response.body.id;
+  const tasksUrl = `/task-management/v1/lists/${listId}/tasks`;
+
+  response = await server
+    .post(tasksUrl)
+    .send({ title: "Weed", description: "The beds", completed: false });
+  t.equal(response.status, 201);
+  t.match(response.body, { id: 1, version: 1, title: "Weed" });
+  t.equal(response.headers.etag, '"1"');
+  response = await server
+    .post(tasksUrl)
+    .send({ title: "Mow", description: "The lawn", completed: false });
+  t.equal(response.body.id, 2);
+
+  response = await server.get(`${tasksUrl}?sort=-title&limit=1`);
+  t.equal(response.body.total, 2);
+  t.equal(response.body.tasks[0].title, "Weed");
+  t.equal(response.body.links.next, `${tasksUrl}?sort=-title&limit=1&offset=1`);
+
+  response = await server.delete(`${tasksUrl}/2`);
+  t.equal(response.status, 200);
+  response = await server.get(`${tasksUrl}/trash`);
+  t.match(response.body, [{ id: 2, title: "Mow" }]);
+  response = await server.get(`${tasksUrl}/1/history`);
+  t.match(response.body, [{ taskId: 1, operation: "create" }]);
+
+  response = await server.get("/task-management/v1/tasks?q=weed");
+  t.equal(response.body.total, 0);
+  response = await server.get(`/task-management/v1/lists/${listId}`);
+  t.equal(response.body.taskCount, 1);
+
+  response = await server.get("/task-management/v1/lists/99/tasks/1");
+  t.equal(response.status, 404);
+  t.equal(response.text, RESPONSE_MESSAGES.LIST_NOT_FOUND("99"));
+
+  const stored = JSON.parse(fs.readFileSync(tasksFile, "utf8"));
+  t.same(Object.keys(stored.lists[0]), ["id", "name", "nextId"]);
+  t.match(
+    stored.lists.find((list) => list.id === listId),
+    {
+      name: "Garden",
+      nextId: 3,
+      tasks: [{ id: 1, title: "Weed" }],
+      trash: [{ id: 2, title: "Mow" }],
+    }
+  );
+  t.end();
+});
+
+tap.test("list ids are not reused and tags span the lists", async (t) => {
+  let response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Short-lived" });
+  const removed = response.body;
+  await server.delete(`/task-management/v1/lists/${removed.id}`);
+  response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Errands" });
+  const listId = response.body.id;
+  t.equal(listId, removed.id + 1);
+
+  response = await server
+    .post(`/task-management/v1/lists/${listId}/tasks`)
+    .send({
+      title: "Post",
+      description: "Letters",
+      completed: false,
+      tags: ["errand"],
+    });
+  const listed = response.body;
+  await createTask({ tags: ["errand"] });
+
+  response = await server.get("/task-management/v1/tags");
+  t.same(
+    response.body.find((entry) => entry.tag === "errand"),
+    { tag: "errand", count: 2 }
+  );
+  response = await server
+    .post("/task-management/v1/tags/errand/rename")
+    .send({ name: "chore" });
+  t.same(response.body, { tag: "chore", count: 2 });
+  response = await server.get(
+    `/task-management/v1/lists/${listId}/tasks/${listed.id}`
+  );
+  t.match(response.body, { tags: ["chore"], version: 2 });
+  t.end();
+});
+
+tap.test("POST /tasks/:id/move moves a task with its subtasks", async (t) => {
+  let response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Someday" });
+  const listId = response.body.id;
+  await server
+    .post(`/task-management/v1/lists/${listId}/tasks`)
+    .send({ title: "Already here", description: "First", completed: false });
+
+  const parent = await createTask({ title: "Trip" });
+  const child = await createTask({ title: "Book hotel", parentId: parent.id });
+  const trashed = await createTask({ title: "Old plan", parentId: parent.id });
+  await server.delete(`/task-management/v1/tasks/${trashed.id}`);
+  const grandchild = await createTask({
+    title: "Compare prices",
+    parentId: child.id,
+    blockedBy: [parent.id],
+  });
+  const waiting = await createTask({ title: "Unpack", blockedBy: [child.id] });
+
+  response = await server
+    .post(`/task-management/v1/tasks/${parent.id}/move`)
+    .set("If-Match", '"999"')
+    .send({ listId });
+  t.equal(response.status, 412);
+  response = await server
+    .post(`/task-management/v1/tasks/${parent.id}/move`)
+    .send({ listId: 999 });
+  t.equal(response.status, 400);
+  t.same(response.body.errors, [
+    { field: "listId", code: "notFound", message: "List 999 does not exist." },
+  ]);
+  response = await server
+    .post(`/task-management/v1/tasks/${parent.id}/move`)
+    .send({ listId: 1 });
+  t.equal(response.status, 400);
+
+  const events = [];
+  const listener = (event) => events.push(event);
+  taskEvents.on("event", listener);
+  response = await server
+    .post(`/task-management/v1/tasks/${parent.id}/move`)
+    .send({ listId });
+  taskEvents.off("event", listener);
+  t.equal(response.status, 200);
+  t.match(response.body, [
+    { id: 2, title: "Trip", version: 1, progress: 0 },
+    { id: 3, title: "Book hotel", parentId: 2 },
+    { id: 5, title: "Compare prices", parentId: 3, blockedBy: [2] },
+  ]);
+  t.equal(response.body[0].parentId, undefined);
+
+  const tasksUrl = `/task-management/v1/lists/${listId}/tasks`;
+  response = await server.get(`${tasksUrl}/trash`);
+  t.match(response.body, [{ id: 4, title: "Old plan", parentId: 2 }]);
+  for (const id of [parent.id, child.id, grandchild.id]) {
+    response = await server.get(`/task-management/v1/tasks/${id}`);
+    t.equal(response.status, 404);
+  }
+  response = await server.get(`/task-management/v1/tasks/${waiting.id}`);
+  t.same(response.body.blockedBy, []);
+  t.equal(response.body.version, 2);
+
+  t.same(
+    events.map(({ type, listId, task }) => [type, listId, task.title]),
+    [
+      ["task.created", listId, "Trip"],
+      ["task.created", listId, "Book hotel"],
+      ["task.created", listId, "Compare prices"],
+      ["task.deleted", 1, "Trip"],
+      ["task.deleted", 1, "Book hotel"],
+      ["task.deleted", 1, "Compare prices"],
+      ["task.updated", 1, "Unpack"],
+    ]
+  );
+  response = await server.get(`/task-management/v1/tasks/${parent.id}/history`);
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test("the list routes follow the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+  let response = await server.get("/task-management/v1/lists");
+  t.equal(response.status, 200);
+  response = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Specified" });
+  t.equal(response.status, 201);
+  const listId = response.body.id;
+  response = await server
+    .post(`/task-management/v1/lists/${listId}/tasks`)
+    .send({ title: "Listed", description: "Validated", completed: false });
+  t.equal(response.status, 201);
+  response = await server.get(`/task-management/v1/lists/${listId}/tasks`);
+  t.equal(response.status, 200);
+  response = await server.get("/task-management/v1/lists/0/tasks");
+  t.equal(response.status, 400);
+  t.equal(response.body.errors[0].field, "path.listId");
+  response = await server
+    .post(`/task-management/v1/lists/${listId}/tasks/1/move`)
+    .send({ listId: 1 });
+  t.equal(response.status, 200);
+  t.end();
+});
+
+tap.test(
+  "POST /tasks replays requests with the same Idempotency-Key",
+  async (t) => {
+    const events = [];
+    const listener = (event) => events.push(event);
+    taskEvents.on("event", listener);
+    t.teardown(() => taskEvents.off("event", listener));
+    const newTask = {
+      title: "Once",
+      description: "Only once",
+      completed: false,
+    };
+    const first = await server
+      .post("/task-management/v1/tasks")
+      .set("Idempotency-Key", "create-once")
+      .send(newTask);
+    t.equal(first.status, 201);
+    t.notOk(first.headers["idempotent-replayed"]);
+
+    const retry = await server
+      .post("/task-management/v1/tasks")
+      .set("Idempotency-Key", "create-once")
+      .send(newTask);
+    t.equal(retry.status, 201);
+    t.equal(retry.headers["idempotent-replayed"], "true");
+    t.equal(retry.headers.etag, first.headers.etag);
+    t.same(retry.body, first.body);
+    t.equal(events.length, 1);
+
+    let response = await server.get("/task-management/v1/tasks?q=Only%20once");
+    t.equal(response.body.total, 1);
+
+    response = await server
+      .post("/task-management/v1/tasks")
+      .set("Idempotency-Key", "create-once")
+      .send({ ...newTask, title: "Twice" });
+    t.equal(response.status, 422);
+    t.equal(response.text, RESPONSE_MESSAGES.IDEMPOTENCY_KEY_REUSED);
+
+    const list = await server
+      .post("/task-management/v1/lists")
+      .send({ name: "Idempotent" });
+    response = await server
+      .post(`/task-management/v1/lists/${list.body.id}/tasks`)
+      .set("Idempotency-Key", "create-once")
+      .send(newTask);
+    t.equal(response.status, 422);
+
+    response = await server
+      .post("/task-management/v1/tasks")
+      .set("Idempotency-Key", "x".repeat(256))
+      .send(newTask);
+    t.equal(response.status, 400);
+    t.equal(response.text, RESPONSE_MESSAGES.IDEMPOTENCY_KEY_INVALID(255));
+    t.end();
+  }
+);
+
+tap.test("POST /tasks replays validation failures too", async (t) => {
+  const invalid = { title: "" };
+  const first = await server
+    .post("/task-management/v1/tasks")
+    .set("Idempotency-Key", "invalid-create")
+    .send(invalid);
+  t.equal(first.status, 400);
+  const retry = await server
+    .post("/task-management/v1/tasks")
+    .set("Idempotency-Key", "invalid-create")
+    .send(invalid);
+  t.equal(retry.status, 400);
+  t.equal(retry.headers["idempotent-replayed"], "true");
+  t.same(retry.body, first.body);
+  t.end();
+});
+
+tap.test("idempotent creates follow the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+  const newTask = { title: "Specified", description: "Once", completed: false };
+  for (const status of [201, 201]) {
+    const response = await server
+      .post("/task-management/v1/tasks")
+      .set("Idempotency-Key", "specified-create")
+      .send(newTask);
+    t.equal(response.status, status);
+  }
+  const response = await server
+    .post("/task-management/v1/tasks")
+    .set("Idempotency-Key", "specified-create")
+    .send({ ...newTask, completed: true });
+  t.equal(response.status, 422);
+  t.end();
+});
+
+function graphql(query, variables) {
+  return server.post("/task-management/graphql").send({ query, variables });
+}
+
+tap.test("GraphQL creates, updates, toggles and deletes tasks", async (t) => {
+  let response = await graphql(
+    `
+      mutation ($input: TaskInput!) {
+        createTask(input: $input) {
+          id
+          title
+          completed
+          tags
+          version
+        }
+      }
+    `,
+    {
+      input: {
+        title: "Graph",
+        description: "Through GraphQL",
+        completed: false,
+        tags: ["graphql"],
+      },
+    }
+  );
+  t.equal(response.status, 200);
+  const created = response.body.data.createTask;
+  t.match(created, { title: "Graph", completed: false, tags: ["graphql"] });
+  t.same(Object.keys(created), ["id", "title", "completed", "tags", "version"]);
+
+  response = await server.get(`/task-management/v1/tasks/${created.id}`);
+  t.match(response.body, { title: "Graph", description: "Through GraphQL" });
+
+  // Several operations in one request run in order.
+  response = await graphql(
+    `
+      mutation ($id: Int!) {
+        renamed: updateTask(id: $id, input: { title: "Graphs", tags: null }) {
+          title
+          tags
+          version
+        }
+        toggled: toggleComplete(id: $id) {
+          completed
+          version
+        }
+        again: toggleComplete(id: $id) {
+          completed
+        }
+      }
+    `,
+    { id: created.id }
+  );
+  t.equal(response.status, 200);
+  t.same(response.body.data, {
+    renamed: { title: "Graphs", tags: null, version: 2 },
+    toggled: { completed: true, version: 3 },
+    again: { completed: false },
+  });
+
+  response = await graphql(
+    `
+      mutation ($id: Int!) {
+        deleteTask(id: $id) {
+          id
+          deletedAt
+        }
+      }
+    `,
+    { id: created.id }
+  );
+  t.equal(response.body.data.deleteTask[0].id, created.id);
+  t.ok(response.body.data.deleteTask[0].deletedAt);
+  response = await graphql(
+    `
+      query ($id: Int!) {
+        task(id: $id) {
+          id
+        }
+      }
+    `,
+    {
+      id: created.id,
+    }
+  );
+  t.same(response.body.data, { task: null });
+  t.end();
+});
+
+tap.test("GraphQL queries filter tasks and nest subtasks", async (t) => {
+  const list = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Graph queries" });
+  const tasksUrl = `/task-management/v1/lists/${list.body.id}/tasks`;
+  await server
+    .post(tasksUrl)
+    .send({ title: "Parent", description: "Top", completed: false });
+  await server.post(tasksUrl).send({
+    title: "Child",
+    description: "Nested",
+    completed: true,
+    parentId: 1,
+  });
+
+  let response = await graphql(
+    `
+      query ($listId: Int) {
+        task(id: 1, listId: $listId) {
+          title
+          progress
+          subtasks {
+            title
+            completed
+            subtasks {
+              id
+            }
+          }
+        }
+        done: tasks(listId: $listId, completed: true) {
+          total
+          tasks {
+            title
+          }
+        }
+        all: tasks(listId: $listId, sort: "-title", limit: 1) {
+          total
+          limit
+          offset
+          tasks {
+            title
+          }
+        }
+      }
+    `,
+    { listId: list.body.id }
+  );
+  t.equal(response.status, 200);
+  t.same(response.body.data, {
+    task: {
+      title: "Parent",
+      progress: 100,
+      subtasks: [{ title: "Child", completed: true, subtasks: [] }],
+    },
+    done: { total: 1, tasks: [{ title: "Child" }] },
+    all: { total: 2, limit: 1, offset: 0, tasks: [{ title: "Parent" }] },
+  });
+
+  response = await graphql(
+    `
+      {
+        tasks(sort: "owner") {
+          total
+        }
+      }
+    `
+  );
+  t.equal(response.status, 200);
+  t.equal(response.body.data, null);
+  t.equal(
+    response.body.errors[0].message,
+    RESPONSE_MESSAGES.INVALID_QUERY_PARAMETER("sort")
+  );
+  t.equal(response.body.errors[0].extensions.status, 400);
+
+  response = await graphql(
+    `
+      {
+        task(id: 1, listId: 999) {
+          id
+        }
+      }
+    `
+  );
+  t.equal(
+    response.body.errors[0].message,
+    RESPONSE_MESSAGES.LIST_NOT_FOUND(999)
+  );
+  t.equal(response.body.errors[0].extensions.status, 404);
+  t.end();
+});
+
+tap.test("GraphQL mutations use the task validation", async (t) => {
+  let response = await graphql(
+    `
+      mutation {
+        createTask(input: { title: "", completed: false }) {
+          id
+        }
+      }
+    `
+  );
+  t.equal(response.status, 200);
+  t.equal(response.body.data, null);
+  const [error] = response.body.errors;
+  t.equal(error.message, RESPONSE_MESSAGES.VALIDATION_FAILED_CREATE);
+  t.same(error.path, ["createTask"]);
+  t.equal(error.extensions.status, 400);
+  t.same(
+    error.extensions.errors.map(({ field, code }) => [field, code]),
+    [
+      ["description", "required"],
+      ["title", "minLength"],
+    ]
+  );
+
+  const task = await server
+    .post("/task-management/v1/tasks")
+    .send({ title: "Valid", description: "Stays valid", completed: false });
+  response = await graphql(
+    `
+      mutation ($id: Int!) {
+        updateTask(id: $id, input: { blockedBy: [$id] }) {
+          id
+        }
+      }
+    `,
+    { id: task.body.id }
+  );
+  t.equal(response.body.errors[0].extensions.status, 400);
+  t.match(response.body.errors[0].extensions.errors, [
+    { field: "blockedBy[0]", code: "cycle" },
+  ]);
+
+  response = await graphql(
+    `
+      mutation {
+        toggleComplete(id: 999) {
+          id
+        }
+      }
+    `
+  );
+  t.equal(
+    response.body.errors[0].message,
+    RESPONSE_MESSAGES.TASK_NOT_FOUND(999)
+  );
+  t.equal(response.body.errors[0].extensions.status, 404);
+  t.end();
+});
+
+tap.test("invalid GraphQL requests answer 400", async (t) => {
+  let response = await server.post("/task-management/graphql").send({});
+  t.equal(response.status, 400);
+  t.equal(
+    response.body.errors[0].message,
+    RESPONSE_MESSAGES.GRAPHQL_QUERY_REQUIRED
+  );
+  response = await graphql("{ task(id: 1) { id ");
+  t.equal(response.status, 400);
+  t.match(response.body.errors[0].message, /^Syntax Error/);
+  response = await graphql("{ task(id: 1) { owner } }");
+  t.equal(response.status, 400);
+  t.match(response.body.errors[0].message, /"owner"/);
+  response = await graphql("query ($id: Int!) { task(id: $id) { id } }", {
+    id: "one",
+  });
+  t.equal(response.status, 400);
+  t.notOk("data" in response.body);
+  t.end();
+});
+
+tap.test("task statuses follow the workflow transitions", async (t) => {
+  const tasksUrl = "/task-management/v1/tasks";
+  let response = await server
+    .post(tasksUrl)
+    .send({ title: "Flow", description: "Through the workflow" });
+  t.equal(response.status, 400);
+  t.equal(response.body.errors[0].field, "completed");
+
+  response = await server.post(tasksUrl).send({
+    title: "Flow",
+    description: "Through the workflow",
+    completed: false,
+  });
+  t.equal(response.status, 201);
+  t.equal(response.body.status, "todo");
+  const { id } = response.body;
+
+  const patch = (body) =>
+    server
+      .patch(`${tasksUrl}/${id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(body);
+  response = await patch({ status: "doing" });
+  t.match(response.body, { status: "doing", completed: false });
+  response = await patch({ status: "review" });
+  t.match(response.body, { status: "review", completed: false });
+
+  response = await patch({ status: "todo" });
+  t.equal(response.status, 409);
+  t.equal(
+    response.text,
+    RESPONSE_MESSAGES.STATUS_TRANSITION_NOT_ALLOWED("review", "todo", [
+      "doing",
+      "done",
+    ])
+  );
+  response = await patch({ status: "blocked" });
+  t.equal(response.status, 400);
+  t.match(response.body.errors, [{ field: "status", code: "enum" }]);
+
+  // Clients that only know `completed` move tasks in and out of done.
+  response = await patch({ completed: true });
+  t.match(response.body, { status: "done", completed: true });
+  response = await server.get(`${tasksUrl}/${id}`);
+  response = await server
+    .put(`${tasksUrl}/${id}`)
+    .send({ ...response.body, completed: false });
+  t.equal(response.status, 200);
+  t.match(response.body, { status: "todo", completed: false });
+
+  // A changed status wins over a stale `completed`.
+  response = await server
+    .put(`${tasksUrl}/${id}`)
+    .send({ ...response.body, status: "done" });
+  t.match(response.body, { status: "done", completed: true });
+
+  response = await server
+    .post(tasksUrl)
+    .send({ title: "Reviewed", description: "Starts late", status: "review" });
+  t.equal(response.status, 201);
+  t.match(response.body, { status: "review", completed: false });
+  t.end();
+});
+
+tap.test("GET /board groups the tasks of a list by status", async (t) => {
+  const list = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Board" });
+  const listUrl = `/task-management/v1/lists/${list.body.id}`;
+  for (const [title, status] of [
+    ["Plan", "todo"],
+    ["Build", "doing"],
+    ["Ship", "done"],
+    ["Test", "doing"],
+  ]) {
+    await server
+      .post(`${listUrl}/tasks`)
+      .send({ title, description: "On the board", status });
+  }
+  const response = await server.get(`${listUrl}/board`);
+  t.equal(response.status, 200);
+  t.same(
+    response.body.columns.map(({ status, completed, tasks }) => [
+      status,
+      completed,
+      tasks.map((task) => task.title),
+    ]),
+    [
+      ["todo", false, ["Plan"]],
+      ["doing", false, ["Build", "Test"]],
+      ["review", false, []],
+      ["done", true, ["Ship"]],
+    ]
+  );
+  t.match(response.body.columns[1].tasks[0], { id: 2, blocked: false });
+
+  const board = await server.get("/task-management/v1/board");
+  t.equal(board.status, 200);
+  t.equal(board.body.columns.length, 4);
+  t.equal(
+    (await server.get("/task-management/v1/lists/999/board")).status,
+    404
+  );
+  t.end();
+});
+
+tap.test("PUT /workflow replaces the statuses", async (t) => {
+  const workflowUrl = "/task-management/v1/workflow";
+  const original = (await server.get(workflowUrl)).body;
+  t.same(
+    original.statuses.map(({ name }) => name),
+    ["todo", "doing", "review", "done"]
+  );
+  t.teardown(() => server.put(workflowUrl).send(original));
+
+  let response = await server.put(workflowUrl).send({
+    statuses: [
+      { name: "done", completed: true, next: ["done", "later"] },
+      { name: "done", completed: true, next: [] },
+    ],
+  });
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.VALIDATION_FAILED_WORKFLOW);
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["statuses[0].next[1]", "unknownStatus"],
+      ["statuses[1].name", "unique"],
+      ["statuses[0].completed", "initialStatus"],
+    ]
+  );
+
+  response = await server.put(workflowUrl).send({
+    statuses: [
+      { name: "todo", completed: false, next: ["done"] },
+      { name: "done", completed: true, next: ["todo"] },
+    ],
+  });
+  t.equal(response.status, 409);
+  t.equal(
+    response.text,
+    RESPONSE_MESSAGES.WORKFLOW_STATUS_IN_USE(["doing", "review"])
+  );
+
+  const task = await server.post("/task-management/v1/tasks").send({
+    title: "Approved",
+    description: "Review counts as done",
+    status: "review",
+  });
+  const trashed = await server.post("/task-management/v1/tasks").send({
+    title: "Dropped",
+    description: "Reviewed, then trashed",
+    status: "review",
+  });
+  await server.delete(`/task-management/v1/tasks/${trashed.body.id}`);
+  const events = [];
+  const listener = (event) => events.push(event);
+  taskEvents.on("event", listener);
+  const statuses = original.statuses.map((status) =>
+    status.name === "review"
+      ? { ...status, completed: true, next: ["doing"] }
+      : status
+  );
+  response = await server.put(workflowUrl).send({ statuses });
+  taskEvents.off("event", listener);
+  t.equal(response.status, 200);
+  t.same(response.body, { statuses });
+  t.same((await server.get(workflowUrl)).body, { statuses });
+
+  response = await server.get(`/task-management/v1/tasks/${task.body.id}`);
+  t.match(response.body, { status: "review", completed: true, version: 2 });
+  t.ok(
+    events.some(
+      (event) => event.type === "task.updated" && event.task.id === task.body.id
+    )
+  );
+  const stored = JSON.parse(fs.readFileSync(tasksFile, "utf8"));
+  t.same(stored.workflow, { statuses });
+
+  // Trashed tasks keep their version and catch up once restored.
+  t.notOk(events.some((event) => event.task.id === trashed.body.id));
+  response = await server.get("/task-management/v1/tasks/trash");
+  t.match(
+    response.body.find(({ id }) => id === trashed.body.id),
+    { completed: false, version: 1 }
+  );
+  response = await server.post(
+    `/task-management/v1/tasks/${trashed.body.id}/restore`
+  );
+  t.match(response.body, [{ status: "review", completed: true, version: 2 }]);
+
+  response = await server
+    .patch(`/task-management/v1/tasks/${task.body.id}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .send({ status: "done" });
+  t.equal(response.status, 409);
+  t.end();
+});
+
+tap.test("the workflow routes follow the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+  let response = await server.get("/task-management/v1/workflow");
+  t.equal(response.status, 200);
+  response = await server
+    .put("/task-management/v1/workflow")
+    .send(response.body);
+  t.equal(response.status, 200);
+  response = await server.get("/task-management/v1/board");
+  t.equal(response.status, 200);
+  response = await server
+    .post("/task-management/v1/tasks")
+    .send({ title: "Specified", description: "Flow", status: "review" });
+  t.equal(response.status, 201);
+  response = await server
+    .put(`/task-management/v1/tasks/${response.body.id}`)
+    .send({ title: "Specified", description: "Flow", status: "todo" });
+  t.equal(response.status, 409);
+  t.end();
+});
+
+tap.test("GraphQL reads and changes statuses", async (t) => {
+  const response = await graphql(
+    `
+      mutation {
+        createTask(
+          input: { title: "Graph", description: "Flow", status: "doing" }
+        ) {
+          status
+          completed
+        }
+      }
+    `
+  );
+  t.same(response.body.data.createTask, { status: "doing", completed: false });
+  t.end();
+});
+
+tap.test("timers track time per user", async (t) => {
+  const tasksUrl = "/task-management/v1/tasks";
+  const first = await server
+    .post(tasksUrl)
+    .send({ title: "Timed", description: "First", completed: false });
+  const second = await server
+    .post(tasksUrl)
+    .send({ title: "Timed", description: "Second", completed: false });
+  const timer = (id, action, user) => {
+    const request = server.post(`${tasksUrl}/${id}/timer/${action}`);
+    return user === undefined ? request : request.set("X-User", user);
+  };
+
+  let response = await timer(first.body.id, "start");
+  t.equal(response.status, 400);
+  t.equal(response.text, RESPONSE_MESSAGES.USER_REQUIRED);
+
+  response = await timer(first.body.id, "start", "alice");
+  t.equal(response.status, 201);
+  t.match(response.body, {
+    id: Number,
+    listId: 1,
+    taskId: first.body.id,
+    user: "alice",
+    start: String,
+    end: null,
+  });
+  const entry = response.body;
+
+  response = await timer(second.body.id, "start", "alice");
+  t.equal(response.status, 409);
+  t.equal(
+    response.text,
+    RESPONSE_MESSAGES.TIMER_ALREADY_RUNNING(first.body.id, 1)
+  );
+  response = await timer(second.body.id, "start", "bob");
+  t.equal(response.status, 201);
+  response = await timer(second.body.id, "stop", "alice");
+  t.equal(response.status, 409);
+  t.equal(response.text, RESPONSE_MESSAGES.TIMER_NOT_RUNNING(second.body.id));
+  response = await timer(9999, "stop", "alice");
+  t.equal(response.status, 404);
+  response = await timer(9999, "start", "carol");
+  t.equal(response.status, 404);
+
+  response = await timer(first.body.id, "stop", "alice");
+  t.equal(response.status, 200);
+  t.same(response.body, { ...entry, end: response.body.end });
+  t.ok(response.body.end >= entry.start);
+  response = await timer(second.body.id, "stop", "bob");
+  t.equal(response.status, 200);
+
+  response = await server.get(`${tasksUrl}/${first.body.id}/time-entries`);
+  t.equal(response.status, 200);
+  t.same(
+    response.body.map(({ id, user }) => [id, user]),
+    [[entry.id, "alice"]]
+  );
+  t.equal((await server.get(`${tasksUrl}/9999/time-entries`)).status, 404);
+  t.end();
+});
+
+tap.test("time entries can be recorded by hand", async (t) => {
+  const tasksUrl = "/task-management/v1/tasks";
+  let response = await server.post(tasksUrl).send({
+    title: "Estimated",
+    description: "Billed by the hour",
+    completed: false,
+    estimateHours: -1,
+  });
+  t.equal(response.status, 400);
+  t.match(response.body.errors, [{ field: "estimateHours", code: "minimum" }]);
+  response = await server.post(tasksUrl).send({
+    title: "Estimated",
+    description: "Billed by the hour",
+    completed: false,
+    estimateHours: 2.5,
+  });
+  t.equal(response.status, 201);
+  t.equal(response.body.estimateHours, 2.5);
+  const entriesUrl = `${tasksUrl}/${response.body.id}/time-entries`;
+
+  response = await server
+    .post(entriesUrl)
+    .send({ start: "2021-01-04T09:00:00Z", end: "2021-01-04T10:00:00Z" });
+  t.equal(response.status, 400);
+  t.equal(response.text, RESPONSE_MESSAGES.USER_REQUIRED);
+  response = await server
+    .post(entriesUrl)
+    .set("X-User", "alice")
+    .send({ start: "2021-01-04T10:00:00+01:00", end: "2021-01-04T09:00:00Z" });
+  t.equal(response.status, 400);
+  t.equal(
+    response.body.message,
+    RESPONSE_MESSAGES.VALIDATION_FAILED_TIME_ENTRY
+  );
+  t.match(response.body.errors, [{ field: "end", code: "minimum" }]);
+  response = await server
+    .post(entriesUrl)
+    .set("X-User", "alice")
+    .send({ start: "yesterday", user: "bob" });
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["end", "required"],
+      ["start", "format"],
+      ["user", "readOnly"],
+    ]
+  );
+
+  response = await server.post(entriesUrl).set("X-User", "alice").send({
+    start: "2021-01-04T10:00:00+01:00",
+    end: "2021-01-04T10:30:00Z",
+    note: "Kick-off call",
+  });
+  t.equal(response.status, 201);
+  t.match(response.body, {
+    user: "alice",
+    start: "2021-01-04T09:00:00.000Z",
+    end: "2021-01-04T10:30:00.000Z",
+    note: "Kick-off call",
+  });
+  const { id } = response.body;
+  t.equal((await server.get(entriesUrl)).body.length, 1);
+
+  response = await server.delete(`${entriesUrl}/${id}`);
+  t.equal(response.status, 200);
+  t.equal(response.body.id, id);
+  response = await server.delete(`${entriesUrl}/${id}`);
+  t.equal(response.status, 404);
+  t.equal(response.text, RESPONSE_MESSAGES.TIME_ENTRY_NOT_FOUND(id));
+
+  // The id of the removed entry is not handed out again.
+  response = await server.post(entriesUrl).set("X-User", "alice").send({
+    start: "2021-01-05T09:00:00Z",
+    end: "2021-01-05T10:00:00Z",
+  });
+  t.equal(response.status, 201);
+  t.equal(response.body.id, id + 1);
+  t.end();
+});
+
+tap.test("GET /reports/time adds up the tracked time", async (t) => {
+  const tasksUrl = "/task-management/v1/tasks";
+  const design = await server.post(tasksUrl).send({
+    title: "Design",
+    description: "Reported",
+    completed: false,
+    estimateHours: 4,
+  });
+  const build = await server
+    .post(tasksUrl)
+    .send({ title: "Build", description: "Reported", completed: false });
+  const track = (task, start, end) =>
+    server
+      .post(`${tasksUrl}/${task.body.id}/time-entries`)
+      .set("X-User", "reporter")
+      .send({ start, end });
+  await track(design, "2021-03-01T23:00:00Z", "2021-03-02T01:30:00Z");
+  await track(build, "2021-03-02T09:00:00Z", "2021-03-02T10:00:00Z");
+  await track(build, "2021-03-05T09:00:00Z", "2021-03-05T10:00:00Z");
+
+  const report = (query) =>
+    server.get("/task-management/v1/reports/time").query({
+      user: "reporter",
+      ...query,
+    });
+  let response = await report({ from: "2021-03-01", to: "2021-03-03" });
+  t.equal(response.status, 200);
+  t.same(response.body, {
+    from: "2021-03-01",
+    to: "2021-03-03",
+    groupBy: "day",
+    totalSeconds: 12600,
+    totalHours: 3.5,
+    groups: [
+      { day: "2021-03-01", seconds: 3600, hours: 1 },
+      { day: "2021-03-02", seconds: 9000, hours: 2.5 },
+    ],
+  });
+
+  response = await report({
+    from: "2021-03-02",
+    to: "2021-03-31",
+    groupBy: "task",
+  });
+  t.same(response.body.groups, [
+    {
+      listId: 1,
+      taskId: design.body.id,
+      title: "Design",
+      estimateHours: 4,
+      seconds: 5400,
+      hours: 1.5,
+    },
+    {
+      listId: 1,
+      taskId: build.body.id,
+      title: "Build",
+      estimateHours: null,
+      seconds: 7200,
+      hours: 2,
+    },
+  ]);
+  response = await report({ from: "2021-03-01", to: "2021-03-03", listId: 2 });
+  t.same(response.body.groups, []);
+
+  for (const query of [
+    { to: "2021-03-03" },
+    { from: "2021-03-01", to: "2021-02-30" },
+    { from: "2021-03-03", to: "2021-03-01" },
+    { from: "2020-01-01", to: "2021-03-01" },
+    { from: "2021-03-01", to: "2021-03-03", groupBy: "week" },
+    { from: "2021-03-01", to: "2021-03-03", listId: "first" },
+  ]) {
+    response = await report(query);
+    t.equal(response.status, 400);
+  }
+  t.end();
+});
+
+tap.test("time entries follow their task", async (t) => {
+  process.env.TRASH_RETENTION_DAYS = "0";
+  t.teardown(() => delete process.env.TRASH_RETENTION_DAYS);
+  const tasksUrl = "/task-management/v1/tasks";
+  const report = async () =>
+    (
+      await server.get("/task-management/v1/reports/time").query({
+        from: "2021-06-01",
+        to: "2021-06-01",
+        groupBy: "task",
+        user: "mover",
+      })
+    ).body.groups;
+  const createTrackedTask = async (url) => {
+    const task = await server
+      .post(url)
+      .send({ title: "Tracked", description: "Moves", completed: false });
+    await server
+      .post(`${url}/${task.body.id}/time-entries`)
+      .set("X-User", "mover")
+      .send({ start: "2021-06-01T08:00:00Z", end: "2021-06-01T09:00:00Z" });
+    return task.body;
+  };
+
+  const list = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Billing" });
+  const task = await createTrackedTask(tasksUrl);
+  const moved = await server
+    .post(`${tasksUrl}/${task.id}/move`)
+    .send({ listId: list.body.id });
+  const listTasksUrl = `/task-management/v1/lists/${list.body.id}/tasks`;
+  let response = await server.get(
+    `${listTasksUrl}/${moved.body[0].id}/time-entries`
+  );
+  t.match(response.body, [{ listId: list.body.id, user: "mover" }]);
+  t.match(await report(), [{ listId: list.body.id, seconds: 3600 }]);
+
+  // Timers keep running in the trash, until the task is purged.
+  const trashed = await createTrackedTask(tasksUrl);
+  await server
+    .post(`${tasksUrl}/${trashed.id}/timer/start`)
+    .set("X-User", "mover");
+  await server.delete(`${tasksUrl}/${trashed.id}`);
+  response = await server
+    .post(`${tasksUrl}/${trashed.id}/timer/stop`)
+    .set("X-User", "mover");
+  t.equal(response.status, 200);
+  t.equal((await report()).length, 2);
+  await server.delete(`${tasksUrl}/trash`);
+  t.equal((await report()).length, 1);
+
+  await server.delete(`/task-management/v1/lists/${list.body.id}?cascade=true`);
+  t.same(await report(), []);
+  t.end();
+});
+
+tap.test("the time routes follow the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+  const task = await server
+    .post("/task-management/v1/tasks")
+    .send({ title: "Specified", description: "Timed", completed: false });
+  const taskUrl = `/task-management/v1/tasks/${task.body.id}`;
+  let response = await server
+    .post(`${taskUrl}/timer/start`)
+    .set("X-User", "specified");
+  t.equal(response.status, 201);
+  response = await server
+    .post(`${taskUrl}/timer/stop`)
+    .set("X-User", "specified");
+  t.equal(response.status, 200);
+  response = await server
+    .post(`${taskUrl}/time-entries`)
+    .set("X-User", "specified")
+    .send({ start: "2021-01-04T09:00:00Z", end: "2021-01-04T10:00:00Z" });
+  t.equal(response.status, 201);
+  response = await server.get(`${taskUrl}/time-entries`);
+  t.equal(response.status, 200);
+  response = await server.delete(
+    `${taskUrl}/time-entries/${response.body[0].id}`
+  );
+  t.equal(response.status, 200);
+  for (const groupBy of ["day", "task"]) {
+    response = await server
+      .get("/task-management/v1/reports/time")
+      .query({ from: "2021-01-04", to: "2021-01-04", groupBy });
+    t.equal(response.status, 200);
+  }
+  t.end();
+});
+
+tap.test("POST /tasks/quick creates a task from one line", async (t) => {
+  const text = "Ship release notes 2030-01-15 5pm #docs !high";
+  let response = await server
+    .post("/task-management/v1/tasks/quick")
+    .send({ text });
+  t.equal(response.status, 201);
+  t.equal(response.headers.etag, '"1"');
+  t.match(response.body.task, {
+    title: "Ship release notes",
+    description: text,
+    completed: false,
+    status: "todo",
+    dueDate: "2030-01-15T17:00:00Z",
+    tags: ["docs"],
+    priority: "high",
+  });
+  t.same(
+    response.body.tokens.map(({ type, value }) => [type, value]),
+    [
+      ["title", "Ship"],
+      ["title", "release"],
+      ["title", "notes"],
+      ["date", "2030-01-15"],
+      ["time", "17:00"],
+      ["tag", "docs"],
+      ["priority", "high"],
+    ]
+  );
+  response = await server.get(
+    `/task-management/v1/tasks/${response.body.task.id}`
+  );
+  t.equal(response.body.priority, "high");
+
+  const list = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Quick" });
+  response = await server
+    .post(`/task-management/v1/lists/${list.body.id}/tasks/quick`)
+    .send({
+      text: "Call the printer 2030-01-16 9:30",
+      description: "About the posters",
+      utcOffset: "+02:00",
+    });
+  t.equal(response.status, 201);
+  t.match(response.body.task, {
+    id: 1,
+    title: "Call the printer",
+    description: "About the posters",
+    dueDate: "2030-01-16T09:30:00+02:00",
+  });
+  t.end();
+});
+
+tap.test("POST /tasks/quick reports what it could not read", async (t) => {
+  const url = "/task-management/v1/tasks/quick";
+  let response = await server.post(url).send({ text: "", utcOffset: "CET" });
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.VALIDATION_FAILED_QUICK_ADD);
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["text", "minLength"],
+      ["utcOffset", "pattern"],
+    ]
+  );
+
+  response = await server.post(url).send({ text: "#docs #Not+a+tag !low" });
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.VALIDATION_FAILED_CREATE);
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["title", "minLength"],
+      ["tags[1]", "pattern"],
+    ]
+  );
+  t.same(response.body.tokens[1], {
+    text: "#Not+a+tag",
+    type: "tag",
+    value: "not+a+tag",
+  });
+
+  response = await server.post("/task-management/v1/tasks").send({
+    title: "Prioritized",
+    description: "By hand",
+    completed: false,
+    priority: "urgent",
+  });
+  t.equal(response.status, 400);
+  t.match(response.body.errors, [{ field: "priority", code: "enum" }]);
+  t.end();
+});
+
+tap.test("the quick add route follows the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+  let response = await server
+    .post("/task-management/v1/tasks/quick")
+    .send({ text: "Specified tomorrow #docs !low" });
+  t.equal(response.status, 201);
+  response = await server
+    .post("/task-management/v1/tasks/quick")
+    .send({ text: "#docs" });
+  t.equal(response.status, 400);
+  t.ok(response.body.tokens);
+  t.end();
+});
+
+tap.test("templates are created, listed, replaced and deleted", async (t) => {
+  const url = "/task-management/v1/templates";
+  const onboarding = {
+    name: "Onboarding",
+    description: "First week of a new hire",
+    tasks: [
+      { title: "Welcome {{name}}", dueInDays: 0, tags: ["hr"] },
+      {
+        title: "Set up a laptop for {{ name }}",
+        description: "Order from {{vendor}}",
+        dueInDays: 2,
+        parent: 0,
+      },
+    ],
+  };
+  let response = await server.post(url).send(onboarding);
+  t.equal(response.status, 201);
+  t.match(response.body, {
+    id: 1,
+    name: "Onboarding",
+    placeholders: ["name", "vendor"],
+  });
+  t.same(response.body.tasks, onboarding.tasks);
+
+  response = await server
+    .post(url)
+    .send({ name: "ONBOARDING", tasks: [{ title: "Other" }] });
+  t.equal(response.status, 409);
+  t.equal(response.text, RESPONSE_MESSAGES.TEMPLATE_NAME_TAKEN("ONBOARDING"));
+
+  response = await server
+    .post(url)
+    .send({ name: "Release", tasks: [{ title: "Tag {{version}}" }] });
+  t.equal(response.status, 201);
+  response = await server.get(url);
+  t.same(
+    response.body.map(({ id, name }) => [id, name]),
+    [
+      [1, "Onboarding"],
+      [2, "Release"],
+    ]
+  );
+
+  response = await server.put(`${url}/2`).send({
+    name: "Release",
+    tasks: [
+      { title: "Tag {{version}}" },
+      { title: "Announce", blockedBy: [0] },
+    ],
+  });
+  t.equal(response.status, 200);
+  t.same(response.body.placeholders, ["version"]);
+  response = await server.get(`${url}/2`);
+  t.equal(response.body.tasks.length, 2);
+
+  response = await server.put(`${url}/2`).send({ ...onboarding });
+  t.equal(response.status, 409);
+  response = await server.delete(`${url}/2`);
+  t.equal(response.status, 200);
+  response = await server.get(`${url}/2`);
+  t.equal(response.status, 404);
+  t.equal(response.text, RESPONSE_MESSAGES.TEMPLATE_NOT_FOUND("2"));
+  response = await server.delete(`${url}/2`);
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test("invalid templates are rejected", async (t) => {
+  const url = "/task-management/v1/templates";
+  let response = await server.post(url).send({
+    id: 7,
+    name: "",
+    tasks: [{ title: "First", parent: 0 }, { blockedBy: [1] }],
+  });
+  t.equal(response.status, 400);
+  t.equal(response.body.message, RESPONSE_MESSAGES.VALIDATION_FAILED_TEMPLATE);
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["id", "readOnly"],
+      ["name", "minLength"],
+      ["tasks[1].title", "required"],
+    ]
+  );
+
+  response = await server.post(url).send({
+    name: "Loops",
+    tasks: [
+      { title: "First", parent: 0 },
+      { title: "Second", blockedBy: [0, 1] },
+    ],
+  });
+  t.equal(response.status, 400);
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["tasks[0].parent", "reference"],
+      ["tasks[1].blockedBy[1]", "reference"],
+    ]
+  );
+  response = await server.post(url).send({ name: "Empty", tasks: [] });
+  t.match(response.body.errors, [{ field: "tasks", code: "minItems" }]);
+  t.end();
+});
+
+tap.test("POST /templates/:id/instantiate creates the tasks", async (t) => {
+  const response = await server
+    .post("/task-management/v1/templates/1/instantiate")
+    .send({
+      values: { name: "Ada", vendor: "Acme" },
+      baseDate: "2030-02-27",
+    });
+  t.equal(response.status, 201);
+  t.equal(response.body.length, 2);
+  const [welcome, laptop] = response.body;
+  t.match(welcome, {
+    title: "Welcome Ada",
+    description: "Welcome Ada",
+    completed: false,
+    dueDate: "2030-02-27",
+    tags: ["hr"],
+  });
+  t.match(laptop, {
+    title: "Set up a laptop for Ada",
+    description: "Order from Acme",
+    dueDate: "2030-03-01",
+    parentId: welcome.id,
+  });
+  t.notOk("dueInDays" in laptop);
+  t.notOk("parent" in laptop);
+  const history = await server.get(
+    `/task-management/v1/tasks/${laptop.id}/history`
+  );
+  t.match(history.body, [{ operation: "create" }]);
+
+  const list = await server
+    .post("/task-management/v1/lists")
+    .send({ name: "Templated" });
+  const release = await server.post("/task-management/v1/templates").send({
+    name: "Weekly review",
+    tasks: [
+      { title: "Collect notes", dueInDays: -1 },
+      { title: "Review", blockedBy: [0] },
+    ],
+  });
+  const created = await server
+    .post(`/task-management/v1/templates/${release.body.id}/instantiate`)
+    .send({ listId: list.body.id, baseDate: "2030-01-01" });
+  t.equal(created.status, 201);
+  t.match(created.body, [
+    { id: 1, dueDate: "2029-12-31" },
+    { id: 2, blockedBy: [1] },
+  ]);
+  t.end();
+});
+
+tap.test("instantiating a template is all or nothing", async (t) => {
+  const url = "/task-management/v1/templates/1/instantiate";
+  const before = await server.get("/task-management/v1/tasks");
+  let response = await server
+    .post(url)
+    .send({ values: { name: 42, other: "x" }, listId: 999 });
+  t.equal(response.status, 400);
+  t.equal(
+    response.body.message,
+    RESPONSE_MESSAGES.VALIDATION_FAILED_INSTANTIATE
+  );
+  t.same(
+    response.body.errors.map(({ field, code }) => [field, code]),
+    [
+      ["values.name", "type"],
+      ["values.vendor", "required"],
+      ["values.other", "unknownProperty"],
+    ]
+  );
+
+  response = await server
+    .post(url)
+    .send({ values: { name: "Ada", vendor: "Acme" }, listId: 999 });
+  t.equal(response.status, 400);
+  t.match(response.body.errors, [{ field: "listId", code: "notFound" }]);
+
+  // The first task would be valid, the second one has too long a title.
+  response = await server
+    .post(url)
+    .send({ values: { name: "x".repeat(300), vendor: "Acme" } });
+  t.equal(response.status, 400);
+  t.match(response.body.errors, [
+    { field: "tasks[0].title", code: "maxLength" },
+    { field: "tasks[1].title", code: "maxLength" },
+  ]);
+  response = await server.post(url).send({ baseDate: "2030-02-30" });
+  t.match(response.body.errors, [{ field: "baseDate", code: "format" }]);
+
+  const after = await server.get("/task-management/v1/tasks");
+  t.same(after.body, before.body);
+  response = await server.post("/task-management/v1/templates/99/instantiate");
+  t.equal(response.status, 404);
+  t.end();
+});
+
+tap.test("the template routes follow the OpenAPI document", async (t) => {
+  setOpenApiValidation(t, "true");
+  const url = "/task-management/v1/templates";
+  let response = await server.post(url).send({
+    name: "Specified",
+    description: "Checked against the document",
+    tasks: [
+      { title: "Plan {{topic}}", dueInDays: 1, priority: "low" },
+      { title: "Do", parent: 0, blockedBy: [0], estimateHours: 2 },
+    ],
+  });
+  t.equal(response.status, 201);
+  const templateUrl = `${url}/${response.body.id}`;
+  response = await server.get(url);
+  t.equal(response.status, 200);
+  response = await server
+    .post(`${templateUrl}/instantiate`)
+    .send({ values: { topic: "docs" } });
+  t.equal(response.status, 201);
+  response = await server.post(`${templateUrl}/instantiate`).send({});
+  t.equal(response.status, 400);
+  response = await server.put(templateUrl).send({
+    name: "Specified",
+    tasks: [{ title: "Only" }],
+  });
+  t.equal(response.status, 200);
+  response = await server.delete(templateUrl);
+  t.equal(response.status, 200);
+  response = await server.get(templateUrl);
+  t.equal(response.status, 404);
+  t.end();
+});
+
 tap.teardown(() => {
   process.exit(0);
 });
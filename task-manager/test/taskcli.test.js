@@ -0,0 +1,165 @@
+const tap = require("tap");
+const { DEFAULT_BASE_URL, run } = require("../cli/taskcli");
+
+/**
+ * Runs the command line against a fake API answering each request with the
+ * next of `responses`, `[status, body]`.
+ */
+async function runCli(argv, responses = [], env = {}) {
+  const requests = [];
+  const output = { stdout: "", stderr: "" };
+  const code = await run(argv, {
+    env,
+    stdout: { write: (text) => (output.stdout += text) },
+    stderr: { write: (text) => (output.stderr += text) },
+    fetch: async (url, request) => {
+      requests.push({ url, ...request });
+      const [status, body] = responses.shift();
+      return new Response(
+        typeof body === "string" ? body : JSON.stringify(body),
+        {
+          status,
+          headers: {
+            "Content-Type":
+              typeof body === "string" ? "text/html" : "application/json",
+          },
+        }
+      );
+    },
+  });
+  return { code, requests, ...output };
+}
+
+const task = {
+  id: 3,
+  title: "Write docs",
+  description: "For the CLI",
+  completed: false,
+  tags: ["docs", "cli"],
+  version: 1,
+  blocked: false,
+};
+
+tap.test("list prints a table and reads every page", async (t) => {
+  const done = { ...task, id: 4, title: "Ship", completed: true, tags: [] };
+  const pages = [
+    [200, { tasks: [task], total: 2, limit: 100, offset: 0 }],
+    [200, { tasks: [done], total: 2, limit: 100, offset: 1 }],
+  ];
+  const result = await runCli(["list", "--completed"], pages);
+  t.equal(result.code, 0);
+  t.same(
+    result.requests.map(({ url, method }) => [method, url]),
+    [
+      ["GET", `${DEFAULT_BASE_URL}/v1/tasks?limit=100&completed=true&offset=0`],
+      ["GET", `${DEFAULT_BASE_URL}/v1/tasks?limit=100&completed=true&offset=1`],
+    ]
+  );
+  t.equal(
+    result.stdout,
+    [
+      "ID  DONE  TITLE       DUE  TAGS",
+      "3         Write docs       docs,cli",
+      "4   x     Ship",
+      "",
+    ].join("\n")
+  );
+  t.end();
+});
+
+tap.test("--json prints the API response", async (t) => {
+  const result = await runCli(["show", "3", "--json"], [[200, task]]);
+  t.equal(result.code, 0);
+  t.same(JSON.parse(result.stdout), task);
+  t.end();
+});
+
+tap.test("add, done and rm send the matching requests", async (t) => {
+  let result = await runCli(
+    ["add", "Write docs", "--desc", "For the CLI"],
+    [[201, task]]
+  );
+  t.equal(result.code, 0);
+  t.match(result.requests[0], {
+    method: "POST",
+    url: `${DEFAULT_BASE_URL}/v1/tasks`,
+    headers: { "Content-Type": "application/json" },
+  });
+  t.same(JSON.parse(result.requests[0].body), {
+    title: "Write docs",
+    description: "For the CLI",
+    completed: false,
+  });
+  t.match(result.stdout, /^title: +Write docs$/m);
+
+  result = await runCli(["done", "3"], [[200, { ...task, completed: true }]]);
+  t.match(result.requests[0], {
+    method: "PATCH",
+    headers: { "Content-Type": "application/merge-patch+json" },
+    body: '{"completed":true}',
+  });
+  t.match(result.stdout, /^completed: +true$/m);
+
+  result = await runCli(["rm", "3", "--cascade"], [[200, [task, { id: 5 }]]]);
+  t.match(result.requests[0], {
+    method: "DELETE",
+    url: `${DEFAULT_BASE_URL}/v1/tasks/3?cascade=true`,
+  });
+  t.equal(result.stdout, "Moved to the trash: 3, 5\n");
+  t.end();
+});
+
+tap.test("the base URL comes from --url or TASKS_URL", async (t) => {
+  let result = await runCli(["show", "3"], [[200, task]], {
+    TASKS_URL: "http://tasks.example.com/api/",
+  });
+  t.equal(result.requests[0].url, "http://tasks.example.com/api/v1/tasks/3");
+  result = await runCli(
+    ["show", "3", "--url", "http://localhost:8080"],
+    [[200, task]],
+    { TASKS_URL: "http://tasks.example.com/api" }
+  );
+  t.equal(result.requests[0].url, "http://localhost:8080/v1/tasks/3");
+  t.end();
+});
+
+tap.test("API errors are printed with exit code 1", async (t) => {
+  let result = await runCli(
+    ["show", "9"],
+    [[404, "The task with id 9 not found!"]]
+  );
+  t.equal(result.code, 1);
+  t.equal(result.stderr, "Error 404: The task with id 9 not found!\n");
+
+  const failure = {
+    message: "Validation failed",
+    errors: [{ field: "title", message: '"title" must not be empty.' }],
+  };
+  result = await runCli(["add", "", "--desc", "No title"], [[400, failure]]);
+  t.equal(result.code, 1);
+  t.equal(
+    result.stderr,
+    'Error 400: Validation failed\n  title: "title" must not be empty.\n'
+  );
+  t.end();
+});
+
+tap.test("invalid arguments print the usage with exit code 2", async (t) => {
+  for (const argv of [
+    [],
+    ["archive"],
+    ["show"],
+    ["show", "abc"],
+    ["list", "--completed", "--pending"],
+    ["list", "--verbose"],
+    ["add", "No description"],
+  ]) {
+    const result = await runCli(argv);
+    t.equal(result.code, 2, argv.join(" "));
+    t.same(result.requests, []);
+    t.match(result.stdout + result.stderr, /Usage: tasks <command>/);
+  }
+  const result = await runCli(["--help"]);
+  t.equal(result.code, 0);
+  t.end();
+});
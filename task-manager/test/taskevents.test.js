@@ -0,0 +1,28 @@
+const tap = require("tap");
+const { TaskEventBus } = require("../service/taskevents");
+
+tap.test("publish emits events with increasing ids", (t) => {
+  const bus = new TaskEventBus(10);
+  const received = [];
+  bus.on("event", (event) => received.push(event));
+  const first = bus.publish("task.created", { id: 1 }, "2024-05-06T00:00:00Z");
+  const second = bus.publish("task.updated", { id: 1 }, "2024-05-06T00:00:01Z");
+  t.same(received, [first, second]);
+  t.equal(first.id, `${bus.epoch}-1`);
+  t.equal(second.id, `${bus.epoch}-2`);
+  t.end();
+});
+
+tap.test("getEventsAfter replays only what the buffer still holds", (t) => {
+  const bus = new TaskEventBus(2);
+  const events = [1, 2, 3].map((id) =>
+    bus.publish("task.created", { id }, "2024-05-06T00:00:00Z")
+  );
+  t.same(bus.getEventsAfter(events[0].id), events.slice(1));
+  t.same(bus.getEventsAfter(events[2].id), []);
+  t.equal(bus.getEventsAfter(`${bus.epoch}-0`), null);
+  t.equal(bus.getEventsAfter(`${bus.epoch}-9`), null);
+  t.equal(bus.getEventsAfter("previous-1"), null);
+  t.equal(bus.getEventsAfter("garbage"), null);
+  t.end();
+});
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const tap = require("tap");
+
+process.env.TASKS_FILE = path.join(os.tmpdir(), `unused-${process.pid}.json`);
+const { TaskStore } = require("../service/taskstore");
+const { tempFile } = require("./helpers/tempfile");
+
+tap.test("load returns an empty array when the file does not exist", (t) => {
+  const store = new TaskStore(tempFile());
+  t.same(store.load(), []);
+  t.end();
+});
+
+tap.test("save writes the tasks and load reads them back", async (t) => {
+  const file = tempFile();
+  const store = new TaskStore(file);
+  store.load();
+  store.tasks.push({ id: 1, title: "a", description: "b", completed: false });
+  await store.withLock(() => store.save());
+
+  const reloaded = new TaskStore(file);
+  t.same(reloaded.load(), store.tasks);
+  t.same(fs.readdirSync(path.dirname(file)), ["tasks.json"]);
+  t.end();
+});
+
+tap.test("load keeps the same array instance", (t) => {
+  const file = tempFile();
+  fs.writeFileSync(file, JSON.stringify({ tasks: [{ id: 7 }] }));
+  const store = new TaskStore(file);
+  const tasks = store.tasks;
+  store.load();
+  t.equal(store.tasks, tasks);
+  t.same(tasks, [{ id: 7 }]);
+  t.end();
+});
+
+tap.test("the default list holds the top-level arrays", async (t) => {
+  const file = tempFile();
+  fs.writeFileSync(file, JSON.stringify({ tasks: [{ id: 7 }] }));
+  const store = new TaskStore(file);
+  store.load();
+  t.equal(store.lists.length, 1);
+  t.match(store.lists[0], { id: 1, name: "Default" });
+  t.equal(store.lists[0].tasks, store.tasks);
+  t.equal(store.lists[0].history, store.history);
+
+  await store.withLock(() => {
+    store.lists.push({ id: 2, name: "Work", tasks: [{ id: 1 }], trash: [] });
+    store.save();
+  });
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  t.same(saved.tasks, [{ id: 7 }]);
+  t.same(saved.lists, [
+    { id: 1, name: "Default" },
+    { id: 2, name: "Work", tasks: [{ id: 1 }], trash: [] },
+  ]);
+
+  const reloaded = new TaskStore(file);
+  reloaded.load();
+  t.same(reloaded.lists[1], {
+    id: 2,
+    name: "Work",
+    tasks: [{ id: 1 }],
+    trash: [],
+    history: [],
+  });
+  t.end();
+});
+
+tap.test("load rejects a file without a tasks array", (t) => {
+  const file = tempFile();
+  fs.writeFileSync(file, JSON.stringify([]));
+  t.throws(() => new TaskStore(file).load(), /missing "tasks" array/);
+  t.end();
+});
+
+tap.test("lock replaces a stale lock left by a crashed process", async (t) => {
+  const file = tempFile();
+  const store = new TaskStore(file);
+  fs.writeFileSync(store.lockPath, "12345");
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(store.lockPath, past, past);
+
+  await store.withLock(() => store.save());
+  t.ok(fs.existsSync(file));
+  t.same(fs.readdirSync(path.dirname(file)), ["tasks.json"]);
+  t.end();
+});
+
+tap.test("save needs the lock", (t) => {
+  const store = new TaskStore(tempFile());
+  t.throws(() => store.save(), /needs its lock/);
+  t.end();
+});
+
+tap.test("a failed save throws the unsaved changes away", async (t) => {
+  const file = tempFile();
+  const store = new TaskStore(file);
+  store.load();
+  let saves = 0;
+  store.on("save", () => saves++);
+  await store.withLock(() => {
+    store.tasks.push({ id: 1, title: "a" });
+    store.save();
+  });
+
+  // A directory in the way of the temporary file makes the write fail.
+  fs.mkdirSync(`${file}.${process.pid}.tmp`);
+  await store.withLock(() => {
+    store.tasks.push({ id: 2, title: "x" });
+    t.throws(() => store.save(), { code: "EISDIR" });
+  });
+  t.match(store.tasks, [{ id: 1, title: "a" }]);
+  t.equal(store.tasks.length, 1);
+  t.equal(saves, 1);
+
+  fs.rmdirSync(`${file}.${process.pid}.tmp`);
+  await store.withLock(() => {
+    store.tasks.push({ id: 2, title: "z" });
+    store.save();
+  });
+  t.match(JSON.parse(fs.readFileSync(file, "utf8")).tasks, [
+    { id: 1, title: "a" },
+    { id: 2, title: "z" },
+  ]);
+  t.equal(saves, 2);
+  t.end();
+});
+
+tap.test("stores sharing a file see each other's changes", async (t) => {
+  const file = tempFile();
+  const first = new TaskStore(file);
+  const second = new TaskStore(file);
+  first.load();
+  second.load();
+  const addTask = (store, title) =>
+    store.withLock(() => {
+      const id = Math.max(0, ...store.tasks.map((task) => task.id)) + 1;
+      store.tasks.push({ id, title });
+      store.save();
+    });
+
+  await addTask(first, "a");
+  await addTask(second, "b");
+  // Each store read the task of the other before adding its own.
+  t.match(second.tasks, [
+    { id: 1, title: "a" },
+    { id: 2, title: "b" },
+  ]);
+  first.refresh();
+  t.match(first.tasks, [{ id: 1 }, { id: 2 }]);
+  t.end();
+});
+
+tap.test("lock waits for the other store without blocking", async (t) => {
+  const file = tempFile();
+  const first = new TaskStore(file);
+  const second = new TaskStore(file);
+  await first.lock();
+  const order = [];
+  const locked = second.withLock(() => order.push("second"));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  order.push("first");
+  first.unlock();
+  await locked;
+  t.same(order, ["first", "second"]);
+  t.notOk(fs.existsSync(first.lockPath));
+  t.end();
+});
+
+tap.test("a lock held for long is not mistaken for a stale one", async (t) => {
+  const file = tempFile();
+  const first = new TaskStore(file);
+  const second = new TaskStore(file);
+  await first.lock();
+  const order = [];
+  const locked = second.withLock(() => order.push("second"));
+  // Longer than a lock file is left untouched before it counts as stale.
+  await new Promise((resolve) => setTimeout(resolve, 2500));
+  order.push("first");
+  first.unlock();
+  await locked;
+  t.same(order, ["first", "second"]);
+  t.end();
+});
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const tap = require("tap");
+
+process.env.TASKS_FILE = path.join(os.tmpdir(), `unused-${process.pid}.json`);
+const { TaskStore } = require("../service/taskstore");
+const {
+  createTemplate,
+  deleteTemplate,
+  resolveInstantiationTarget,
+  instantiateTemplate,
+  findPlaceholders,
+} = require("../service/tasktemplates");
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tasktemplates-"));
+  const store = new TaskStore(path.join(dir, "tasks.json"));
+  store.load();
+  return store;
+}
+
+tap.test("placeholders are listed once, in order of appearance", (t) => {
+  const template = {
+    tasks: [
+      { title: "{{b}} and {{ a }}" },
+      { title: "{{a}}", description: "{{c}}, not {{1x}} nor {x}" },
+    ],
+  };
+  t.same(findPlaceholders(template), ["b", "a", "c"]);
+  t.end();
+});
+
+tap.test("due offsets count from today without a base date", (t) => {
+  const store = createStore();
+  const template = createTemplate(store, {
+    name: "Daily",
+    tasks: [
+      { title: "Tonight", dueInDays: 0 },
+      { title: "Later", dueInDays: 7 },
+    ],
+  });
+  const list = resolveInstantiationTarget(store, template, {});
+  t.equal(list, store.lists[0]);
+  const created = instantiateTemplate(
+    list,
+    template,
+    {},
+    new Date("2030-12-28T23:30:00Z")
+  );
+  t.same(
+    created.map(({ title, dueDate }) => [title, dueDate]),
+    [
+      ["Tonight", "2030-12-28"],
+      ["Later", "2031-01-04"],
+    ]
+  );
+  t.equal(list.tasks.length, 2);
+  t.end();
+});
+
+tap.test("ids of deleted templates are not reused", (t) => {
+  const store = createStore();
+  createTemplate(store, { name: "First", tasks: [{ title: "One" }] });
+  const second = createTemplate(store, {
+    name: "Second",
+    tasks: [{ title: "Two" }],
+  });
+  deleteTemplate(store, second.id);
+  const third = createTemplate(store, {
+    name: "Third",
+    tasks: [{ title: "Three" }],
+  });
+  t.equal(second.id, 2);
+  t.equal(third.id, 3);
+  t.end();
+});
+
+tap.test("a template can be instantiated again", (t) => {
+  const store = createStore();
+  const template = createTemplate(store, {
+    name: "Sprint",
+    tasks: [
+      { title: "Plan", tags: ["sprint"] },
+      { title: "Ship", parent: 0 },
+    ],
+  });
+  const list = store.lists[0];
+  const first = instantiateTemplate(list, template, {});
+  const second = instantiateTemplate(list, template, {});
+  t.same(
+    second.map(({ id, parentId }) => [id, parentId]),
+    [
+      [3, undefined],
+      [4, 3],
+    ]
+  );
+  // Created tasks do not share arrays with the template or each other.
+  first[0].tags.push("changed");
+  t.same(second[0].tags, ["sprint"]);
+  t.same(template.tasks[0].tags, ["sprint"]);
+  t.end();
+});
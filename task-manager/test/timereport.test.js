@@ -0,0 +1,61 @@
+const tap = require("tap");
+const {
+  parseTimeReportQuery,
+  buildTimeReport,
+} = require("../helpers/timereport");
+
+tap.test("running timers count until now", (t) => {
+  const { options } = parseTimeReportQuery({
+    from: "2024-05-06",
+    to: "2024-05-07",
+  });
+  const entries = [
+    {
+      listId: 1,
+      taskId: 1,
+      user: "alice",
+      start: "2024-05-06T22:30:00.000Z",
+      end: null,
+    },
+  ];
+  const report = buildTimeReport(
+    entries,
+    options,
+    () => undefined,
+    new Date("2024-05-07T00:15:00Z")
+  );
+  t.same(report.groups, [
+    { day: "2024-05-06", seconds: 5400, hours: 1.5 },
+    { day: "2024-05-07", seconds: 900, hours: 0.25 },
+  ]);
+  t.equal(report.totalSeconds, 6300);
+  t.end();
+});
+
+tap.test("tasks that are gone are reported without a title", (t) => {
+  const { options } = parseTimeReportQuery({
+    from: "2024-05-06",
+    to: "2024-05-06",
+    groupBy: "task",
+  });
+  const entries = [
+    {
+      listId: 2,
+      taskId: 3,
+      user: "alice",
+      start: "2024-05-06T09:00:00.000Z",
+      end: "2024-05-06T09:20:00.000Z",
+    },
+  ];
+  t.same(buildTimeReport(entries, options, () => undefined).groups, [
+    {
+      listId: 2,
+      taskId: 3,
+      title: null,
+      estimateHours: null,
+      seconds: 1200,
+      hours: 0.33,
+    },
+  ]);
+  t.end();
+});
@@ -0,0 +1,44 @@
+const tap = require("tap");
+const {
+  DEFAULT_WORKFLOW,
+  resolveStatus,
+  checkTransition,
+  buildBoard,
+} = require("../helpers/workflow");
+
+tap.test("the status and completed flag of a task agree", (t) => {
+  const created = { completed: true };
+  t.same(resolveStatus(DEFAULT_WORKFLOW, created), []);
+  t.equal(created.status, "done");
+
+  const previous = { status: "review", completed: false };
+  const unchanged = { status: "review", completed: false };
+  resolveStatus(DEFAULT_WORKFLOW, unchanged, previous);
+  t.equal(unchanged.status, "review");
+  const completed = { status: "review", completed: true };
+  resolveStatus(DEFAULT_WORKFLOW, completed, previous);
+  t.equal(completed.status, "done");
+  const moved = { status: "doing", completed: true };
+  resolveStatus(DEFAULT_WORKFLOW, moved, previous);
+  t.same(moved, { status: "doing", completed: false });
+
+  t.match(resolveStatus(DEFAULT_WORKFLOW, { status: "later" }), [
+    { field: "status", code: "enum" },
+  ]);
+  t.end();
+});
+
+tap.test("tasks without a status are in the one their flag leads to", (t) => {
+  const legacy = { completed: false };
+  t.equal(checkTransition(DEFAULT_WORKFLOW, legacy, { status: "doing" }), null);
+  t.type(
+    checkTransition(DEFAULT_WORKFLOW, legacy, { status: "review" }),
+    "string"
+  );
+  const columns = buildBoard(DEFAULT_WORKFLOW, [legacy, { completed: true }]);
+  t.same(
+    columns.map((column) => column.tasks.length),
+    [1, 0, 0, 1]
+  );
+  t.end();
+});